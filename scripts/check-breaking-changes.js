@@ -0,0 +1,217 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {execFileSync} from "child_process";
+import {parseArgs} from "util";
+import {isExperimentalProperty, isExperimentalType} from "./util.js";
+import {readSourceTypesByType} from "./source-schema.js";
+
+// Compares the source schema between two git refs and reports changes forbidden by the versioning policy.
+// See VERSIONING.md#guarantees-and-allowed-changes for details.
+
+// Keywords whose value may not increase / decrease, or may not change at all. Removing any of them is always allowed
+// since it makes validation less strict.
+const minimumKeywords = ['minLength', 'minimum', 'exclusiveMinimum', 'minProperties', 'minItems', 'minContains'];
+const maximumKeywords = ['maxLength', 'maximum', 'exclusiveMaximum', 'maxProperties', 'maxItems', 'maxContains'];
+const unchangeableKeywords = ['pattern', 'format', 'multipleOf', 'const', 'patternProperties', 'propertyNames', 'contains'];
+
+const {values: options} = parseArgs({
+    options: {
+        base: {type: 'string'},
+        head: {type: 'string'},
+    }
+});
+
+// Default to the branch origin/HEAD points to, since the default branch may not be checked out locally as main
+const baseRef = options.base || defaultBaseRef();
+[baseRef, options.head].filter(ref => ref && !isCommit(ref)).forEach(ref => {
+    console.log(`Git ref '${ref}' does not exist. Fetch it, or pass an existing ref with --base / --head.`);
+    process.exit(1);
+});
+
+const baseSourceTypesByType = readSourceTypesAtRef(baseRef);
+const headSourceTypesByType = options.head ? readSourceTypesAtRef(options.head) : readSourceTypesByType();
+const headLabel = options.head ? options.head : 'working tree';
+
+const breakingChanges = [];
+const experimentalChanges = [];
+
+Object.values(baseSourceTypesByType)
+    .sort((a, b) => a.type.localeCompare(b.type))
+    .forEach(baseType => compareType(baseType, headSourceTypesByType[baseType.type]));
+
+console.log(`Comparing source schema at ${baseRef} to ${headLabel}.`);
+if (experimentalChanges.length > 0) {
+    console.log(`\nBreaking changes to experimental types and properties (allowed):`);
+    experimentalChanges.forEach(message => console.log(`  ${message}`));
+}
+if (breakingChanges.length > 0) {
+    console.log(`\nBreaking changes to stable types (not allowed):`);
+    breakingChanges.forEach(message => console.log(`  ${message}`));
+    process.exit(1);
+}
+console.log(`\nNo breaking changes to stable types.`);
+
+// Helper functions
+
+function defaultBaseRef() {
+    try {
+        return git('symbolic-ref', '--quiet', '--short', 'refs/remotes/origin/HEAD').trim();
+    } catch (error) {
+        return 'main';
+    }
+}
+
+function isCommit(ref) {
+    try {
+        git('rev-parse', '--verify', '--quiet', `${ref}^{commit}`);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function readSourceTypesAtRef(ref) {
+    const tmpDirPath = fs.mkdtempSync(path.join(os.tmpdir(), 'otel-config-schema-'));
+    try {
+        git('ls-tree', '--name-only', ref, 'schema/')
+            .split('\n')
+            .filter(file => file.endsWith('.yaml'))
+            .forEach(file => fs.writeFileSync(path.join(tmpDirPath, path.basename(file)), git('show', `${ref}:${file}`)));
+        return readSourceTypesByType(tmpDirPath);
+    } finally {
+        fs.rmSync(tmpDirPath, {recursive: true, force: true});
+    }
+}
+
+function git(...args) {
+    return execFileSync('git', args, {encoding: 'utf-8', maxBuffer: 64 * 1024 * 1024, stdio: ['ignore', 'pipe', 'pipe']});
+}
+
+function report(isExperimental, message) {
+    (isExperimental ? experimentalChanges : breakingChanges).push(message);
+}
+
+function compareType(baseType, headType) {
+    const type = baseType.type;
+    const typeIsExperimental = isExperimentalType(type);
+    if (!headType) {
+        report(typeIsExperimental, `${type}: type was deleted.`);
+        return;
+    }
+
+    if (!!baseType.schema['isSdkExtensionPlugin'] !== !!headType.schema['isSdkExtensionPlugin']) {
+        report(typeIsExperimental, `${type}: 'isSdkExtensionPlugin' changed from ${!!baseType.schema['isSdkExtensionPlugin']} to ${!!headType.schema['isSdkExtensionPlugin']}.`);
+    }
+
+    const removedTypes = asArray(baseType.schema['type']).filter(item => !asArray(headType.schema['type']).includes(item));
+    const addedTypes = asArray(headType.schema['type']).filter(item => !asArray(baseType.schema['type']).includes(item) && item !== 'null');
+    if (removedTypes.length > 0 || addedTypes.length > 0) {
+        report(typeIsExperimental, `${type}: 'type' changed from ${formatValue(baseType.schema['type'])} to ${formatValue(headType.schema['type'])}. Only the addition of 'null' is allowed.`);
+    }
+    compareConstraints(baseType.schema, headType.schema, type, typeIsExperimental);
+
+    if (baseType.isEnumType()) {
+        const headEnumValues = headType.enumValues || [];
+        baseType.enumValues
+            .filter(enumValue => !headEnumValues.includes(enumValue))
+            .forEach(enumValue => report(typeIsExperimental || isExperimentalProperty(enumValue), `${type}: enum value '${enumValue}' was removed.`));
+        return;
+    }
+
+    baseType.properties.forEach(baseProperty => {
+        const location = `${type}.${baseProperty.property}`;
+        const isExperimental = typeIsExperimental || isExperimentalProperty(baseProperty.property);
+        const headProperty = headType.properties.find(property => property.property === baseProperty.property);
+        if (!headProperty) {
+            report(isExperimental, `${location}: property was deleted.`);
+            return;
+        }
+        compareProperty(baseProperty, headProperty, location, isExperimental);
+    });
+}
+
+function compareProperty(baseProperty, headProperty, location, isExperimental) {
+    if (baseProperty.isSeq !== headProperty.isSeq) {
+        report(isExperimental, `${location}: changed from ${formatTypes(baseProperty)} to ${formatTypes(headProperty)}.`);
+    } else {
+        const removedTypes = baseProperty.types.filter(type => !headProperty.types.includes(type));
+        const addedTypes = headProperty.types.filter(type => !baseProperty.types.includes(type) && type !== 'null');
+        if (removedTypes.length > 0 || addedTypes.length > 0) {
+            report(isExperimental, `${location}: type changed from ${formatTypes(baseProperty)} to ${formatTypes(headProperty)}. Only the addition of 'null' is allowed.`);
+        }
+    }
+
+    const baseOneOf = baseProperty.schema['oneOf'] || [];
+    const headOneOf = (headProperty.schema['oneOf'] || []).map(option => JSON.stringify(option));
+    baseOneOf.filter(option => !headOneOf.includes(JSON.stringify(option)))
+        .forEach(option => report(isExperimental, `${location}: 'oneOf' option ${JSON.stringify(option)} was removed.`));
+
+    compareConstraints(baseProperty.schema, headProperty.schema, location, isExperimental);
+    const baseItems = baseProperty.schema['items'];
+    const headItems = headProperty.schema['items'];
+    if (baseItems && headItems) {
+        compareConstraints(baseItems, headItems, `${location}[]`, isExperimental);
+    }
+}
+
+function formatTypes(sourceSchemaProperty) {
+    const types = `[${sourceSchemaProperty.types.join(', ')}]`;
+    return sourceSchemaProperty.isSeq ? `array of ${types}` : types;
+}
+
+function compareConstraints(baseSchema, headSchema, location, isExperimental) {
+    minimumKeywords.forEach(keyword => {
+        const base = baseSchema[keyword];
+        const head = headSchema[keyword];
+        if (head !== undefined && (base === undefined || head > base)) {
+            report(isExperimental, `${location}: '${keyword}' increased from ${formatValue(base)} to ${formatValue(head)}.`);
+        }
+    });
+    maximumKeywords.forEach(keyword => {
+        const base = baseSchema[keyword];
+        const head = headSchema[keyword];
+        if (head !== undefined && (base === undefined || head < base)) {
+            report(isExperimental, `${location}: '${keyword}' decreased from ${formatValue(base)} to ${formatValue(head)}.`);
+        }
+    });
+    unchangeableKeywords.forEach(keyword => {
+        const base = baseSchema[keyword];
+        const head = headSchema[keyword];
+        if (head !== undefined && JSON.stringify(base) !== JSON.stringify(head)) {
+            report(isExperimental, `${location}: '${keyword}' changed from ${formatValue(base)} to ${formatValue(head)}.`);
+        }
+    });
+
+    const baseAdditionalProperties = baseSchema['additionalProperties'];
+    const headAdditionalProperties = headSchema['additionalProperties'];
+    if (headAdditionalProperties === false && baseAdditionalProperties !== false) {
+        report(isExperimental, `${location}: 'additionalProperties' changed from ${formatValue(baseAdditionalProperties)} to false.`);
+    } else if (isObject(baseAdditionalProperties) && isObject(headAdditionalProperties) && JSON.stringify(baseAdditionalProperties) !== JSON.stringify(headAdditionalProperties)) {
+        report(isExperimental, `${location}: 'additionalProperties' changed from ${formatValue(baseAdditionalProperties)} to ${formatValue(headAdditionalProperties)}.`);
+    }
+
+    const baseRequired = baseSchema['required'] || [];
+    (headSchema['required'] || [])
+        .filter(property => !baseRequired.includes(property))
+        .forEach(property => report(isExperimental || isExperimentalProperty(property), `${location}: property '${property}' was added to 'required'.`));
+
+    if (headSchema['uniqueItems'] === true && baseSchema['uniqueItems'] !== true) {
+        report(isExperimental, `${location}: 'uniqueItems' changed to true.`);
+    }
+}
+
+function asArray(value) {
+    if (value === undefined) {
+        return [];
+    }
+    return Array.isArray(value) ? value : [value];
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object';
+}
+
+function formatValue(value) {
+    return value === undefined ? 'unset' : JSON.stringify(value);
+}
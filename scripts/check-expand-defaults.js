@@ -0,0 +1,50 @@
+import {expandDefaults} from "./config-defaults.js";
+import {formatPath} from "./config-walker.js";
+import {readSourceTypesByType} from "./source-schema.js";
+import {fileFormat} from "./util.js";
+
+// Check expand-defaults against configs with known effective values. Each case expands a config and checks the values
+// at the given paths, and whether each was set from a default.
+
+const sourceTypesByType = readSourceTypesByType();
+const messages = [];
+
+const providers = {
+    tracer_provider: {processors: [{simple: {exporter: {console: null}}}]},
+    logger_provider: {processors: [{simple: {exporter: {console: null}}}]},
+};
+const spanAttributeCountLimitPath = ['tracer_provider', 'limits', 'attribute_count_limit'];
+const logRecordAttributeCountLimitPath = ['logger_provider', 'limits', 'attribute_count_limit'];
+
+checkExpanded('the general attribute count limit is the default of the span and log record limits',
+    {file_format: fileFormat, attribute_limits: {attribute_count_limit: 50}, ...providers},
+    [[spanAttributeCountLimitPath, 50, true], [logRecordAttributeCountLimitPath, 50, true]]);
+checkExpanded('the span and log record attribute count limits default to 128 without a general limit',
+    {file_format: fileFormat, ...providers},
+    [[['attribute_limits', 'attribute_count_limit'], 128, true], [spanAttributeCountLimitPath, 128, true], [logRecordAttributeCountLimitPath, 128, true]]);
+checkExpanded('a span attribute count limit overrides the general limit',
+    {file_format: fileFormat, attribute_limits: {attribute_count_limit: 50}, ...providers, tracer_provider: {...providers.tracer_provider, limits: {attribute_count_limit: 10}}},
+    [[spanAttributeCountLimitPath, 10, false], [logRecordAttributeCountLimitPath, 50, true]]);
+
+if (messages.length > 0) {
+    messages.forEach(message => console.log(message));
+    process.exit(1);
+}
+console.log('Default expansion checks passed.');
+
+// Helper functions
+
+// expectations are [path, value, isDefaulted] triples.
+function checkExpanded(name, config, expectations) {
+    const expanded = expandDefaults(config, sourceTypesByType);
+    const defaultedPaths = expanded.defaultedPaths.map(formatPath);
+    expectations.forEach(([path, expectedValue, expectedDefaulted]) => {
+        const value = path.reduce((current, key) => current === undefined || current === null ? undefined : current[key], expanded.config);
+        if (value !== expectedValue) {
+            messages.push(`${name}: expected ${formatPath(path)} to be ${expectedValue}, got ${value}.`);
+        }
+        if (defaultedPaths.includes(formatPath(path)) !== expectedDefaulted) {
+            messages.push(`${name}: expected ${formatPath(path)} ${expectedDefaulted ? 'to be' : 'not to be'} set from a default.`);
+        }
+    });
+}
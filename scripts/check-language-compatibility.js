@@ -0,0 +1,60 @@
+import {parseArgs} from "util";
+import {readConfigFile} from "./config-file.js";
+import {compileConfigValidator, validateConfigFile} from "./config-validation.js";
+import {readSourceTypesByType} from "./source-schema.js";
+import {KNOWN_LANGUAGES, readLanguageImplementations} from "./language-implementations.js";
+import {checkLanguageCompatibility, findUsages} from "./language-compatibility.js";
+
+// Report, for each language implementation, which properties and enum values used in a configuration file are not
+// supported according to the meta_schema_language_*.yaml files, and whether its file_format is supported.
+
+const {values: options, positionals: files} = parseArgs({
+    options: {
+        format: {type: 'string', default: 'text'},
+        language: {type: 'string', multiple: true, default: KNOWN_LANGUAGES},
+        strict: {type: 'boolean', default: false},
+        'show-unknown': {type: 'boolean', default: false},
+    },
+    allowPositionals: true
+});
+const unknownLanguages = options.language.filter(language => !KNOWN_LANGUAGES.includes(language));
+if (files.length === 0 || !['text', 'json'].includes(options.format) || unknownLanguages.length > 0) {
+    console.log(`Usage: check-language-compatibility [--format text|json] [--language ${KNOWN_LANGUAGES.join('|')}]... [--strict] [--show-unknown] <config.yaml>...`);
+    process.exit(1);
+}
+
+const {messages, languageImplementations} = readLanguageImplementations();
+if (messages.length > 0) {
+    messages.forEach(message => console.log(message));
+    process.exit(1);
+}
+const selectedLanguageImplementations = languageImplementations.filter(languageImplementation => options.language.includes(languageImplementation.language));
+
+const validator = compileConfigValidator();
+const sourceTypesByType = readSourceTypesByType();
+
+let hasErrors = false;
+const reports = [];
+files.forEach(file => {
+    // Substitute env vars with their defaults only, so the report doesn't depend on the local environment
+    const configFile = readConfigFile(file, {});
+    validateConfigFile(configFile, validator, sourceTypesByType);
+    if (configFile.hasErrors()) {
+        configFile.sortedMessages().forEach(message => console.error(message.format()));
+        hasErrors = true;
+        return;
+    }
+    const usages = findUsages(configFile, sourceTypesByType);
+    selectedLanguageImplementations.forEach(languageImplementation => {
+        reports.push(checkLanguageCompatibility(configFile, usages, languageImplementation));
+    });
+});
+
+if (options.format === 'json') {
+    console.log(JSON.stringify(reports.map(report => report.toJson()), null, 2));
+} else {
+    reports.forEach(report => report.print(options['show-unknown']));
+}
+
+const hasIncompatibilities = reports.some(report => !report.isCompatible());
+process.exit(hasErrors || (options.strict && hasIncompatibilities) ? 1 : 0);
@@ -0,0 +1,168 @@
+import fs from "fs";
+import {spawn} from "child_process";
+import {fileURLToPath} from "url";
+import {ERROR_PARSE, JsonRpcConnection} from "./language-server.js";
+import {readSourceTypesByType} from "./source-schema.js";
+import {fileFormat, markdownDocPath} from "./util.js";
+
+// Check the language server end to end, by starting it over stdio and driving it with a scripted client. Each step
+// sends LSP messages and checks the responses, and the server must exit cleanly after shutdown.
+
+const timeoutMillis = 10000;
+const serverPath = fileURLToPath(new URL('./config-language-server.js', import.meta.url));
+
+const sourceTypesByType = readSourceTypesByType();
+const messages = [];
+
+const server = spawn(process.execPath, [serverPath, '--stdio'], {stdio: ['pipe', 'pipe', 'inherit']});
+const exited = new Promise(resolve => server.on('exit', code => resolve(code)));
+const timeout = setTimeout(() => {
+    console.log(`Language server did not respond within ${timeoutMillis}ms.`);
+    server.kill();
+    process.exit(1);
+}, timeoutMillis);
+
+const client = new JsonRpcConnection(server.stdout, server.stdin);
+const diagnosticsWaiters = {};
+client.onNotification('textDocument/publishDiagnostics', params => {
+    if (diagnosticsWaiters[params.uri]) {
+        diagnosticsWaiters[params.uri](params.diagnostics);
+        delete diagnosticsWaiters[params.uri];
+    }
+});
+client.listen();
+
+const initializeResult = await client.sendRequest('initialize', {processId: process.pid, rootUri: null, capabilities: {}});
+const capabilities = initializeResult.capabilities;
+check('initialize', capabilities.hoverProvider && capabilities.definitionProvider && capabilities.completionProvider,
+    `expected completion, hover and definition capabilities, got ${JSON.stringify(capabilities)}`);
+client.sendNotification('initialized', {});
+
+// Diagnostics from schema validation
+const invalidUri = 'file:///check/invalid.yaml';
+const invalidDiagnostics = await openDocument(invalidUri, [
+    `file_format: "${fileFormat}"`,
+    'tracer_provider:',
+    '  procesors: []',
+]);
+check('diagnostics', invalidDiagnostics.some(diagnostic => diagnostic.range.start.line === 2 && diagnostic.severity === 1 && diagnostic.message.includes("'processors'")),
+    `expected an error on line 3 suggesting 'processors', got ${JSON.stringify(invalidDiagnostics)}`);
+
+// No errors for a valid document
+const validUri = 'file:///check/valid.yaml';
+const validDiagnostics = await openDocument(validUri, [
+    `file_format: "${fileFormat}"`,
+    'tracer_provider:',
+    '  processors:',
+    '    - batch:',
+    '        exporter:',
+    '          console:',
+]);
+check('valid document diagnostics', validDiagnostics.every(diagnostic => diagnostic.severity !== 1),
+    `expected no errors for a valid document, got ${JSON.stringify(validDiagnostics)}`);
+
+const uri = 'file:///check/config.yaml';
+const lines = [
+    `file_format: "${fileFormat}"`,
+    'log_level: ',
+    'tracer_provider:',
+    '  processors:',
+    '    - batch:',
+    '        max_queue_size: 2048',
+    '        exporter:',
+    '          ',
+    '  sampler:',
+    '    ',
+    'meter_provider:',
+    '  readers:',
+    '    - periodic:',
+    '        exporter:',
+    '          console:',
+    '          ',
+];
+await openDocument(uri, lines);
+
+// Completion of SDK extension plugin keys
+const spanExporterLabels = await completionLabels(uri, 7, 10);
+check('SpanExporter completion', ['otlp_http', 'otlp_grpc', 'console'].every(label => spanExporterLabels.includes(label)) && !spanExporterLabels.includes('max_queue_size'),
+    `expected SpanExporter plugins, got ${JSON.stringify(spanExporterLabels)}`);
+const samplerLabels = await completionLabels(uri, 9, 4);
+check('Sampler completion', ['always_on', 'parent_based', 'trace_id_ratio_based'].every(label => samplerLabels.includes(label)),
+    `expected Sampler plugins, got ${JSON.stringify(samplerLabels)}`);
+const pushMetricExporterLabels = await completionLabels(uri, 15, 10);
+check('completion with plugin set', pushMetricExporterLabels.length === 0,
+    `expected no completions when a PushMetricExporter plugin is already set, got ${JSON.stringify(pushMetricExporterLabels)}`);
+
+// Completion of enum values
+const logLevelLabels = await completionLabels(uri, 1, 11);
+check('enum value completion', logLevelLabels.includes('info') && logLevelLabels.includes('error'),
+    `expected SeverityNumber values, got ${JSON.stringify(logLevelLabels)}`);
+
+// Hover shows the default and null behavior
+const maxQueueSize = sourceTypesByType['BatchSpanProcessor'].properties.find(property => property.property === 'max_queue_size');
+const hover = await client.sendRequest('textDocument/hover', {textDocument: {uri}, position: {line: 5, character: 12}});
+check('hover', hover !== null && hover.contents.value.includes(maxQueueSize.formatDefaultAndNullBehavior()),
+    `expected hover to include '${maxQueueSize.formatDefaultAndNullBehavior()}', got ${JSON.stringify(hover)}`);
+
+// Definition goes to the docs of the property's type
+const samplerHeadingLine = fs.readFileSync(markdownDocPath, 'utf-8').split('\n').findIndex(line => line.startsWith('## Sampler '));
+const definition = await client.sendRequest('textDocument/definition', {textDocument: {uri}, position: {line: 8, character: 4}});
+check('definition', definition !== null && definition.uri.endsWith('/schema-docs.md') && definition.range.start.line === samplerHeadingLine,
+    `expected schema-docs.md line ${samplerHeadingLine}, got ${JSON.stringify(definition)}`);
+
+// Invalid input is reported, without stopping the server
+const clientErrors = [];
+client.onError(error => clientErrors.push(error));
+const logMessages = [];
+client.onNotification('window/logMessage', params => logMessages.push(params.message));
+server.stdin.write('Content-Length: 5\r\n\r\n{bad}');
+server.stdin.write('X-Unknown-Header: 1\r\n\r\n');
+client.sendNotification('textDocument/didChange', {textDocument: {uri, version: 2}, contentChanges: []});
+// Messages are handled in order, so the hover response means the invalid input before it was handled
+const hoverAfterInvalidInput = await client.sendRequest('textDocument/hover', {textDocument: {uri}, position: {line: 5, character: 12}});
+check('parse error', clientErrors.some(error => error.code === ERROR_PARSE),
+    `expected a ${ERROR_PARSE} parse error response, got ${JSON.stringify(clientErrors.map(error => error.code))}`);
+check('invalid input', hoverAfterInvalidInput !== null && logMessages.length === 2,
+    `expected the server to log the skipped frame and failed didChange and keep responding, got ${JSON.stringify(logMessages)}`);
+
+// Closing a document clears its diagnostics
+const closedDiagnostics = waitForDiagnostics(invalidUri);
+client.sendNotification('textDocument/didClose', {textDocument: {uri: invalidUri}});
+check('didClose', (await closedDiagnostics).length === 0, 'expected diagnostics to be cleared');
+
+await client.sendRequest('shutdown', null);
+client.sendNotification('exit', null);
+const exitCode = await exited;
+check('exit', exitCode === 0, `expected exit code 0 after shutdown, got ${exitCode}`);
+clearTimeout(timeout);
+
+if (messages.length > 0) {
+    messages.forEach(message => console.log(message));
+    process.exit(1);
+}
+console.log("Language server checks passed.");
+
+// Helper functions
+
+function check(step, condition, message) {
+    if (!condition) {
+        messages.push(`${step}: ${message}`);
+    }
+}
+
+function waitForDiagnostics(documentUri) {
+    return new Promise(resolve => diagnosticsWaiters[documentUri] = resolve);
+}
+
+function openDocument(documentUri, documentLines) {
+    const diagnostics = waitForDiagnostics(documentUri);
+    client.sendNotification('textDocument/didOpen', {
+        textDocument: {uri: documentUri, languageId: 'yaml', version: 1, text: documentLines.join('\n')}
+    });
+    return diagnostics;
+}
+
+async function completionLabels(documentUri, line, character) {
+    const items = await client.sendRequest('textDocument/completion', {textDocument: {uri: documentUri}, position: {line, character}});
+    return items.map(item => item.label);
+}
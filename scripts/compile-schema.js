@@ -1,21 +1,41 @@
 import fs from 'fs';
-import {rootTypeName, schemaPath} from "./util.js";
+import {parseArgs} from "util";
+import {
+    editorSchemaPath,
+    isExperimentalProperty,
+    isExperimentalType,
+    repositoryBlobUrl,
+    rootTypeName,
+    schemaPath,
+    stableSchemaPath
+} from "./util.js";
 import {readSourceTypesByType} from "./source-schema.js";
+import {readSnippets} from "./snippets.js";
+import {lintSourceSchema, SEVERITY_ERROR} from "./schema-lint.js";
 
-// Read source schema
-const sourceTypes = Object.values(readSourceTypesByType());
-
-// Validate source types and exit early if there are any errors
-const messages = [];
-sourceTypes.forEach(sourceSchemaType => {
-    allPropertiesShouldHaveDescriptions(sourceSchemaType, messages);
-    allEnumValuesShouldHaveDescriptions(sourceSchemaType, messages);
-    sdkExtensionPluginSchema(sourceSchemaType, messages);
-    noSubschemas(sourceSchemaType, messages);
-    optionalPropertiesHaveDefaultBehavior(sourceSchemaType, messages);
+const {values: options, positionals} = parseArgs({
+    options: {
+        format: {type: 'string', default: 'text'},
+    },
+    allowPositionals: true
 });
-if (messages.length > 0) {
-    messages.forEach(message => console.log(message));
+if (positionals.length !== 0 || !['text', 'json'].includes(options.format)) {
+    console.log('Usage: compile-schema [--format text|json]');
+    process.exit(1);
+}
+
+// Read source schema
+const sourceTypesByType = readSourceTypesByType();
+const sourceTypes = Object.values(sourceTypesByType);
+
+// Lint source types and exit early if there are any unsuppressed errors
+const findings = lintSourceSchema(sourceTypesByType);
+if (options.format === 'json') {
+    console.log(JSON.stringify(findings.map(finding => finding.toJson()), null, 2));
+} else {
+    findings.filter(finding => !finding.isSuppressed).forEach(finding => console.log(finding.format()));
+}
+if (findings.some(finding => !finding.isSuppressed && finding.rule.severity === SEVERITY_ERROR)) {
     process.exit(1);
 }
 
@@ -45,6 +65,12 @@ const output = {
 
 fs.writeFileSync(schemaPath, JSON.stringify(output, null, 2));
 
+// Construct and write stable-only schema, for validating configs which must not use experimental features
+fs.writeFileSync(stableSchemaPath, JSON.stringify(stableOnlySchema(output), null, 2));
+
+// Construct and write editor schema, with annotations for editor hovers and completions (e.g. yaml-language-server)
+fs.writeFileSync(editorSchemaPath, JSON.stringify(editorSchema(output, sourceTypesByType, readSnippets()), null, 2));
+
 // Helper functions
 
 function prepareSchemaForOutput(sourceSchemaType, sourceTypes) {
@@ -62,6 +88,7 @@ function prepareSchemaForOutput(sourceSchemaType, sourceTypes) {
 function stripMetadata(schema) {
     delete schema['enumDescriptions'];
     delete schema['isSdkExtensionPlugin'];
+    delete schema['lintSuppressions'];
 
     const properties = schema.properties;
     if (!properties) {
@@ -70,6 +97,10 @@ function stripMetadata(schema) {
     Object.values(properties).forEach(propertySchema => {
         delete propertySchema['defaultBehavior'];
         delete propertySchema['nullBehavior'];
+        delete propertySchema['defaultValue'];
+        delete propertySchema['defaultValueFrom'];
+        delete propertySchema['envVars'];
+        delete propertySchema['lintSuppressions'];
     });
 }
 
@@ -130,98 +161,151 @@ function maybeAddLineBreak(str) {
     return str;
 }
 
-// Validation functions
+// Remove experimental properties and enum values, and types only reachable through them. Types which had experimental
+// properties removed and allow additional properties exclude the removed property names, so that configs using them are
+// rejected rather than treated as additional properties, while custom components remain valid. Types left without any
+// valid value are removed along with the properties referencing them.
+function stableOnlySchema(output) {
+    const stable = JSON.parse(JSON.stringify(output));
+    const defs = stable['$defs'];
+    delete stable['$defs'];
 
-function allPropertiesShouldHaveDescriptions(sourceSchemaType, messages) {
-    sourceSchemaType.properties.forEach(property => {
-        if (!property.schema.description) {
-            messages.push(`Please add 'description' to ${sourceSchemaType.type}.${property.property}.`);
+    const removedTypes = new Set(Object.keys(defs).filter(isExperimentalType));
+    let changed = true;
+    while (changed) {
+        changed = false;
+        Object.keys(defs).filter(type => !removedTypes.has(type) && !hasStableValue(defs[type], removedTypes)).forEach(type => {
+            removedTypes.add(type);
+            changed = true;
+        });
+    }
+
+    removeExperimentalContent(stable, removedTypes);
+    const reachable = new Set();
+    const queue = localRefs(stable);
+    while (queue.length > 0) {
+        const type = queue.shift();
+        if (reachable.has(type)) {
+            continue;
         }
+        reachable.add(type);
+        removeExperimentalContent(defs[type], removedTypes);
+        queue.push(...localRefs(defs[type]));
+    }
+
+    stable['$defs'] = {};
+    Object.keys(defs).filter(type => reachable.has(type)).forEach(type => {
+        stable['$defs'][type] = defs[type];
     });
+    return stable;
 }
 
-function allEnumValuesShouldHaveDescriptions(sourceSchemaType, messages) {
-    if (!sourceSchemaType.isEnumType()) {
-        return;
+function experimentalProperties(schema, removedTypes) {
+    const properties = schema.properties || {};
+    return Object.keys(properties)
+        .filter(property => isExperimentalProperty(property) || localRefs(properties[property]).some(type => removedTypes.has(type)));
+}
+
+// Whether the schema still has a valid value once experimental properties and removedTypes are removed.
+function hasStableValue(schema, removedTypes) {
+    const removedProperties = experimentalProperties(schema, removedTypes);
+    if ((schema['required'] || []).some(property => removedProperties.includes(property))) {
+        return false;
     }
-    const enumDescriptions = sourceSchemaType.schema['enumDescriptions'];
-    if (!enumDescriptions) {
-        messages.push(`Please add 'enumDescriptions' to ${sourceSchemaType.type}.`);
+    const remainingProperties = Object.keys(schema.properties || {}).filter(property => !removedProperties.includes(property));
+    const allowsAdditionalProperties = schema['additionalProperties'] !== undefined && schema['additionalProperties'] !== false;
+    return allowsAdditionalProperties || remainingProperties.length >= (schema['minProperties'] || 0);
+}
+
+function removeExperimentalContent(schema, removedTypes) {
+    if (Array.isArray(schema['enum'])) {
+        schema['enum'] = schema['enum'].filter(value => typeof value !== 'string' || !isExperimentalProperty(value));
+    }
+    const removedProperties = experimentalProperties(schema, removedTypes);
+    if (removedProperties.length === 0) {
         return;
     }
-    sourceSchemaType.enumValues.forEach(enumValue => {
-        if (!enumDescriptions[enumValue]) {
-            messages.push(`Please add entry for ${enumValue} to 'enumDescriptions' for ${sourceSchemaType.type}.`);
-        }
-    });
-    Object.keys(enumDescriptions).forEach(enumValue => {
-        if (!sourceSchemaType.enumValues.includes(enumValue)) {
-            messages.push(`Please remove entry for ${enumValue} from 'enumDescriptions' for ${sourceSchemaType.type}.`);
+    removedProperties.forEach(property => delete schema.properties[property]);
+    if (schema['additionalProperties'] !== false) {
+        schema['propertyNames'] = {not: {enum: removedProperties}};
+    }
+}
+
+// Types referenced by local $refs anywhere in the schema.
+function localRefs(schema) {
+    const types = [];
+    JSON.stringify(schema, (key, value) => {
+        if (key === '$ref' && typeof value === 'string' && value.startsWith('#/$defs/')) {
+            types.push(value.substring('#/$defs/'.length));
         }
+        return value;
     });
+    return types;
 }
 
-function sdkExtensionPluginSchema(sourceSchemaType, messages) {
-    const sdkExtensionPluginAdditionalProperties = JSON.stringify({"type": ["object", "null"]});
+// Add annotations recognized by editors: markdownDescription linking to the type docs in schema-docs.md,
+// markdownEnumDescriptions, defaultSnippets built from snippets, and deprecationMessage warning of experimental types
+// and properties.
+function editorSchema(output, sourceTypesByType, snippets) {
+    const editor = JSON.parse(JSON.stringify(output));
+    addEditorAnnotations(editor, sourceTypesByType[rootTypeName], snippets);
+    Object.entries(editor['$defs']).forEach(([type, schema]) => {
+        addEditorAnnotations(schema, sourceTypesByType[type], snippets);
+    });
+    return editor;
+}
 
-    const schema = sourceSchemaType.schema;
-    if (!schema['isSdkExtensionPlugin']) {
-        return;
-    }
-    const type = schema['type'];
-    if (type !== 'object') {
-        messages.push(`Please set 'type' to 'object' for ${sourceSchemaType.type}.`);
-    }
-    const additionalProperties = schema['additionalProperties'];
-    if (JSON.stringify(additionalProperties) !== sdkExtensionPluginAdditionalProperties) {
-        messages.push(`Please set 'additionalProperties' to ${sdkExtensionPluginAdditionalProperties} for ${sourceSchemaType.type}.`);
-    }
-    const minProperties = schema['minProperties'];
-    if (minProperties !== 1) {
-        messages.push(`Please set 'minProperties' to 1 for ${sourceSchemaType.type}.`);
+function addEditorAnnotations(schema, sourceSchemaType, snippets) {
+    const type = sourceSchemaType.type;
+    const typeLink = markdownTypeLink(type);
+    schema['markdownDescription'] = schema['description'] ? `${toMarkdown(schema['description'])}\n\nSee ${typeLink}.` : `See ${typeLink}.`;
+    if (isExperimentalType(type)) {
+        schema['deprecationMessage'] = `${type} is experimental, and may change or be removed in a minor version.`;
     }
-    const maxProperties = schema['maxProperties'];
-    if (maxProperties !== 1) {
-        messages.push(`Please set 'maxProperties' to 1 for ${sourceSchemaType.type}.`);
-    }
-}
 
-function noSubschemas(sourceSchemaType, messages) {
     if (sourceSchemaType.isEnumType()) {
-        return;
+        const enumDescriptions = sourceSchemaType.schema['enumDescriptions'];
+        schema['markdownEnumDescriptions'] = schema['enum'].map(enumValue => toMarkdown(enumDescriptions[enumValue] || ''));
     }
-    sourceSchemaType.properties.forEach(property => {
-        property.types.forEach(type => {
-            if (type === 'object') {
-                messages.push(`Please move subschema for ${sourceSchemaType.type}.${property.property} to top level type in $defs.`)
-            }
-        });
+
+    const typeSnippets = snippets.filter(snippet => snippet.jsonSchemaType === type);
+    if (typeSnippets.length > 0) {
+        schema['defaultSnippets'] = typeSnippets.map(snippet => ({
+            label: snippet.description,
+            markdownDescription: `From [snippets/${snippet.file}](${repositoryBlobUrl}snippets/${snippet.file}):\n\n\`\`\`yaml\n${snippet.rawSnippetContent.trimEnd()}\n\`\`\``,
+            body: escapeSnippetBody(snippet.parsedSnippetContent)
+        }));
+    }
+
+    Object.entries(schema.properties || {}).forEach(([property, propertySchema]) => {
+        const links = [`${markdownTypeLink(type, `${type}.${property}`)}`];
+        localRefs(propertySchema).filter(referencedType => referencedType !== type).forEach(referencedType => links.push(markdownTypeLink(referencedType)));
+        propertySchema['markdownDescription'] = `${toMarkdown(propertySchema['description'])}\n\nSee ${links.join(', ')}.`;
+        if (isExperimentalProperty(property)) {
+            propertySchema['deprecationMessage'] = `${property} is experimental, and may change or be removed in a minor version.`;
+        }
     });
 }
 
-function optionalPropertiesHaveDefaultBehavior(sourceSchemaType, messages) {
-    if (sourceSchemaType.isEnumType()) {
-        return;
+function markdownTypeLink(type, text = type) {
+    return `[\`${text}\`](${repositoryBlobUrl}schema-docs.md#${type.toLowerCase()})`;
+}
+
+// Descriptions are written with a line per sentence or list item, which markdown would join into a paragraph.
+function toMarkdown(description) {
+    return description.trim().split('\n').join('  \n');
+}
+
+// Snippet bodies use snippet syntax, in which $, } and \ must be escaped.
+function escapeSnippetBody(value) {
+    if (typeof value === 'string') {
+        return value.replace(/[$}\\]/g, character => `\\${character}`);
     }
-    const required = sourceSchemaType.schema['required'] || [];
-    // Checks for optional properties
-    sourceSchemaType.properties
-        .filter(property => !required.includes(property.property) && !property.schema['defaultBehavior'])
-        .forEach(property => {
-            messages.push(`Please add 'defaultBehavior' to optional property ${sourceSchemaType.type}.${property.property}.`);
-        });
-    // Checks for required properties
-    sourceSchemaType.properties
-        .filter(property => required.includes(property.property))
-        .forEach(property => {
-            if (property.schema['defaultBehavior']) {
-                messages.push(`Please remove 'defaultBehavior' from required property ${sourceSchemaType.type}.${property.property}.`);
-            }
-            if (property.isNullable && !property.schema['nullBehavior']) {
-                messages.push(`Please add 'nullBehavior' to required nullable property ${sourceSchemaType.type}.${property.property}.`);
-            }
-            if (!property.isNullable && property.schema['nullBehavior']) {
-                messages.push(`Please remove 'nullBehavior' from required property ${sourceSchemaType.type}.${property.property}.`);
-            }
-        });
+    if (Array.isArray(value)) {
+        return value.map(escapeSnippetBody);
+    }
+    if (value !== null && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, escapeSnippetBody(entry)]));
+    }
+    return value;
 }
@@ -0,0 +1,126 @@
+import {rootTypeName} from "./util.js";
+import {isPlainObject, resolvePropertyType} from "./config-walker.js";
+
+// Materialize the effective configuration from the machine-readable defaults in the source schema. Properties which
+// are omitted, or null without a nullBehavior, are set to their defaultValue, or to the value of their
+// defaultValueFrom sibling, or of the defaultValueFrom path from the root (e.g. .attribute_limits.attribute_count_limit).
+// Properties whose default is not machine-readable (e.g. "a noop tracer provider is used") are left unset.
+
+export class ExpandedConfig {
+    config;
+    defaultedPaths; // Paths of the values which were set from defaults, as arrays of property keys and array indices
+
+    constructor(config, defaultedPaths) {
+        this.config = config;
+        this.defaultedPaths = defaultedPaths;
+    }
+}
+
+// Expand the defaults of the config, which should be valid according to the JSON schema. The config is not modified.
+export function expandDefaults(config, sourceTypesByType) {
+    const defaultedPaths = [];
+    const rootReferences = [];
+    const expanded = expandType(sourceTypesByType[rootTypeName], config, [], sourceTypesByType, defaultedPaths, rootReferences);
+    // Resolve defaultValueFrom paths once the whole config is expanded, so that the referenced values have their defaults
+    rootReferences.forEach(({object, key, path, fromPath}) => {
+        const fromValue = valueAtPath(expanded, fromPath);
+        if (fromValue !== undefined) {
+            object[key] = structuredClone(fromValue);
+            defaultedPaths.push(path);
+        }
+    });
+    return new ExpandedConfig(expanded, defaultedPaths);
+}
+
+// The effective value of the property of value, an object of the sourceSchemaType, taking defaults into account.
+// Returns undefined if the property is unset and has no machine-readable default within value, including a
+// defaultValueFrom path from the root, which only expandDefaults resolves.
+export function effectiveValue(value, sourceSchemaType, propertyKey) {
+    const sourceSchemaProperty = sourceSchemaType.properties.find(property => property.property === propertyKey);
+    if (!sourceSchemaProperty) {
+        throw new Error(`${sourceSchemaType.type} has no property ${propertyKey}.`);
+    }
+    const propertyValue = isPlainObject(value) ? value[propertyKey] : undefined;
+    if (!isUnset(sourceSchemaProperty, propertyValue)) {
+        return propertyValue;
+    }
+    if (sourceSchemaProperty.defaultValueFromPath() !== null) {
+        return undefined;
+    }
+    if (sourceSchemaProperty.defaultValueFrom() !== null) {
+        return effectiveValue(value, sourceSchemaType, sourceSchemaProperty.defaultValueFrom());
+    }
+    return sourceSchemaProperty.hasDefaultValue() ? structuredClone(sourceSchemaProperty.schema['defaultValue']) : propertyValue;
+}
+
+// Helper functions
+
+function isUnset(sourceSchemaProperty, value) {
+    return value === undefined || (value === null && !sourceSchemaProperty.schema['nullBehavior']);
+}
+
+// Returns undefined if the path does not lead to a value.
+function valueAtPath(value, path) {
+    return path.reduce((current, key) => isPlainObject(current) ? current[key] : undefined, value);
+}
+
+function expandType(sourceSchemaType, value, path, sourceTypesByType, defaultedPaths, rootReferences) {
+    // A null object (e.g. "otlp_http:") is equivalent to an empty one
+    if (sourceSchemaType.isEnumType() || !(value === null || isPlainObject(value))) {
+        return value;
+    }
+    const expanded = {...value};
+    const rootReferenceCount = rootReferences.length;
+    sourceSchemaType.properties.forEach(sourceSchemaProperty => {
+        const key = sourceSchemaProperty.property;
+        const propertyPath = [...path, key];
+        let propertyValue = expanded[key];
+        const isDefaulted = isUnset(sourceSchemaProperty, propertyValue) && sourceSchemaProperty.hasDefaultValue();
+        if (isDefaulted) {
+            propertyValue = structuredClone(sourceSchemaProperty.schema['defaultValue']);
+        }
+        if (propertyValue === undefined) {
+            return;
+        }
+        const propertyRootReferenceCount = rootReferences.length;
+        propertyValue = expandPropertyValue(sourceSchemaProperty, propertyValue, propertyPath, sourceTypesByType, defaultedPaths, rootReferences);
+        // Don't materialize defaulted objects which have no defaults of their own, including defaultValueFrom paths
+        if (isDefaulted && isPlainObject(propertyValue) && Object.keys(propertyValue).length === 0 && rootReferences.length === propertyRootReferenceCount) {
+            return;
+        }
+        if (isDefaulted) {
+            defaultedPaths.push(propertyPath);
+        }
+        expanded[key] = propertyValue;
+    });
+    // Resolve defaultValueFrom after defaultValue, so that the referenced sibling has been expanded
+    sourceSchemaType.properties.filter(sourceSchemaProperty => sourceSchemaProperty.defaultValueFrom() !== null).forEach(sourceSchemaProperty => {
+        const key = sourceSchemaProperty.property;
+        if (sourceSchemaProperty.defaultValueFromPath() !== null) {
+            if (isUnset(sourceSchemaProperty, expanded[key])) {
+                rootReferences.push({object: expanded, key, path: [...path, key], fromPath: sourceSchemaProperty.defaultValueFromPath()});
+            }
+            return;
+        }
+        const fromValue = expanded[sourceSchemaProperty.defaultValueFrom()];
+        if (isUnset(sourceSchemaProperty, expanded[key]) && fromValue !== undefined) {
+            expanded[key] = structuredClone(fromValue);
+            defaultedPaths.push([...path, key]);
+        }
+    });
+    return value === null && Object.keys(expanded).length === 0 && rootReferences.length === rootReferenceCount ? null : expanded;
+}
+
+function expandPropertyValue(sourceSchemaProperty, value, path, sourceTypesByType, defaultedPaths, rootReferences) {
+    const propertyType = resolvePropertyType(sourceSchemaProperty, sourceTypesByType);
+    if (!propertyType) {
+        return value;
+    }
+    if (!sourceSchemaProperty.isSeq) {
+        return expandType(propertyType, value, path, sourceTypesByType, defaultedPaths, rootReferences);
+    }
+    if (!Array.isArray(value)) {
+        return value;
+    }
+    return value.map((item, index) => expandType(propertyType, item, [...path, index], sourceTypesByType, defaultedPaths, rootReferences));
+}
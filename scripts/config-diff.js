@@ -0,0 +1,205 @@
+import {isPlainObject, resolvePropertyType} from "./config-walker.js";
+import {rootTypeName} from "./util.js";
+
+// Compare two configurations by their meaning rather than their text. Both are resolved against the source schema
+// types, so that key order doesn't matter, a null object equals an empty one, name-value pair arrays are compared by
+// name, and string list properties such as .composite_list are merged into their array counterparts first.
+
+export const CHANGE_ADDED = 'added';
+export const CHANGE_REMOVED = 'removed';
+export const CHANGE_CHANGED = 'changed';
+
+// String list properties which are equivalent to entries of a sibling array property, as parsed by parse.
+const listProperties = [
+    {
+        listProperty: 'composite_list',
+        arrayProperty: 'composite',
+        parse: value => splitList(value).map(name => ({[name]: null})),
+        entryKey: entry => Object.keys(entry)[0],
+    },
+    {
+        listProperty: 'attributes_list',
+        arrayProperty: 'attributes',
+        parse: parseKeyValueList,
+        entryKey: entry => entry.name,
+    },
+    {
+        listProperty: 'headers_list',
+        arrayProperty: 'headers',
+        parse: parseKeyValueList,
+        entryKey: entry => entry.name,
+    },
+];
+
+// Diff the configs, which should be valid according to the JSON schema. Returns an array of ConfigChange in document
+// order. The configs are not modified.
+export function diffConfigs(before, after, sourceTypesByType) {
+    const changes = [];
+    diffType(sourceTypesByType[rootTypeName], normalizeConfig(before, sourceTypesByType), normalizeConfig(after, sourceTypesByType), '', null, sourceTypesByType, changes);
+    return changes;
+}
+
+// Merge string list properties such as .composite_list into their array counterparts, and remove null primitives
+// which are equivalent to omitting them. The config is not modified.
+export function normalizeConfig(config, sourceTypesByType) {
+    return normalizeType(sourceTypesByType[rootTypeName], config, sourceTypesByType);
+}
+
+// Types
+
+export class ConfigChange {
+    kind; // added, removed or changed
+    path; // e.g. tracer_provider.processors[0].batch.exporter.otlp_http.compression
+    before; // undefined if added
+    after; // undefined if removed
+    sourceSchemaProperty; // The property of the changed value, or of the array containing it. null if unknown.
+
+    constructor(kind, path, before, after, sourceSchemaProperty) {
+        this.kind = kind;
+        this.path = path;
+        this.before = before;
+        this.after = after;
+        this.sourceSchemaProperty = sourceSchemaProperty;
+    }
+
+    format() {
+        switch (this.kind) {
+            case CHANGE_ADDED:
+                return `+ ${this.path}: ${formatValue(this.after)}`;
+            case CHANGE_REMOVED:
+                return `- ${this.path}: ${formatValue(this.before)}`;
+            default:
+                return `~ ${this.path}: ${formatValue(this.before)} → ${formatValue(this.after)}`;
+        }
+    }
+
+    // The first line of the property description, or null if unknown
+    description() {
+        const description = this.sourceSchemaProperty && this.sourceSchemaProperty.schema['description'];
+        return description ? description.trim().split('\n')[0] : null;
+    }
+
+    toJson() {
+        return {
+            kind: this.kind,
+            path: this.path,
+            before: this.before === undefined ? null : this.before,
+            after: this.after === undefined ? null : this.after,
+            description: this.sourceSchemaProperty && this.sourceSchemaProperty.schema['description'] ? this.sourceSchemaProperty.schema['description'].trim() : null,
+            defaultBehavior: this.sourceSchemaProperty ? this.sourceSchemaProperty.formatDefaultAndNullBehavior() : null
+        };
+    }
+}
+
+// Helper functions
+
+function normalizeType(sourceSchemaType, value, sourceTypesByType) {
+    if (sourceSchemaType.isEnumType() || !isPlainObject(value)) {
+        return value;
+    }
+    const normalized = {...value};
+    sourceSchemaType.properties.forEach(sourceSchemaProperty => {
+        const key = sourceSchemaProperty.property;
+        const propertyType = resolvePropertyType(sourceSchemaProperty, sourceTypesByType);
+        // A null primitive is equivalent to omitting it, unless it has a nullBehavior
+        if (!propertyType && normalized[key] === null && !sourceSchemaProperty.schema['nullBehavior']) {
+            delete normalized[key];
+        }
+        if (propertyType && normalized[key] !== undefined) {
+            normalized[key] = sourceSchemaProperty.isSeq && Array.isArray(normalized[key])
+                ? normalized[key].map(item => normalizeType(propertyType, item, sourceTypesByType))
+                : normalizeType(propertyType, normalized[key], sourceTypesByType);
+        }
+    });
+    listProperties.forEach(({listProperty, arrayProperty, parse, entryKey}) => {
+        const hasProperties = [listProperty, arrayProperty].every(key => sourceSchemaType.properties.some(property => property.property === key));
+        if (!hasProperties || typeof normalized[listProperty] !== 'string') {
+            return;
+        }
+        // Array entries take priority, and duplicates are filtered out
+        const entries = Array.isArray(normalized[arrayProperty]) ? normalized[arrayProperty].slice() : [];
+        const keys = new Set(entries.map(entryKey));
+        parse(normalized[listProperty]).forEach(entry => {
+            if (!keys.has(entryKey(entry))) {
+                keys.add(entryKey(entry));
+                entries.push(entry);
+            }
+        });
+        delete normalized[listProperty];
+        if (entries.length > 0) {
+            normalized[arrayProperty] = entries;
+        }
+    });
+    return normalized;
+}
+
+function diffType(sourceSchemaType, before, after, path, sourceSchemaProperty, sourceTypesByType, changes) {
+    // A null object is equivalent to an empty one, e.g. "console:" and "console: {}"
+    const isObjectType = sourceSchemaType && !sourceSchemaType.isEnumType();
+    const beforeObject = isObjectType && before === null ? {} : before;
+    const afterObject = isObjectType && after === null ? {} : after;
+    if (!isPlainObject(beforeObject) || !isPlainObject(afterObject)) {
+        diffScalar(before, after, path, sourceSchemaProperty, changes);
+        return;
+    }
+    const keys = [...Object.keys(beforeObject), ...Object.keys(afterObject).filter(key => !(key in beforeObject))];
+    keys.forEach(key => {
+        const propertyPath = path.length === 0 ? key : `${path}.${key}`;
+        const childProperty = sourceSchemaType ? sourceSchemaType.properties.find(property => property.property === key) || null : null;
+        const childType = childProperty ? resolvePropertyType(childProperty, sourceTypesByType) || null : null;
+        if (childProperty && childProperty.isSeq && Array.isArray(beforeObject[key]) && Array.isArray(afterObject[key])) {
+            diffArray(childType, beforeObject[key], afterObject[key], propertyPath, childProperty, sourceTypesByType, changes);
+        } else {
+            diffType(childType, beforeObject[key], afterObject[key], propertyPath, childProperty, sourceTypesByType, changes);
+        }
+    });
+}
+
+function diffArray(itemType, before, after, path, sourceSchemaProperty, sourceTypesByType, changes) {
+    // Name-value pairs are identified by name, other entries by position
+    const isNameValuePair = itemType && ['name', 'value'].every(key => itemType.properties.some(property => property.property === key));
+    if (isNameValuePair) {
+        const names = [...before.map(entry => entry.name), ...after.map(entry => entry.name).filter(name => !before.some(entry => entry.name === name))];
+        names.forEach(name => {
+            diffType(itemType, before.find(entry => entry.name === name), after.find(entry => entry.name === name), `${path}[name=${name}]`, sourceSchemaProperty, sourceTypesByType, changes);
+        });
+        return;
+    }
+    for (let index = 0; index < Math.max(before.length, after.length); index++) {
+        diffType(itemType, before[index], after[index], `${path}[${index}]`, sourceSchemaProperty, sourceTypesByType, changes);
+    }
+}
+
+function diffScalar(before, after, path, sourceSchemaProperty, changes) {
+    if (before === undefined && after !== undefined) {
+        changes.push(new ConfigChange(CHANGE_ADDED, path, before, after, sourceSchemaProperty));
+    } else if (after === undefined && before !== undefined) {
+        changes.push(new ConfigChange(CHANGE_REMOVED, path, before, after, sourceSchemaProperty));
+    } else if (JSON.stringify(before) !== JSON.stringify(after)) {
+        changes.push(new ConfigChange(CHANGE_CHANGED, path, before, after, sourceSchemaProperty));
+    }
+}
+
+function formatValue(value) {
+    return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+function splitList(value) {
+    return value.split(',').map(entry => entry.trim()).filter(entry => entry.length > 0);
+}
+
+// Parse a list of comma separated key-value pairs, e.g. "service.name=my-service,team=a", into name-value pairs.
+// Percent-encoded values are decoded, as in OTEL_RESOURCE_ATTRIBUTES.
+function parseKeyValueList(value) {
+    return splitList(value).filter(entry => entry.includes('=')).map(entry => {
+        const separatorIndex = entry.indexOf('=');
+        const rawValue = entry.substring(separatorIndex + 1).trim();
+        let decodedValue;
+        try {
+            decodedValue = decodeURIComponent(rawValue);
+        } catch (error) {
+            decodedValue = rawValue;
+        }
+        return {name: entry.substring(0, separatorIndex).trim(), value: decodedValue};
+    });
+}
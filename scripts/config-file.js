@@ -0,0 +1,145 @@
+import fs from "fs";
+import yaml from "yaml";
+import {substituteEnvVars} from "./env-substitution.js";
+
+// Read a configuration file, parse it, and perform environment variable substitution using the env.
+// Problems are recorded in ConfigFile.messages rather than thrown, so callers can report them with file positions.
+export function readConfigFile(file, env = process.env) {
+    return parseConfigFile(file, fs.readFileSync(file, "utf-8"), env);
+}
+
+// As readConfigFile, for content which has not been written to disk. The file is only used in messages.
+// If env is null, environment variable references are left as they are.
+export function parseConfigFile(file, content, env = process.env) {
+    const lineCounter = new yaml.LineCounter();
+    const document = yaml.parseDocument(content, {lineCounter});
+    const configFile = new ConfigFile(file, content, document, lineCounter);
+
+    [...document.errors, ...document.warnings].forEach(error => {
+        const severity = document.errors.includes(error) ? 'error' : 'warning';
+        configFile.addMessage(severity, error.pos[0], error.message.split('\n')[0]);
+    });
+    if (document.errors.length > 0 || env === null) {
+        return configFile;
+    }
+
+    substituteEnvVars(document, env)
+        .forEach(message => configFile.addMessage(message.severity, message.offset, message.message));
+    return configFile;
+}
+
+// Types
+
+export class ConfigFile {
+    file;
+    content;
+    document;
+    lineCounter;
+    messages;
+
+    constructor(file, content, document, lineCounter) {
+        this.file = file;
+        this.content = content;
+        this.document = document;
+        this.lineCounter = lineCounter;
+        this.messages = [];
+    }
+
+    hasErrors() {
+        return this.messages.some(message => message.severity === 'error');
+    }
+
+    // The parsed content, after environment variable substitution unless env is null
+    toJS() {
+        return this.document.toJS();
+    }
+
+    // Find the offset of the YAML node at the path, where path is an array of property keys and array indices.
+    // If key is true, returns the offset of the property key rather than its value. If the path cannot be fully
+    // resolved, returns the offset of the deepest node found.
+    offsetOf(path, key = false) {
+        let node = this.document.contents;
+        let offset = node && node.range ? node.range[0] : 0;
+        for (const segment of path) {
+            let keyNode = null;
+            if (yaml.isMap(node)) {
+                const pair = node.items.find(item => (yaml.isScalar(item.key) ? item.key.value : item.key) === segment);
+                if (!pair) {
+                    break;
+                }
+                keyNode = pair.key;
+                node = pair.value;
+            } else if (yaml.isSeq(node) && node.items[segment] !== undefined) {
+                node = node.items[segment];
+            } else {
+                break;
+            }
+            const targetNode = key && keyNode ? keyNode : node;
+            if (targetNode && targetNode.range) {
+                offset = targetNode.range[0];
+            }
+        }
+        return offset;
+    }
+
+    addMessage(severity, offset, message, details = {}) {
+        const {line, col} = this.lineCounter.linePos(offset);
+        this.messages.push(new ConfigFileMessage(this.file, line, col, severity, message, details.path, details.code, details.suggestion));
+    }
+
+    sortedMessages() {
+        const sorted = this.messages.slice();
+        sorted.sort((a, b) => a.line - b.line || a.column - b.column);
+        return sorted;
+    }
+}
+
+export class ConfigFileMessage {
+    file;
+    line;
+    column;
+    severity;
+    message;
+    path; // null if not associated with a configuration path
+    code; // null if not associated with a validation keyword or rule
+    suggestion; // null if there is no suggested fix
+
+    constructor(file, line, column, severity, message, path = null, code = null, suggestion = null) {
+        this.file = file;
+        this.line = line;
+        this.column = column;
+        this.severity = severity;
+        this.message = message;
+        this.path = path;
+        this.code = code;
+        this.suggestion = suggestion;
+    }
+
+    format() {
+        let formatted = `${this.file}:${this.line}:${this.column}: ${this.severity}: `;
+        if (this.path !== null) {
+            formatted += `${this.path}: `;
+        }
+        formatted += this.message;
+        if (this.suggestion !== null) {
+            formatted += ` Did you mean '${this.suggestion}'?`;
+        }
+        if (this.code !== null) {
+            formatted += ` [${this.code}]`;
+        }
+        return formatted;
+    }
+
+    toJson() {
+        return {
+            file: this.file,
+            line: this.line,
+            column: this.column,
+            severity: this.severity,
+            path: this.path,
+            code: this.code,
+            message: this.message,
+            suggestion: this.suggestion
+        };
+    }
+}
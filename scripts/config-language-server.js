@@ -0,0 +1,33 @@
+import {parseArgs} from "util";
+import {compileConfigValidator} from "./config-validation.js";
+import {readSourceTypesByType} from "./source-schema.js";
+import {readExtensionRegistry} from "./extension-registry.js";
+import {JsonRpcConnection, LanguageServer} from "./language-server.js";
+
+// Run the configuration file language server over stdio. Editors should start it with the --stdio argument, which is
+// accepted for compatibility with LSP clients which always pass it. Stdout is reserved for protocol messages, so
+// problems are written to stderr.
+
+const {values: options} = parseArgs({
+    options: {
+        stdio: {type: 'boolean', default: false},
+        extensions: {type: 'string', multiple: true, default: []},
+    }
+});
+
+const validator = compileConfigValidator();
+const sourceTypesByType = readSourceTypesByType();
+
+let extensionRegistry = null;
+if (options.extensions.length > 0) {
+    extensionRegistry = readExtensionRegistry(options.extensions, sourceTypesByType);
+    if (extensionRegistry.messages.length > 0) {
+        extensionRegistry.messages.forEach(message => console.error(message));
+        process.exit(1);
+    }
+}
+
+const connection = new JsonRpcConnection(process.stdin, process.stdout);
+new LanguageServer(connection, sourceTypesByType, validator, extensionRegistry, code => process.exit(code));
+connection.listen();
+process.stdin.on('end', () => process.exit(1));
@@ -0,0 +1,224 @@
+import {isPlainObject, resolvePropertyType} from "./config-walker.js";
+import {rootTypeName} from "./util.js";
+
+// Merge layered configuration files: a base followed by ordered overlays. Objects are deep merged, with overlay values
+// taking precedence. Lists of objects are merged according to a ListStrategy per property, and lists of primitives
+// are replaced. The file each final value came from is recorded.
+
+export const LIST_STRATEGY_REPLACE = 'replace';
+export const LIST_STRATEGY_APPEND = 'append';
+export const LIST_STRATEGY_MERGE_BY_INDEX = 'merge-by-index';
+export const LIST_STRATEGY_MERGE_BY_KEY = 'merge-by-key';
+
+// Default list strategies by <Type>.<property>. Lists of name-value pairs are merged by name, and other lists replaced.
+export const defaultListStrategies = {
+    'TracerProvider.processors': LIST_STRATEGY_MERGE_BY_INDEX,
+    'LoggerProvider.processors': LIST_STRATEGY_MERGE_BY_INDEX,
+    'MeterProvider.readers': LIST_STRATEGY_MERGE_BY_INDEX,
+    'MeterProvider.views': LIST_STRATEGY_APPEND,
+};
+
+// Parse a list strategy, one of replace, append, merge-by-index or merge-by-key:<key>, where <key> is a property path
+// within each entry, e.g. merge-by-key:selector.instrument_name. Throws if the strategy is invalid.
+export function parseListStrategy(strategy) {
+    const [kind, ...keyParts] = strategy.split(':');
+    const key = keyParts.join(':');
+    if (kind === LIST_STRATEGY_MERGE_BY_KEY) {
+        if (key.length === 0) {
+            throw new Error(`List strategy ${LIST_STRATEGY_MERGE_BY_KEY} requires a key, e.g. ${LIST_STRATEGY_MERGE_BY_KEY}:name.`);
+        }
+        return new ListStrategy(kind, key.split('.'));
+    }
+    if (![LIST_STRATEGY_REPLACE, LIST_STRATEGY_APPEND, LIST_STRATEGY_MERGE_BY_INDEX].includes(kind) || key.length > 0) {
+        throw new Error(`Unknown list strategy '${strategy}'. Expected one of ${LIST_STRATEGY_REPLACE}, ${LIST_STRATEGY_APPEND}, ${LIST_STRATEGY_MERGE_BY_INDEX} or ${LIST_STRATEGY_MERGE_BY_KEY}:<key>.`);
+    }
+    return new ListStrategy(kind, null);
+}
+
+// Merge the layers, an array of ConfigLayer with the base first. listStrategies maps <Type>.<property> to a strategy,
+// and takes precedence over defaultListStrategies. Environment variable references are merged as they are.
+export function mergeConfigLayers(layers, sourceTypesByType, listStrategies = {}) {
+    const strategies = {};
+    Object.entries({...defaultListStrategies, ...listStrategies}).forEach(([property, strategy]) => {
+        strategies[property] = strategy instanceof ListStrategy ? strategy : parseListStrategy(strategy);
+    });
+    const rootType = sourceTypesByType[rootTypeName];
+    let merged = undefined;
+    layers.forEach(layer => {
+        merged = mergeType(rootType, merged, sourced(layer.config, layer.file), strategies, sourceTypesByType);
+    });
+    const provenance = [];
+    const config = unwrap(merged, [], provenance);
+    return new MergedConfig(config === undefined ? {} : config, provenance);
+}
+
+// Types
+
+export class ConfigLayer {
+    file;
+    config;
+
+    constructor(file, config) {
+        this.file = file;
+        this.config = config;
+    }
+}
+
+export class ListStrategy {
+    kind;
+    key; // The property path of the key within each entry for merge-by-key, else null
+
+    constructor(kind, key) {
+        this.kind = kind;
+        this.key = key;
+    }
+}
+
+export class MergedConfig {
+    config;
+    provenance; // ValueProvenance of each leaf value: scalars, nulls, empty objects and lists of primitives
+
+    constructor(config, provenance) {
+        this.config = config;
+        this.provenance = provenance;
+    }
+}
+
+export class ValueProvenance {
+    path; // Array of property keys and array indices
+    file;
+
+    constructor(path, file) {
+        this.path = path;
+        this.file = file;
+    }
+}
+
+// A leaf value, and the file it came from
+class SourcedValue {
+    value;
+    file;
+
+    constructor(value, file) {
+        this.value = value;
+        this.file = file;
+    }
+
+    // Whether the value is an empty object, or null, which is equivalent for object types
+    isEmptyObject() {
+        return this.value === null || (isPlainObject(this.value) && Object.keys(this.value).length === 0);
+    }
+}
+
+// Helper functions
+
+// Convert the value to a tree whose leaves are SourcedValue.
+function sourced(value, file) {
+    if (isPlainObject(value) && Object.keys(value).length > 0) {
+        return Object.fromEntries(Object.entries(value).map(([key, propertyValue]) => [key, sourced(propertyValue, file)]));
+    }
+    if (Array.isArray(value) && value.some(item => isPlainObject(item) || Array.isArray(item))) {
+        return value.map(item => sourced(item, file));
+    }
+    return new SourcedValue(value, file);
+}
+
+function isObjectNode(node) {
+    return isPlainObject(node) && !(node instanceof SourcedValue);
+}
+
+function mergeType(sourceSchemaType, base, overlay, strategies, sourceTypesByType) {
+    if (overlay === undefined) {
+        return base;
+    }
+    if (base === undefined) {
+        return overlay;
+    }
+    // An empty object or null doesn't override the properties of an object, e.g. "console:" over "console: {...}"
+    if (overlay instanceof SourcedValue && overlay.isEmptyObject() && isObjectNode(base)) {
+        return base;
+    }
+    if (!isObjectNode(base) || !isObjectNode(overlay)) {
+        return overlay;
+    }
+    // Types with exactly one property, e.g. Sampler, are replaced when the overlay chooses a different one
+    if (sourceSchemaType && sourceSchemaType.schema['maxProperties'] === 1 && Object.keys(base).some(key => !(key in overlay))) {
+        return overlay;
+    }
+    const merged = {...base};
+    Object.entries(overlay).forEach(([key, overlayValue]) => {
+        const sourceSchemaProperty = sourceSchemaType ? sourceSchemaType.properties.find(property => property.property === key) : undefined;
+        const propertyType = sourceSchemaProperty ? resolvePropertyType(sourceSchemaProperty, sourceTypesByType) || null : null;
+        if (sourceSchemaProperty && sourceSchemaProperty.isSeq && Array.isArray(merged[key]) && Array.isArray(overlayValue)) {
+            const strategy = listStrategy(sourceSchemaType, sourceSchemaProperty, propertyType, strategies);
+            merged[key] = mergeList(propertyType, merged[key], overlayValue, strategy, strategies, sourceTypesByType);
+        } else {
+            merged[key] = mergeType(propertyType, merged[key], overlayValue, strategies, sourceTypesByType);
+        }
+    });
+    return merged;
+}
+
+function listStrategy(sourceSchemaType, sourceSchemaProperty, itemType, strategies) {
+    const strategy = strategies[`${sourceSchemaType.type}.${sourceSchemaProperty.property}`];
+    if (strategy) {
+        return strategy;
+    }
+    const isNameValuePair = itemType && ['name', 'value'].every(key => itemType.properties.some(property => property.property === key));
+    return isNameValuePair ? new ListStrategy(LIST_STRATEGY_MERGE_BY_KEY, ['name']) : new ListStrategy(LIST_STRATEGY_REPLACE, null);
+}
+
+function mergeList(itemType, base, overlay, strategy, strategies, sourceTypesByType) {
+    switch (strategy.kind) {
+        case LIST_STRATEGY_APPEND:
+            return [...base, ...overlay];
+        case LIST_STRATEGY_MERGE_BY_INDEX: {
+            const merged = [];
+            for (let index = 0; index < Math.max(base.length, overlay.length); index++) {
+                merged.push(mergeType(itemType, base[index], overlay[index], strategies, sourceTypesByType));
+            }
+            return merged;
+        }
+        case LIST_STRATEGY_MERGE_BY_KEY: {
+            // Entries without the key are appended
+            const merged = base.slice();
+            overlay.forEach(entry => {
+                const key = entryKey(entry, strategy.key);
+                const index = key === undefined ? -1 : merged.findIndex(baseEntry => entryKey(baseEntry, strategy.key) === key);
+                if (index === -1) {
+                    merged.push(entry);
+                } else {
+                    merged[index] = mergeType(itemType, merged[index], entry, strategies, sourceTypesByType);
+                }
+            });
+            return merged;
+        }
+        default:
+            return overlay;
+    }
+}
+
+function entryKey(entry, keyPath) {
+    let node = entry;
+    for (const key of keyPath) {
+        if (!isObjectNode(node)) {
+            return undefined;
+        }
+        node = node[key];
+    }
+    return node instanceof SourcedValue && node.value !== null && typeof node.value !== 'object' ? node.value : undefined;
+}
+
+function unwrap(node, path, provenance) {
+    if (node instanceof SourcedValue) {
+        provenance.push(new ValueProvenance(path, node.file));
+        return node.value;
+    }
+    if (Array.isArray(node)) {
+        return node.map((item, index) => unwrap(item, [...path, index], provenance));
+    }
+    if (isPlainObject(node)) {
+        return Object.fromEntries(Object.entries(node).map(([key, value]) => [key, unwrap(value, [...path, key], provenance)]));
+    }
+    return node;
+}
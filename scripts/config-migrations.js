@@ -0,0 +1,349 @@
+import yaml from "yaml";
+import {compareFileFormats, fileFormat} from "./util.js";
+import {formatPath} from "./config-walker.js";
+import {formatContainerPath} from "./env-var-mappings.js";
+
+// Upgrade configuration files from an older file_format to a newer one by applying the declared chain of migrations
+// in order. Transforms operate on the parsed YAML document rather than plain objects, so that comments, key order and
+// formatting are preserved. Changes which can't be made automatically are reported as manual steps.
+//
+// When a release contains breaking changes, declare a Migration from the previous file_format with a transform per
+// change. Container paths have the same syntax as EnvVarMapping.containerPath: '*' matches all array items, and an
+// array segment matches any of its keys.
+
+const spanExporterPath = ['tracer_provider', 'processors', '*', ['batch', 'simple'], 'exporter'];
+const otlpExporterPaths = [
+    [...spanExporterPath, ['otlp_http', 'otlp_grpc']],
+    ['meter_provider', 'readers', '*', 'periodic', 'exporter', ['otlp_http', 'otlp_grpc']],
+    ['logger_provider', 'processors', '*', ['batch', 'simple'], 'exporter', ['otlp_http', 'otlp_grpc']],
+];
+const otlpGrpcExporterPaths = otlpExporterPaths.map(containerPath => [...containerPath.slice(0, -1), 'otlp_grpc']);
+const prometheusExporterPath = ['meter_provider', 'readers', '*', 'pull', 'exporter', 'prometheus/development'];
+const scopeConfigPaths = [
+    ['tracer_provider', 'tracer_configurator/development', 'default_config'],
+    ['tracer_provider', 'tracer_configurator/development', 'tracers', '*', 'config'],
+    ['meter_provider', 'meter_configurator/development', 'default_config'],
+    ['meter_provider', 'meter_configurator/development', 'meters', '*', 'config'],
+    ['logger_provider', 'logger_configurator/development', 'default_config'],
+    ['logger_provider', 'logger_configurator/development', 'loggers', '*', 'config'],
+];
+const severityNumbers = ['trace', 'debug', 'info', 'warn', 'error', 'fatal']
+    .flatMap(severity => [severity, `${severity}2`, `${severity}3`, `${severity}4`]);
+
+// Types
+
+export class Migration {
+    from; // The file_format migrated from
+    to; // The file_format migrated to
+    transforms; // Array of Transform, applied in order
+
+    constructor(from, to, transforms) {
+        this.from = from;
+        this.to = to;
+        this.transforms = transforms;
+    }
+}
+
+export class Transform {
+    description;
+    apply; // (document, report) => void, where report(path, message, isManual) records a MigrationChange
+
+    constructor(description, apply) {
+        this.description = description;
+        this.apply = apply;
+    }
+}
+
+export class MigrationChange {
+    to; // The file_format of the migration making the change
+    path; // e.g. tracer_provider.processors[0].batch.exporter.otlp_http.certificate_file
+    message;
+    isManual; // Whether the change must be made by hand
+
+    constructor(to, path, message, isManual) {
+        this.to = to;
+        this.path = path;
+        this.message = message;
+        this.isManual = isManual;
+    }
+
+    format() {
+        return `${this.isManual ? '!' : '~'} ${this.path}: ${this.message}${this.isManual ? ' (manual step required)' : ''}`;
+    }
+}
+
+export class MigrationResult {
+    from;
+    to;
+    changes; // Array of MigrationChange in the order they were made
+
+    constructor(from, to, changes) {
+        this.from = from;
+        this.to = to;
+        this.changes = changes;
+    }
+
+    hasManualSteps() {
+        return this.changes.some(change => change.isManual);
+    }
+}
+
+// Migrations
+
+// The declared chain of migrations, oldest first. The last migration must be to the current fileFormat.
+export const migrations = [
+    new Migration('1.0-rc.2', '1.0-rc.3', [
+        ...otlpExporterPaths.flatMap(containerPath => [
+            moveProperty(containerPath, 'certificate_file', ['tls', 'ca_file']),
+            moveProperty(containerPath, 'client_key_file', ['tls', 'key_file']),
+            moveProperty(containerPath, 'client_certificate_file', ['tls', 'cert_file']),
+        ]),
+        ...otlpGrpcExporterPaths.map(containerPath => moveProperty(containerPath, 'insecure', ['tls', 'insecure'])),
+        new Transform('Rename the jaeger_remote sampler to jaeger_remote/development', (document, report) => {
+            samplerMaps(document).forEach(({map, path}) => renameKey(map, path, 'jaeger_remote', 'jaeger_remote/development', false, report));
+        }),
+        manualStep([spanExporterPath], 'zipkin', 'ZipkinSpanExporter was deleted. Replace it with an OTLP exporter, or a custom SDK extension plugin.'),
+        new Transform('Lower case .log_level, which is now a SeverityNumber', (document, report) => {
+            const pair = findPair(document.contents, 'log_level');
+            if (!pair || !yaml.isScalar(pair.value) || pair.value.value === null || severityNumbers.includes(pair.value.value)) {
+                return;
+            }
+            const value = String(pair.value.value);
+            if (severityNumbers.includes(value.toLowerCase())) {
+                pair.value.value = value.toLowerCase();
+                report(['log_level'], `changed ${value} to ${value.toLowerCase()}`, false);
+            } else {
+                report(['log_level'], `${value} is not a SeverityNumber. Change it to one of ${severityNumbers.join(', ')}.`, true);
+            }
+        }),
+    ]),
+    new Migration('1.0-rc.3', '1.0', [
+        removePropagators(['jaeger', 'ottrace'], 'The Jaeger and OpenTracing propagators were deleted.'),
+        ...scopeConfigPaths.map(containerPath => renameProperty([containerPath], 'disabled', 'enabled', true)),
+        removeProperty([['instrumentation/development', 'general']], 'peer', 'Configure peer service mappings in language specific instrumentation config instead.'),
+        renameProperty([prometheusExporterPath], 'without_scope_info', 'scope_info_enabled', true),
+        renameProperty([prometheusExporterPath], 'without_target_info', 'target_info_enabled/development', true),
+        renameProperty([prometheusExporterPath], 'without_target_info/development', 'target_info_enabled/development', true),
+        ...['no_translation', 'no_utf8_escaping_with_suffixes', 'underscore_escaping_without_suffixes']
+            .map(value => renameEnumValue([prometheusExporterPath], 'translation_strategy', value, `${value}/development`)),
+    ]),
+];
+
+// Migrate the document in place from its file_format to the target, and update its file_format. Throws if the
+// file_format is missing or invalid, newer than the target, or older than the first declared migration.
+export function migrateDocument(document, target = fileFormat, migrationChain = migrations) {
+    const fileFormatPair = findPair(document.contents, 'file_format');
+    const from = fileFormatPair && yaml.isScalar(fileFormatPair.value) ? fileFormatPair.value.value : undefined;
+    if (typeof from !== 'string' || compareFileFormats(from, target) === null) {
+        throw new Error(`Cannot migrate: .file_format is ${from === undefined ? 'missing' : `'${from}'`}, expected a version such as "${migrationChain[0].from}".`);
+    }
+    if (compareFileFormats(from, target) > 0) {
+        throw new Error(`Cannot migrate: .file_format "${from}" is newer than "${target}".`);
+    }
+    if (compareFileFormats(from, migrationChain[0].from) < 0) {
+        throw new Error(`Cannot migrate: no migrations are declared from .file_format "${from}". Migrate to "${migrationChain[0].from}" by hand, following the CHANGELOG.`);
+    }
+
+    const changes = [];
+    migrationChain
+        .filter(migration => compareFileFormats(from, migration.to) < 0 && compareFileFormats(migration.to, target) <= 0)
+        .forEach(migration => {
+            const report = (path, message, isManual) => changes.push(new MigrationChange(migration.to, formatPath(path), message, isManual));
+            migration.transforms.forEach(transform => transform.apply(document, report));
+        });
+
+    if (from !== target) {
+        fileFormatPair.value.value = target;
+    }
+    return new MigrationResult(from, target, changes);
+}
+
+// Transform factories
+
+// Rename the property of the objects at the containerPaths. If invert, the boolean value is negated.
+export function renameProperty(containerPaths, from, to, invert = false) {
+    return new Transform(`Rename ${from} to ${to}${invert ? ', inverting its value' : ''} in ${containerPaths.map(formatContainerPath).join(', ')}`, (document, report) => {
+        containerPaths.forEach(containerPath => {
+            findMaps(document, containerPath).forEach(({map, path}) => renameKey(map, path, from, to, invert, report));
+        });
+    });
+}
+
+// Move the property of the objects at the containerPath to the relative path toPath, creating objects as needed.
+export function moveProperty(containerPath, from, toPath) {
+    return new Transform(`Move ${from} to ${toPath.join('.')} in ${formatContainerPath(containerPath)}`, (document, report) => {
+        findMaps(document, containerPath).forEach(({map, path}) => {
+            const pair = findPair(map, from);
+            if (!pair) {
+                return;
+            }
+            let target = map;
+            let insertIndex = map.items.indexOf(pair);
+            for (const key of toPath.slice(0, -1)) {
+                let targetPair = findPair(target, key);
+                if (!targetPair) {
+                    targetPair = document.createPair(key, document.createNode({}));
+                    targetPair.value.flow = false;
+                    target.items.splice(insertIndex, 0, targetPair);
+                } else if (!yaml.isMap(targetPair.value)) {
+                    report([...path, from], `cannot be moved to ${toPath.join('.')}, as ${key} is not an object.`, true);
+                    return;
+                }
+                target = targetPair.value;
+                insertIndex = target.items.length;
+            }
+            const toKey = toPath[toPath.length - 1];
+            if (findPair(target, toKey)) {
+                report([...path, from], `cannot be moved to ${toPath.join('.')}, which is already set.`, true);
+                return;
+            }
+            map.items.splice(map.items.indexOf(pair), 1);
+            setKey(pair, toKey);
+            target.items.push(pair);
+            report([...path, from], `moved to ${formatPath([...path, ...toPath])}`, false);
+        });
+    });
+}
+
+// Change the value of the property of the objects at the containerPaths from one enum value to another.
+export function renameEnumValue(containerPaths, property, from, to) {
+    return new Transform(`Rename ${property} value ${from} to ${to} in ${containerPaths.map(formatContainerPath).join(', ')}`, (document, report) => {
+        containerPaths.forEach(containerPath => {
+            findMaps(document, containerPath).forEach(({map, path}) => {
+                const pair = findPair(map, property);
+                if (pair && yaml.isScalar(pair.value) && pair.value.value === from) {
+                    pair.value.value = to;
+                    report([...path, property], `changed ${from} to ${to}`, false);
+                }
+            });
+        });
+    });
+}
+
+// Remove the property of the objects at the containerPaths, reporting the note as a manual step, since its setting
+// is lost.
+export function removeProperty(containerPaths, property, note) {
+    return new Transform(`Remove ${property} from ${containerPaths.map(formatContainerPath).join(', ')}`, (document, report) => {
+        containerPaths.forEach(containerPath => {
+            findMaps(document, containerPath).forEach(({map, path}) => {
+                const pair = findPair(map, property);
+                if (pair) {
+                    map.items.splice(map.items.indexOf(pair), 1);
+                    report([...path, property], `removed. ${note}`, true);
+                }
+            });
+        });
+    });
+}
+
+// Report the property of the objects at the containerPaths as a manual step, without changing it.
+export function manualStep(containerPaths, property, note) {
+    return new Transform(`Report ${property} in ${containerPaths.map(formatContainerPath).join(', ')}`, (document, report) => {
+        containerPaths.forEach(containerPath => {
+            findMaps(document, containerPath).forEach(({map, path}) => {
+                if (findPair(map, property)) {
+                    report([...path, property], note, true);
+                }
+            });
+        });
+    });
+}
+
+// Remove propagators from .propagator.composite and .propagator.composite_list.
+export function removePropagators(names, note) {
+    return new Transform(`Remove the ${names.join(', ')} propagators`, (document, report) => {
+        findMaps(document, ['propagator']).forEach(({map, path}) => {
+            const compositePair = findPair(map, 'composite');
+            if (compositePair && yaml.isSeq(compositePair.value)) {
+                compositePair.value.items.slice().forEach(item => {
+                    const name = yaml.isMap(item) && item.items.length === 1 ? keyOf(item.items[0]) : undefined;
+                    if (names.includes(name)) {
+                        const index = compositePair.value.items.indexOf(item);
+                        compositePair.value.items.splice(index, 1);
+                        report([...path, 'composite', index], `removed ${name}. ${note}`, true);
+                    }
+                });
+            }
+            const listPair = findPair(map, 'composite_list');
+            if (listPair && yaml.isScalar(listPair.value) && typeof listPair.value.value === 'string') {
+                const entries = listPair.value.value.split(',').map(entry => entry.trim());
+                const removed = entries.filter(entry => names.includes(entry));
+                if (removed.length > 0) {
+                    listPair.value.value = entries.filter(entry => !names.includes(entry)).join(',');
+                    report([...path, 'composite_list'], `removed ${removed.join(', ')}. ${note}`, true);
+                }
+            }
+        });
+    });
+}
+
+// Helper functions
+
+function keyOf(pair) {
+    return yaml.isScalar(pair.key) ? pair.key.value : pair.key;
+}
+
+function setKey(pair, key) {
+    if (yaml.isScalar(pair.key)) {
+        pair.key.value = key;
+    } else {
+        pair.key = key;
+    }
+}
+
+function findPair(map, key) {
+    return yaml.isMap(map) ? map.items.find(pair => keyOf(pair) === key) : undefined;
+}
+
+// Find the YAML maps matching the containerPath, with their paths of property keys and array indices.
+function findMaps(document, containerPath) {
+    let matches = [{node: document.contents, path: []}];
+    containerPath.forEach(segment => {
+        matches = matches.flatMap(({node, path}) => {
+            if (segment === '*') {
+                return yaml.isSeq(node) ? node.items.map((item, index) => ({node: item, path: [...path, index]})) : [];
+            }
+            const keys = Array.isArray(segment) ? segment : [segment];
+            return keys.map(key => ({pair: findPair(node, key), key}))
+                .filter(({pair}) => pair !== undefined)
+                .map(({pair, key}) => ({node: pair.value, path: [...path, key]}));
+        }).filter(({node}) => yaml.isMap(node) || yaml.isSeq(node));
+    });
+    return matches.filter(({node}) => yaml.isMap(node)).map(({node, path}) => ({map: node, path}));
+}
+
+// Find the Sampler maps: .tracer_provider.sampler, and the samplers nested within parent_based samplers.
+function samplerMaps(document) {
+    const samplers = [];
+    const visit = (map, path) => {
+        samplers.push({map, path});
+        const parentBasedPair = findPair(map, 'parent_based');
+        if (parentBasedPair && yaml.isMap(parentBasedPair.value)) {
+            parentBasedPair.value.items.filter(pair => yaml.isMap(pair.value)).forEach(pair => {
+                visit(pair.value, [...path, 'parent_based', keyOf(pair)]);
+            });
+        }
+    };
+    findMaps(document, ['tracer_provider', 'sampler']).forEach(({map, path}) => visit(map, path));
+    return samplers;
+}
+
+function renameKey(map, path, from, to, invert, report) {
+    const pair = findPair(map, from);
+    if (!pair) {
+        return;
+    }
+    if (findPair(map, to)) {
+        report([...path, from], `cannot be renamed to ${to}, which is already set.`, true);
+        return;
+    }
+    setKey(pair, to);
+    if (!invert || (yaml.isScalar(pair.value) && pair.value.value === null)) {
+        report([...path, from], `renamed to ${to}`, false);
+    } else if (yaml.isScalar(pair.value) && typeof pair.value.value === 'boolean') {
+        pair.value.value = !pair.value.value;
+        report([...path, from], `renamed to ${to}, and changed ${!pair.value.value} to ${pair.value.value}`, false);
+    } else {
+        report([...path, from], `renamed to ${to}. Invert its value by hand, as it is not a boolean literal.`, true);
+    }
+}
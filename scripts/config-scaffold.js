@@ -0,0 +1,145 @@
+import yaml from "yaml";
+import {fileFormat} from "./util.js";
+import {walkConfig} from "./config-walker.js";
+import {escapeSubstitution} from "./env-substitution.js";
+
+// Generate a minimal starter configuration from a few choices, commented with the description and default behavior of
+// each property from the source schema, so the comments stay current as the schema evolves.
+
+export const SIGNALS = ['traces', 'metrics', 'logs'];
+export const EXPORTERS = ['otlp_http', 'otlp_grpc', 'console', 'otlp_file'];
+export const SAMPLERS = ['always_on', 'always_off', 'trace_id_ratio_based', 'parent_based', 'parent_based_trace_id_ratio_based'];
+
+const providersBySignal = {traces: 'tracer_provider', metrics: 'meter_provider', logs: 'logger_provider'};
+const otlpHttpEndpoint = 'http://localhost:4318';
+const otlpGrpcEndpoint = 'http://localhost:4317';
+
+// Types
+
+export class ScaffoldOptions {
+    signals; // Subset of SIGNALS
+    exporter; // One of EXPORTERS
+    sampler; // One of SAMPLERS
+    ratio; // The ratio of trace_id_ratio_based samplers
+    propagators; // Keys of TextMapPropagator, e.g. tracecontext
+    serviceName;
+    envPlaceholders; // Whether to include env var substitution references for values commonly set by env
+
+    constructor(signals, exporter, sampler, ratio, propagators, serviceName, envPlaceholders) {
+        this.signals = signals;
+        this.exporter = exporter;
+        this.sampler = sampler;
+        this.ratio = ratio;
+        this.propagators = propagators;
+        this.serviceName = serviceName;
+        this.envPlaceholders = envPlaceholders;
+    }
+}
+
+// Build the config for the options, which should have been checked against SIGNALS, EXPORTERS, SAMPLERS and the
+// TextMapPropagator properties, and with envPlaceholders, checked with isValidPlaceholderDefault.
+export function scaffoldConfig(options) {
+    // Literal values are escaped, so they are read back unchanged after env var substitution
+    const placeholder = (envVar, value) => options.envPlaceholders ? `\${${envVar}:-${value}}` : literal(value);
+    const config = {file_format: fileFormat};
+
+    const resource = {attributes: [{name: 'service.name', value: placeholder('OTEL_SERVICE_NAME', options.serviceName)}]};
+    if (options.envPlaceholders) {
+        resource['attributes_list'] = '${OTEL_RESOURCE_ATTRIBUTES:-}';
+    }
+    config['resource'] = resource;
+
+    if (options.propagators.length > 0) {
+        config['propagator'] = {composite: options.propagators.map(propagator => ({[propagator]: null}))};
+    }
+
+    options.signals.forEach(signal => {
+        const exporter = {[exporterKey(options.exporter)]: exporterConfig(options.exporter, signal, placeholder)};
+        if (signal === 'metrics') {
+            config[providersBySignal[signal]] = {readers: [{periodic: {exporter}}]};
+            return;
+        }
+        const processor = options.exporter === 'console' ? 'simple' : 'batch';
+        const provider = {processors: [{[processor]: {exporter}}]};
+        if (signal === 'traces') {
+            provider['sampler'] = sampler(options.sampler, placeholder('OTEL_TRACES_SAMPLER_ARG', options.ratio));
+        }
+        config[providersBySignal[signal]] = provider;
+    });
+    return config;
+}
+
+// Whether the value can be the default of an env var substitution reference, which ends at the first '}' and is used
+// as is, without unescaping $$.
+export function isValidPlaceholderDefault(value) {
+    return !String(value).includes('}');
+}
+
+// Convert the config to a YAML document, with a comment before each property holding the first line of its
+// description and, if optional, its default behavior.
+export function scaffoldDocument(config, sourceTypesByType) {
+    const document = new yaml.Document(config);
+    walkConfig(config, sourceTypesByType, {
+        property(sourceSchemaType, sourceSchemaProperty, value, path) {
+            const parent = path.length === 1 ? document.contents : document.getIn(path.slice(0, -1), true);
+            const pair = parent.items.find(item => (yaml.isScalar(item.key) ? item.key.value : item.key) === path[path.length - 1]);
+            if (!yaml.isScalar(pair.key)) {
+                pair.key = document.createNode(pair.key);
+            }
+            const description = sourceSchemaProperty.schema['description'];
+            const lines = [];
+            if (description) {
+                lines.push(` ${description.trim().split('\n')[0].trim()}`);
+            }
+            // Required properties and SDK extension plugin keys, which default to "ignore", have no default to note
+            if (!sourceSchemaProperty.isRequired && sourceSchemaProperty.schema['defaultBehavior'] !== 'ignore') {
+                lines.push(` ${sourceSchemaProperty.formatDefaultAndNullBehavior()}`);
+            }
+            // The comment of the first property of an array entry goes before the entry, rather than after the "-"
+            const isFirstOfArrayEntry = typeof path[path.length - 2] === 'number' && parent.items[0] === pair;
+            if (isFirstOfArrayEntry) {
+                parent.commentBefore = lines.join('\n');
+            } else {
+                pair.key.commentBefore = lines.join('\n');
+            }
+            pair.key.spaceBefore = path.length === 1 && document.contents.items[0] !== pair;
+        }
+    });
+    return document;
+}
+
+// Helper functions
+
+function literal(value) {
+    return typeof value === 'string' ? escapeSubstitution(value) : value;
+}
+
+function exporterKey(exporter) {
+    return exporter === 'otlp_file' ? 'otlp_file/development' : exporter;
+}
+
+function exporterConfig(exporter, signal, placeholder) {
+    switch (exporter) {
+        case 'otlp_http':
+            return {endpoint: `${placeholder('OTEL_EXPORTER_OTLP_ENDPOINT', otlpHttpEndpoint)}/v1/${signal}`};
+        case 'otlp_grpc':
+            return {endpoint: placeholder('OTEL_EXPORTER_OTLP_ENDPOINT', otlpGrpcEndpoint)};
+        case 'otlp_file':
+            return {output_stream: 'stdout'};
+        default:
+            return null;
+    }
+}
+
+function sampler(style, ratio) {
+    switch (style) {
+        case 'trace_id_ratio_based':
+            return {trace_id_ratio_based: {ratio}};
+        case 'parent_based':
+            return {parent_based: {root: {always_on: null}}};
+        case 'parent_based_trace_id_ratio_based':
+            return {parent_based: {root: {trace_id_ratio_based: {ratio}}}};
+        default:
+            return {[style]: null};
+    }
+}
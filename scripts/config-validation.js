@@ -0,0 +1,199 @@
+import fs from "fs";
+import Ajv from "ajv/dist/2020.js";
+import {schemaPath} from "./util.js";
+import {readSourceTypesByType} from "./source-schema.js";
+import {formatPath, walkConfig} from "./config-walker.js";
+
+// Validate configuration files against the compiled JSON schema, reporting errors with positions in the YAML source.
+
+const maxSuggestionDistance = 3;
+
+export function readOutputSchema(path = schemaPath) {
+    return JSON.parse(fs.readFileSync(path, "utf-8"));
+}
+
+// Compile a validator for the output schema. Compilation is expensive, so callers validating many files should
+// compile once and reuse the result.
+export function compileConfigValidator(outputSchema = readOutputSchema()) {
+    const ajv = new Ajv({allErrors: true, verbose: true});
+    return ajv.compile(outputSchema);
+}
+
+// Validate the configFile, adding a message to configFile.messages for each problem. Returns true if valid.
+// If an ExtensionRegistry is given, custom plugin components and distribution keys are validated against it.
+export function validateConfigFile(configFile, validator = compileConfigValidator(), sourceTypesByType = readSourceTypesByType(), extensionRegistry = null) {
+    if (configFile.hasErrors()) {
+        // Parse or substitution errors, validation would only produce noise
+        return false;
+    }
+    const config = configFile.toJS();
+    const valid = validator(config);
+    if (!valid) {
+        collapseCompositionErrors(validator.errors).forEach(error => addValidationError(configFile, config, error));
+    }
+    addUnknownPluginWarnings(configFile, config, sourceTypesByType);
+    if (extensionRegistry !== null) {
+        return validateExtensions(configFile, config, sourceTypesByType, extensionRegistry) && valid;
+    }
+    return valid;
+}
+
+// Find the closest candidate by edit distance, or null if none is close enough to be a plausible typo.
+export function closestMatch(value, candidates) {
+    let closest = null;
+    let closestDistance = Infinity;
+    candidates.forEach(candidate => {
+        const distance = editDistance(value, candidate);
+        if (distance < closestDistance) {
+            closest = candidate;
+            closestDistance = distance;
+        }
+    });
+    const maxDistance = Math.min(maxSuggestionDistance, Math.max(1, Math.floor(value.length / 3)));
+    return closestDistance <= maxDistance ? closest : null;
+}
+
+// Convert an ajv instancePath (a JSON pointer) to an array of property keys and array indices.
+export function parseInstancePath(instancePath, data) {
+    const path = [];
+    let current = data;
+    instancePath.split('/').slice(1).forEach(encoded => {
+        const segment = encoded.replaceAll('~1', '/').replaceAll('~0', '~');
+        const resolved = Array.isArray(current) ? Number(segment) : segment;
+        path.push(resolved);
+        current = current !== null && current !== undefined ? current[resolved] : undefined;
+    });
+    return path;
+}
+
+// Helper functions
+
+function addValidationError(configFile, config, error) {
+    const path = parseInstancePath(error.instancePath, config);
+    let message = error.message;
+    let suggestion = null;
+    let offset;
+    switch (error.keyword) {
+        case 'additionalProperties': {
+            const additionalProperty = error.params.additionalProperty;
+            path.push(additionalProperty);
+            message = `unknown property '${additionalProperty}'.`;
+            suggestion = closestMatch(additionalProperty, Object.keys((error.parentSchema && error.parentSchema.properties) || {}));
+            offset = configFile.offsetOf(path, true);
+            break;
+        }
+        case 'required':
+            message = `missing required property '${error.params.missingProperty}'.`;
+            break;
+        case 'enum':
+            message = `must be one of: ${error.params.allowedValues.map(value => JSON.stringify(value)).join(', ')}.`;
+            if (typeof error.data === 'string') {
+                suggestion = closestMatch(error.data, error.params.allowedValues.filter(value => typeof value === 'string'));
+            }
+            break;
+        case 'oneOf':
+        case 'anyOf':
+            if (Array.isArray(error.schema) && !(error.params && error.params.passingSchemas)) {
+                message = `must be one of: ${error.schema.map(formatSchemaOption).join(', ')}.`;
+            }
+            break;
+        default:
+            message = `${message}.`;
+    }
+    if (offset === undefined) {
+        offset = configFile.offsetOf(path);
+    }
+    configFile.addMessage('error', offset, message, {path: formatPath(path), code: error.keyword, suggestion});
+}
+
+// ajv reports an error for every failing branch of a oneOf / anyOf, followed by an error for the oneOf / anyOf itself.
+// Drop the branch errors, which immediately precede the oneOf / anyOf error and are located at or below its instance.
+function collapseCompositionErrors(errors) {
+    const dropped = new Set();
+    errors.forEach((error, index) => {
+        if (error.keyword !== 'oneOf' && error.keyword !== 'anyOf') {
+            return;
+        }
+        for (let i = index - 1; i >= 0; i--) {
+            const branchError = errors[i];
+            const isBelowInstance = branchError.instancePath === error.instancePath || branchError.instancePath.startsWith(error.instancePath + '/');
+            if (!isBelowInstance || dropped.has(branchError)) {
+                break;
+            }
+            dropped.add(branchError);
+        }
+    });
+    return errors.filter(error => !dropped.has(error));
+}
+
+function formatSchemaOption(option) {
+    if (option['$ref']) {
+        return option['$ref'].substring(option['$ref'].lastIndexOf('/') + 1);
+    }
+    const type = option['type'];
+    if (type === 'array' && option['items'] && option['items']['type']) {
+        return `array of ${option['items']['type']}`;
+    }
+    return Array.isArray(type) ? type.join(' or ') : `${type}`;
+}
+
+// SDK extension plugin types accept any property name to support custom components, so a misspelled built-in
+// component is valid according to the schema. Warn when an unknown plugin property is close to a built-in one.
+function addUnknownPluginWarnings(configFile, config, sourceTypesByType) {
+    walkConfig(config, sourceTypesByType, {
+        unknownProperty(sourceSchemaType, key, value, path) {
+            if (!sourceSchemaType.schema['isSdkExtensionPlugin']) {
+                return;
+            }
+            const suggestion = closestMatch(key, sourceSchemaType.properties.map(property => property.property));
+            if (suggestion === null) {
+                return;
+            }
+            configFile.addMessage('warning', configFile.offsetOf(path, true), `'${key}' is not a built-in ${sourceSchemaType.type} and will be treated as a custom component.`, {path: formatPath(path), code: 'customComponent', suggestion});
+        }
+    });
+}
+
+// Validate custom plugin components and distribution keys against their registered schemas, and report those which
+// are not registered. Returns true if all registered extensions are valid.
+function validateExtensions(configFile, config, sourceTypesByType, extensionRegistry) {
+    let valid = true;
+    walkConfig(config, sourceTypesByType, {
+        unknownProperty(sourceSchemaType, key, value, path) {
+            if (!extensionRegistry.isExtensible(sourceSchemaType)) {
+                return;
+            }
+            const extension = extensionRegistry.find(sourceSchemaType.type, key);
+            if (extension === null) {
+                // Likely typos of built-in components are already reported
+                if (closestMatch(key, sourceSchemaType.properties.map(property => property.property)) === null) {
+                    configFile.addMessage('warning', configFile.offsetOf(path, true), `'${key}' is not a registered ${sourceSchemaType.type} extension, so it is not validated.`, {path: formatPath(path), code: 'unregisteredExtension'});
+                }
+                return;
+            }
+            // A null value is equivalent to an empty object, e.g. "my_exporter:"
+            const extensionValue = value === null ? {} : value;
+            if (!extension.validator(extensionValue)) {
+                valid = false;
+                const prefix = path.map(segment => `/${String(segment).replaceAll('~', '~0').replaceAll('/', '~1')}`).join('');
+                collapseCompositionErrors(extension.validator.errors).forEach(error => {
+                    addValidationError(configFile, config, {...error, instancePath: prefix + error.instancePath});
+                });
+            }
+        }
+    });
+    return valid;
+}
+
+function editDistance(a, b) {
+    let previous = Array.from({length: b.length + 1}, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const substitutionCost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current.push(Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + substitutionCost));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
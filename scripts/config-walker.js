@@ -0,0 +1,95 @@
+import {rootTypeName} from "./util.js";
+
+// Walk a parsed configuration, resolving each value against the source schema types.
+// The visitor may implement any of:
+// - type(sourceSchemaType, value, path): called for each value with a known type, including enum values
+// - property(sourceSchemaType, sourceSchemaProperty, value, path): called for each known property
+// - unknownProperty(sourceSchemaType, key, value, path): called for each property not defined by the type
+// path is an array of property keys and array indices leading to the value.
+export function walkConfig(config, sourceTypesByType, visitor) {
+    walkType(sourceTypesByType[rootTypeName], config, [], sourceTypesByType, visitor);
+}
+
+// Resolve the type of a property, or undefined if the property has a primitive type.
+export function resolvePropertyType(sourceSchemaProperty, sourceTypesByType) {
+    return sourceSchemaProperty.types.map(type => sourceTypesByType[type]).find(sourceSchemaType => sourceSchemaType);
+}
+
+// Resolve a path of property keys and array indices from the root type. Returns {parentType, sourceSchemaProperty,
+// sourceSchemaType}, where sourceSchemaProperty is the last property on the path (null for the root), parentType the
+// type declaring it, and sourceSchemaType the type of values at the path (undefined for primitive types). Returns null
+// if the path does not resolve.
+export function resolvePath(path, sourceTypesByType) {
+    let parentType = null;
+    let sourceSchemaProperty = null;
+    let sourceSchemaType = sourceTypesByType[rootTypeName];
+    for (const segment of path) {
+        if (typeof segment === 'number') {
+            if (!sourceSchemaProperty || !sourceSchemaProperty.isSeq) {
+                return null;
+            }
+            continue;
+        }
+        if (!sourceSchemaType) {
+            return null;
+        }
+        const property = sourceSchemaType.properties.find(candidate => candidate.property === segment);
+        if (!property) {
+            return null;
+        }
+        parentType = sourceSchemaType;
+        sourceSchemaProperty = property;
+        sourceSchemaType = resolvePropertyType(property, sourceTypesByType);
+    }
+    return {parentType, sourceSchemaProperty, sourceSchemaType};
+}
+
+// Format a path as produced by walkConfig, e.g. tracer_provider.processors[0].batch
+export function formatPath(path) {
+    let formatted = '';
+    path.forEach(segment => {
+        if (typeof segment === 'number') {
+            formatted += `[${segment}]`;
+        } else {
+            formatted += formatted.length === 0 ? segment : `.${segment}`;
+        }
+    });
+    return formatted.length === 0 ? '.' : formatted;
+}
+
+export function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Helper functions
+
+function walkType(sourceSchemaType, value, path, sourceTypesByType, visitor) {
+    if (visitor.type) {
+        visitor.type(sourceSchemaType, value, path);
+    }
+    if (sourceSchemaType.isEnumType() || !isPlainObject(value)) {
+        return;
+    }
+    Object.entries(value).forEach(([key, propertyValue]) => {
+        const propertyPath = [...path, key];
+        const sourceSchemaProperty = sourceSchemaType.properties.find(property => property.property === key);
+        if (!sourceSchemaProperty) {
+            if (visitor.unknownProperty) {
+                visitor.unknownProperty(sourceSchemaType, key, propertyValue, propertyPath);
+            }
+            return;
+        }
+        if (visitor.property) {
+            visitor.property(sourceSchemaType, sourceSchemaProperty, propertyValue, propertyPath);
+        }
+        const propertyType = resolvePropertyType(sourceSchemaProperty, sourceTypesByType);
+        if (!propertyType) {
+            return;
+        }
+        if (!sourceSchemaProperty.isSeq) {
+            walkType(propertyType, propertyValue, propertyPath, sourceTypesByType, visitor);
+        } else if (Array.isArray(propertyValue)) {
+            propertyValue.forEach((item, index) => walkType(propertyType, item, [...propertyPath, index], sourceTypesByType, visitor));
+        }
+    });
+}
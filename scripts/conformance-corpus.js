@@ -0,0 +1,352 @@
+import {isPlainObject, resolvePropertyType} from "./config-walker.js";
+import {ExpectedError} from "./snippets.js";
+import {fileFormat, rootTypeName} from "./util.js";
+
+// Generate a conformance corpus: configuration documents which exercise the constraints of the schema, each with the
+// result expected from a conforming parser. For each type reachable from the root, a minimal valid document containing
+// an instance of the type is built, and varied to cover:
+//
+// * Boundary values of each minimum, exclusiveMinimum, maximum and exclusiveMaximum
+// * Each enum value, and a value not in the enum
+// * Null versus omitted for each nullable property
+// * minProperties and maxProperties violations for SDK extension plugin types
+
+const invalidEnumValue = 'not_a_valid_value';
+const boundKeywords = ['minimum', 'exclusiveMinimum', 'maximum', 'exclusiveMaximum'];
+
+// Generate the corpus for the source schema types.
+export function generateConformanceCorpus(sourceTypesByType) {
+    const generator = new CaseGenerator(sourceTypesByType);
+    const cases = [];
+    const skippedTypes = [];
+    const coveredEnumTypes = new Set();
+    const pathsByType = findTypePaths(sourceTypesByType);
+
+    Object.values(sourceTypesByType).sort((a, b) => a.type.localeCompare(b.type)).forEach(sourceSchemaType => {
+        if (sourceSchemaType.isEnumType()) {
+            // Enum values are covered by a property referencing the enum type
+            return;
+        }
+        const base = pathsByType[sourceSchemaType.type] ? generator.buildDocument(pathsByType[sourceSchemaType.type]) : undefined;
+        if (base === undefined) {
+            skippedTypes.push(sourceSchemaType.type);
+            return;
+        }
+        cases.push(...generator.typeCases(sourceSchemaType, base, coveredEnumTypes));
+    });
+    return new ConformanceCorpus(cases, skippedTypes);
+}
+
+// Types
+
+export class ConformanceCase {
+    name; // Unique, and usable as a file name without extension, e.g. BatchSpanProcessor_schedule_delay_outside_minimum
+    type;
+    property; // null if the case is for the type as a whole
+    description;
+    config;
+    expectedErrors; // Array of ExpectedError with instancePath relative to the document. Empty if valid.
+
+    constructor(name, type, property, description, config, expectedErrors) {
+        this.name = name;
+        this.type = type;
+        this.property = property;
+        this.description = description;
+        this.config = config;
+        this.expectedErrors = expectedErrors;
+    }
+
+    isValid() {
+        return this.expectedErrors.length === 0;
+    }
+
+    toJson(file) {
+        return {
+            file,
+            type: this.type,
+            property: this.property,
+            description: this.description,
+            valid: this.isValid(),
+            expectedErrors: this.expectedErrors.map(expectedError => ({instancePath: expectedError.instancePath, keyword: expectedError.keyword}))
+        };
+    }
+}
+
+export class ConformanceCorpus {
+    cases; // Array of ConformanceCase
+    skippedTypes; // Types for which no minimal valid document could be built, e.g. unreachable from the root
+
+    constructor(cases, skippedTypes) {
+        this.cases = cases;
+        this.skippedTypes = skippedTypes;
+    }
+}
+
+// Builds minimal valid values, and the cases varying them
+class CaseGenerator {
+    sourceTypesByType;
+
+    constructor(sourceTypesByType) {
+        this.sourceTypesByType = sourceTypesByType;
+    }
+
+    // A minimal valid value of the type: its required properties, and enough others to satisfy minProperties. Returns
+    // undefined if there is none, e.g. because required properties are recursive.
+    minimalValue(sourceSchemaType, stack = []) {
+        if (sourceSchemaType.isEnumType()) {
+            return sourceSchemaType.enumValues[0];
+        }
+        if (stack.includes(sourceSchemaType.type)) {
+            return undefined;
+        }
+        const nextStack = [...stack, sourceSchemaType.type];
+        const value = {};
+        for (const sourceSchemaProperty of sourceSchemaType.properties.filter(property => property.isRequired)) {
+            const propertyValue = this.minimalPropertyValue(sourceSchemaProperty, nextStack);
+            if (propertyValue === undefined) {
+                return undefined;
+            }
+            value[sourceSchemaProperty.property] = propertyValue;
+        }
+        const minProperties = sourceSchemaType.schema['minProperties'] || 0;
+        for (const sourceSchemaProperty of sourceSchemaType.sortedProperties()) {
+            if (Object.keys(value).length >= minProperties) {
+                break;
+            }
+            const propertyValue = this.minimalPropertyValue(sourceSchemaProperty, nextStack);
+            if (propertyValue !== undefined) {
+                value[sourceSchemaProperty.property] = propertyValue;
+            }
+        }
+        return Object.keys(value).length >= minProperties ? value : undefined;
+    }
+
+    minimalPropertyValue(sourceSchemaProperty, stack = []) {
+        const propertyType = resolvePropertyType(sourceSchemaProperty, this.sourceTypesByType);
+        if (propertyType) {
+            if (sourceSchemaProperty.isSeq) {
+                const item = this.minimalValue(propertyType, stack);
+                return item === undefined ? undefined : [item];
+            }
+            return !propertyType.isEnumType() && allowsNull(propertyType.schema) ? null : this.minimalValue(propertyType, stack);
+        }
+        if (sourceSchemaProperty.isNullable) {
+            return null;
+        }
+        const schema = sourceSchemaProperty.schema;
+        if (sourceSchemaProperty.isSeq) {
+            const item = minimalPrimitive(schema['items']);
+            return item === undefined ? undefined : [item];
+        }
+        return minimalPrimitive(schema['oneOf'] ? schema['oneOf'][0] : schema);
+    }
+
+    // Build a minimal valid document containing an instance of the type at the end of the path, an array of
+    // [SourceSchemaType, SourceSchemaProperty] steps from the root. Returns {config, path} where path is the array of
+    // property keys and array indices of the instance, or undefined if there is no minimal value along the path.
+    buildDocument(typePath) {
+        const config = this.minimalValue(this.sourceTypesByType[rootTypeName]);
+        if (config === undefined) {
+            return undefined;
+        }
+        config['file_format'] = fileFormat;
+        let node = config;
+        const path = [];
+        for (const [sourceSchemaType, sourceSchemaProperty] of typePath) {
+            const key = sourceSchemaProperty.property;
+            // Types with a single property, e.g. SDK extension plugins, must not keep another one
+            if (sourceSchemaType.schema['maxProperties'] === 1) {
+                Object.keys(node).filter(otherKey => otherKey !== key).forEach(otherKey => delete node[otherKey]);
+            }
+            const propertyType = resolvePropertyType(sourceSchemaProperty, this.sourceTypesByType);
+            const existing = sourceSchemaProperty.isSeq && Array.isArray(node[key]) ? node[key][0] : node[key];
+            const instance = isPlainObject(existing) ? existing : this.minimalValue(propertyType);
+            if (instance === undefined) {
+                return undefined;
+            }
+            if (sourceSchemaProperty.isSeq) {
+                node[key] = [instance, ...(Array.isArray(node[key]) ? node[key].slice(1) : [])];
+                path.push(key, 0);
+            } else {
+                node[key] = instance;
+                path.push(key);
+            }
+            node = instance;
+        }
+        return {config, path};
+    }
+
+    typeCases(sourceSchemaType, base, coveredEnumTypes) {
+        const type = sourceSchemaType.type;
+        const cases = [];
+        const instancePointer = formatJsonPointer(base.path);
+        const withInstance = (update) => {
+            const config = structuredClone(base.config);
+            const parentPath = base.path.slice(0, -1);
+            const parent = parentPath.reduce((value, segment) => value[segment], config);
+            const key = base.path.length === 0 ? null : base.path[base.path.length - 1];
+            const instance = key === null ? config : parent[key];
+            const updated = update(instance);
+            if (key === null) {
+                return updated;
+            }
+            parent[key] = updated;
+            return config;
+        };
+        const addCase = (suffix, property, description, config, expectedErrors = []) => {
+            const name = [type, property, suffix].filter(part => part !== null).join('_').replaceAll('/', '_');
+            cases.push(new ConformanceCase(name, type, property, description, config, expectedErrors));
+        };
+
+        addCase('minimal', null, `Minimal valid ${type}`, structuredClone(base.config));
+
+        if (sourceSchemaType.schema['isSdkExtensionPlugin']) {
+            addCase('no_properties', null, `${type} with no properties`, withInstance(() => ({})), [new ExpectedError(instancePointer, 'minProperties')]);
+            const twoProperties = {};
+            for (const sourceSchemaProperty of sourceSchemaType.sortedProperties()) {
+                const propertyValue = this.minimalPropertyValue(sourceSchemaProperty);
+                if (propertyValue !== undefined && Object.keys(twoProperties).length < 2) {
+                    twoProperties[sourceSchemaProperty.property] = propertyValue;
+                }
+            }
+            if (Object.keys(twoProperties).length === 2) {
+                addCase('two_properties', null, `${type} with two properties: ${Object.keys(twoProperties).join(', ')}`, withInstance(() => twoProperties), [new ExpectedError(instancePointer, 'maxProperties')]);
+            }
+        }
+
+        const isSingleProperty = sourceSchemaType.schema['maxProperties'] === 1;
+        sourceSchemaType.sortedProperties().forEach(sourceSchemaProperty => {
+            const property = sourceSchemaProperty.property;
+            const propertyPointer = `${instancePointer}/${escapeJsonPointer(property)}`;
+            const propertyType = resolvePropertyType(sourceSchemaProperty, this.sourceTypesByType);
+            // Set the property, replacing other properties of single property types
+            const withProperty = (value) => withInstance(instance => isSingleProperty ? {[property]: value} : {...instance, [property]: value});
+
+            // Boundary values
+            if (!propertyType && !sourceSchemaProperty.isSeq) {
+                const step = sourceSchemaProperty.types.includes('integer') ? 1 : 0.1;
+                boundKeywords.filter(keyword => typeof sourceSchemaProperty.schema[keyword] === 'number').forEach(keyword => {
+                    const bound = sourceSchemaProperty.schema[keyword];
+                    const outward = keyword.endsWith('inimum') ? -step : step;
+                    const isExclusive = keyword.startsWith('exclusive');
+                    const validValue = isExclusive ? round(bound - outward) : bound;
+                    const invalidValue = isExclusive ? bound : round(bound + outward);
+                    const validDescription = isExclusive ? `just within ${keyword} ${bound}` : `at ${keyword} ${bound}`;
+                    const invalidDescription = isExclusive ? `at ${keyword} ${bound}` : `just outside ${keyword} ${bound}`;
+                    addCase(`within_${camelToSnake(keyword)}`, property, `${type}.${property} ${validDescription}: ${validValue}`, withProperty(validValue));
+                    addCase(`outside_${camelToSnake(keyword)}`, property, `${type}.${property} ${invalidDescription}: ${invalidValue}`, withProperty(invalidValue), [new ExpectedError(propertyPointer, keyword)]);
+                });
+            }
+
+            // Enum values, covered once per enum type
+            if (propertyType && propertyType.isEnumType() && !coveredEnumTypes.has(propertyType.type)) {
+                coveredEnumTypes.add(propertyType.type);
+                const wrap = value => sourceSchemaProperty.isSeq ? [value] : value;
+                const valuePointer = sourceSchemaProperty.isSeq ? `${propertyPointer}/0` : propertyPointer;
+                propertyType.sortedEnumValues().filter(enumValue => enumValue !== null).forEach(enumValue => {
+                    addCase(`enum_${enumValue}`, property, `${type}.${property} with ${propertyType.type} value ${enumValue}`, withProperty(wrap(enumValue)));
+                });
+                addCase('enum_invalid', property, `${type}.${property} with a value not in ${propertyType.type}`, withProperty(wrap(invalidEnumValue)), [new ExpectedError(valuePointer, 'enum')]);
+            }
+
+            // Null versus omitted
+            const isNullable = sourceSchemaProperty.isNullable || (propertyType && !propertyType.isEnumType() && allowsNull(propertyType.schema));
+            if (isNullable) {
+                addCase('null', property, `${type}.${property} set to null`, withProperty(null));
+                const omitted = withInstance(instance => {
+                    const copy = {...instance};
+                    delete copy[property];
+                    return copy;
+                });
+                const instance = base.path.reduce((value, segment) => value[segment], base.config);
+                if (property in instance || sourceSchemaProperty.isRequired) {
+                    const remaining = Object.keys(instance).filter(key => key !== property).length;
+                    const expectedErrors = [];
+                    if (sourceSchemaProperty.isRequired) {
+                        expectedErrors.push(new ExpectedError(instancePointer, 'required'));
+                    } else if (remaining < (sourceSchemaType.schema['minProperties'] || 0)) {
+                        expectedErrors.push(new ExpectedError(instancePointer, 'minProperties'));
+                    }
+                    addCase('omitted', property, `${type}.${property} omitted`, omitted, expectedErrors);
+                }
+            }
+        });
+        return cases;
+    }
+}
+
+// Helper functions
+
+// Find a path from the root to each type, as an array of [SourceSchemaType, SourceSchemaProperty] steps. Paths are
+// the shortest, preferring stable properties.
+function findTypePaths(sourceTypesByType) {
+    const pathsByType = {[rootTypeName]: []};
+    const queue = [sourceTypesByType[rootTypeName]];
+    while (queue.length > 0) {
+        const sourceSchemaType = queue.shift();
+        sourceSchemaType.sortedProperties().forEach(sourceSchemaProperty => {
+            const propertyType = resolvePropertyType(sourceSchemaProperty, sourceTypesByType);
+            if (!propertyType || propertyType.isEnumType() || propertyType.type in pathsByType) {
+                return;
+            }
+            pathsByType[propertyType.type] = [...pathsByType[sourceSchemaType.type], [sourceSchemaType, sourceSchemaProperty]];
+            queue.push(propertyType);
+        });
+    }
+    return pathsByType;
+}
+
+function allowsNull(schema) {
+    const type = schema['type'];
+    return Array.isArray(type) ? type.includes('null') : type === 'null';
+}
+
+// A minimal valid primitive for the schema, or undefined if not a supported primitive schema.
+function minimalPrimitive(schema) {
+    if (!schema) {
+        return undefined;
+    }
+    if (Array.isArray(schema['enum'])) {
+        return schema['enum'][0];
+    }
+    const types = Array.isArray(schema['type']) ? schema['type'] : [schema['type']];
+    if (types.includes('null')) {
+        return null;
+    }
+    if (types.includes('boolean')) {
+        return true;
+    }
+    if (types.includes('integer') || types.includes('number')) {
+        const step = types.includes('integer') ? 1 : 0.1;
+        if (typeof schema['minimum'] === 'number') {
+            return schema['minimum'];
+        }
+        if (typeof schema['exclusiveMinimum'] === 'number') {
+            return round(schema['exclusiveMinimum'] + step);
+        }
+        return 0;
+    }
+    if (types.includes('string')) {
+        return 'value';
+    }
+    if (types.includes('object')) {
+        return {};
+    }
+    return undefined;
+}
+
+function round(value) {
+    return Number(value.toFixed(10));
+}
+
+function camelToSnake(value) {
+    return value.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+}
+
+function escapeJsonPointer(segment) {
+    return String(segment).replaceAll('~', '~0').replaceAll('/', '~1');
+}
+
+function formatJsonPointer(path) {
+    return path.map(segment => `/${escapeJsonPointer(segment)}`).join('');
+}
@@ -0,0 +1,82 @@
+// Coverage of the source schema's types, properties and enum values by a set of config files, split into stable and
+// experimental items.
+
+export function formatPercent(percent) {
+    return `${percent.toFixed(1)}%`;
+}
+
+// Types
+
+export class CoverageItem {
+    kind; // type, property or enumValue
+    id;
+    isExperimental;
+    coveredBy;
+
+    constructor(kind, id, isExperimental) {
+        this.kind = kind;
+        this.id = id;
+        this.isExperimental = isExperimental;
+        this.coveredBy = [];
+    }
+
+    isCovered() {
+        return this.coveredBy.length > 0;
+    }
+}
+
+export class CoverageReport {
+    items;
+    sourceCount;
+
+    constructor(items, sourceCount) {
+        this.items = items.sort((a, b) => a.id.localeCompare(b.id));
+        this.sourceCount = sourceCount;
+    }
+
+    summary(filter = () => true) {
+        const filtered = this.items.filter(filter);
+        const covered = filtered.filter(item => item.isCovered()).length;
+        return {covered, total: filtered.length, percent: filtered.length === 0 ? 100 : covered / filtered.length * 100};
+    }
+
+    print() {
+        console.log(`Coverage of ${this.sourceCount} snippets and examples.\n`);
+        const maturities = [['Overall', () => true], ['Stable', item => !item.isExperimental], ['Experimental', item => item.isExperimental]];
+        const rows = [['', 'Types', 'Properties', 'Enum values', 'Total']];
+        maturities.forEach(([label, maturityFilter]) => {
+            const cells = ['type', 'property', 'enumValue', null].map(kind => {
+                const summary = this.summary(item => maturityFilter(item) && (kind === null || item.kind === kind));
+                return `${summary.covered}/${summary.total} (${formatPercent(summary.percent)})`;
+            });
+            rows.push([label, ...cells]);
+        });
+        const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+        rows.forEach(row => console.log(row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd()));
+
+        [['Uncovered stable', false], ['Uncovered experimental', true]].forEach(([label, isExperimental]) => {
+            [['types', 'type'], ['properties', 'property'], ['enum values', 'enumValue']].forEach(([kindLabel, kind]) => {
+                const uncovered = this.items.filter(item => item.kind === kind && item.isExperimental === isExperimental && !item.isCovered());
+                if (uncovered.length > 0) {
+                    console.log(`\n${label} ${kindLabel} (${uncovered.length}):`);
+                    uncovered.forEach(item => console.log(`  ${item.id}`));
+                }
+            });
+        });
+    }
+
+    toJson() {
+        const summaryJson = (maturityFilter) => ({
+            ...Object.fromEntries(['type', 'property', 'enumValue'].map(kind => [kind, this.summary(item => maturityFilter(item) && item.kind === kind)])),
+            total: this.summary(maturityFilter)
+        });
+        return {
+            summary: {
+                overall: summaryJson(() => true),
+                stable: summaryJson(item => !item.isExperimental),
+                experimental: summaryJson(item => item.isExperimental),
+            },
+            items: this.items.map(item => ({kind: item.kind, id: item.id, experimental: item.isExperimental, coveredBy: item.coveredBy}))
+        };
+    }
+}
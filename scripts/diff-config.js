@@ -0,0 +1,56 @@
+import {parseArgs} from "util";
+import {readConfigFile} from "./config-file.js";
+import {compileConfigValidator, validateConfigFile} from "./config-validation.js";
+import {readSourceTypesByType} from "./source-schema.js";
+import {expandDefaults} from "./config-defaults.js";
+import {diffConfigs, normalizeConfig} from "./config-diff.js";
+
+// Report the settings added, removed and changed between two configuration files, labelled with the description and
+// default behavior of each property. Environment variable substitution is applied first.
+
+const {values: options, positionals} = parseArgs({
+    options: {
+        format: {type: 'string', default: 'text'},
+        'expand-defaults': {type: 'boolean', default: false},
+    },
+    allowPositionals: true
+});
+if (positionals.length !== 2 || !['text', 'json'].includes(options.format)) {
+    console.log('Usage: diff-config [--format text|json] [--expand-defaults] <before.yaml> <after.yaml>');
+    process.exit(1);
+}
+
+const validator = compileConfigValidator();
+const sourceTypesByType = readSourceTypesByType();
+
+const configs = positionals.map(file => {
+    const configFile = readConfigFile(file);
+    validateConfigFile(configFile, validator, sourceTypesByType);
+    configFile.sortedMessages().forEach(message => console.error(message.format()));
+    if (configFile.hasErrors()) {
+        process.exit(1);
+    }
+    // With defaults expanded, omitting a property is the same as setting it to its default. Normalize first, so that
+    // entries from string list properties get defaults too.
+    const config = normalizeConfig(configFile.toJS(), sourceTypesByType);
+    return options['expand-defaults'] ? expandDefaults(config, sourceTypesByType).config : config;
+});
+
+const changes = diffConfigs(configs[0], configs[1], sourceTypesByType);
+
+if (options.format === 'json') {
+    console.log(JSON.stringify(changes.map(change => change.toJson()), null, 2));
+} else if (changes.length === 0) {
+    console.log(`No changes between ${positionals[0]} and ${positionals[1]}.`);
+} else {
+    changes.forEach(change => {
+        console.log(change.format());
+        if (change.sourceSchemaProperty) {
+            const description = change.description();
+            if (description) {
+                console.log(`    ${description}`);
+            }
+            console.log(`    ${change.sourceSchemaProperty.formatDefaultAndNullBehavior()}`);
+        }
+    });
+}
@@ -0,0 +1,67 @@
+import fs from "fs";
+
+// Read a .env file of NAME=value lines, as accepted by docker compose and most dotenv libraries. Lines may be prefixed
+// with "export ", values may be single quoted (taken literally) or double quoted (supporting \n, \" and \\ escapes),
+// and unquoted values may be followed by a " # comment".
+// Returns {env, errors}, where errors is an array of messages describing lines which could not be parsed.
+export function readEnvFile(file) {
+    const env = {};
+    const errors = [];
+    fs.readFileSync(file, "utf-8").split(/\r?\n/).forEach((line, index) => {
+        const trimmed = line.trim();
+        if (trimmed.length === 0 || trimmed.startsWith('#')) {
+            return;
+        }
+        const match = trimmed.match(/^(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/);
+        if (!match) {
+            errors.push(`${file}:${index + 1}: expected NAME=value.`);
+            return;
+        }
+        const value = parseEnvFileValue(match[2]);
+        if (value === null) {
+            errors.push(`${file}:${index + 1}: unterminated quoted value for ${match[1]}.`);
+            return;
+        }
+        env[match[1]] = value;
+    });
+    return {env, errors};
+}
+
+// Format a value for a NAME=value line, such that readEnvFile reads it back unchanged. Values are left unquoted where
+// possible, and otherwise single quoted, unless they contain a single quote or newline.
+export function formatEnvFileValue(value) {
+    if (/^[A-Za-z0-9_.,:\/=@%+-]*$/.test(value)) {
+        return value;
+    }
+    if (!/['\n]/.test(value)) {
+        return `'${value}'`;
+    }
+    return `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+}
+
+// Helper functions
+
+function parseEnvFileValue(rawValue) {
+    if (rawValue.startsWith("'")) {
+        const end = rawValue.indexOf("'", 1);
+        return end === -1 ? null : rawValue.substring(1, end);
+    }
+    if (rawValue.startsWith('"')) {
+        let value = '';
+        for (let i = 1; i < rawValue.length; i++) {
+            const c = rawValue[i];
+            if (c === '"') {
+                return value;
+            }
+            if (c === '\\' && i + 1 < rawValue.length) {
+                const next = rawValue[++i];
+                value += next === 'n' ? '\n' : next;
+            } else {
+                value += c;
+            }
+        }
+        return null;
+    }
+    const commentIndex = rawValue.search(/\s#/);
+    return (commentIndex === -1 ? rawValue : rawValue.substring(0, commentIndex)).trim();
+}
@@ -0,0 +1,152 @@
+import yaml from "yaml";
+
+// Implements environment variable substitution as defined by the declarative configuration data model.
+// See https://github.com/open-telemetry/opentelemetry-specification/blob/main/specification/configuration/data-model.md#environment-variable-substitution
+
+const envVarNamePattern = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+const envPrefix = 'env:';
+const defaultValueSeparator = ':-';
+
+// Substitute environment variable references in all scalar values of the parsed YAML document, in place.
+// Mapping keys are never substituted. Returns an array of SubstitutionMessage.
+export function substituteEnvVars(document, env) {
+    const messages = [];
+    yaml.visit(document, {
+        Scalar(key, node) {
+            if (key === 'key' || typeof node.value !== 'string' || !node.value.includes('$')) {
+                return;
+            }
+            const offset = node.range ? node.range[0] : 0;
+            const substituted = substituteString(node.value, env, offset, messages);
+            if (substituted === null) {
+                return;
+            }
+            // Only plain scalars without an explicit tag are re-interpreted after substitution. Quoted scalars and
+            // scalars tagged !!str remain strings.
+            node.value = node.type === yaml.Scalar.PLAIN && !node.tag ? resolveScalar(substituted) : substituted;
+        }
+    });
+    return messages;
+}
+
+// Returns the substituted string, or null if the value contains invalid references.
+export function substituteString(value, env, offset = 0, messages = []) {
+    const output = [];
+    let hasErrors = false;
+    let i = 0;
+    while (i < value.length) {
+        const char = value[i];
+        if (char !== '$') {
+            output.push(char);
+            i++;
+            continue;
+        }
+        const next = value[i + 1];
+        if (next === '$') {
+            // $$ is an escaped $
+            output.push('$');
+            i += 2;
+            continue;
+        }
+        if (next !== '{') {
+            output.push(char);
+            i++;
+            continue;
+        }
+        const closeIndex = value.indexOf('}', i + 2);
+        if (closeIndex === -1) {
+            messages.push(new SubstitutionMessage('error', offset, `Invalid environment variable reference '${value.substring(i)}': missing closing '}'.`));
+            hasErrors = true;
+            break;
+        }
+        const reference = value.substring(i, closeIndex + 1);
+        let body = value.substring(i + 2, closeIndex);
+        if (body.startsWith(envPrefix)) {
+            body = body.substring(envPrefix.length);
+        }
+        let name = body;
+        let defaultValue = null;
+        const separatorIndex = body.indexOf(defaultValueSeparator);
+        if (separatorIndex !== -1) {
+            name = body.substring(0, separatorIndex);
+            defaultValue = body.substring(separatorIndex + defaultValueSeparator.length);
+        }
+        if (!envVarNamePattern.test(name)) {
+            messages.push(new SubstitutionMessage('error', offset, `Invalid environment variable reference '${reference}'. References must match \${[env:]NAME[:-default]} where NAME matches ${envVarNamePattern.source}.`));
+            hasErrors = true;
+        } else if (env[name] !== undefined) {
+            output.push(env[name]);
+        } else if (defaultValue !== null) {
+            output.push(defaultValue);
+        } else {
+            messages.push(new SubstitutionMessage('warning', offset, `Environment variable '${name}' is not defined and has no default value. Substituting an empty value.`));
+        }
+        i = closeIndex + 1;
+    }
+    return hasErrors ? null : output.join('');
+}
+
+// Returns the names of the environment variables referenced by the value, in order of appearance.
+export function envVarReferences(value) {
+    const names = [];
+    const recordingEnv = new Proxy({}, {
+        get(target, name) {
+            names.push(name);
+            return undefined;
+        }
+    });
+    substituteString(value, recordingEnv);
+    return names;
+}
+
+// Escape every $ in the value as $$, so that it is read back unchanged after substitution. Use when writing
+// arbitrary strings to a configuration file.
+export function escapeSubstitution(value) {
+    return value.replaceAll('$', () => '$$');
+}
+
+// Resolve a substituted plain scalar according to the YAML 1.2 core schema, without ever producing collections.
+export function resolveScalar(value) {
+    if (/^(|~|null|Null|NULL)$/.test(value)) {
+        return null;
+    }
+    if (/^(true|True|TRUE)$/.test(value)) {
+        return true;
+    }
+    if (/^(false|False|FALSE)$/.test(value)) {
+        return false;
+    }
+    if (/^[-+]?[0-9]+$/.test(value)) {
+        return parseInt(value, 10);
+    }
+    if (/^0o[0-7]+$/.test(value)) {
+        return parseInt(value.substring(2), 8);
+    }
+    if (/^0x[0-9a-fA-F]+$/.test(value)) {
+        return parseInt(value.substring(2), 16);
+    }
+    if (/^[-+]?(\.[0-9]+|[0-9]+(\.[0-9]*)?)([eE][-+]?[0-9]+)?$/.test(value)) {
+        return parseFloat(value);
+    }
+    if (/^[-+]?(\.inf|\.Inf|\.INF)$/.test(value)) {
+        return value.startsWith('-') ? -Infinity : Infinity;
+    }
+    if (/^(\.nan|\.NaN|\.NAN)$/.test(value)) {
+        return NaN;
+    }
+    return value;
+}
+
+// Types
+
+export class SubstitutionMessage {
+    severity; // 'error' or 'warning'
+    offset;
+    message;
+
+    constructor(severity, offset, message) {
+        this.severity = severity;
+        this.offset = offset;
+        this.message = message;
+    }
+}
@@ -0,0 +1,850 @@
+import {fileFormat} from "./util.js";
+import {formatPath, isPlainObject, resolvePropertyType, walkConfig} from "./config-walker.js";
+
+// Translate the spec defined OTEL_* environment variables
+// (https://opentelemetry.io/docs/specs/otel/configuration/sdk-environment-variables/) to an equivalent configuration,
+// and export a configuration as the closest equivalent env vars.
+//
+// Env vars which select or shape components (exporters, samplers, propagators, OTLP protocol and endpoint) are
+// translated in code. All other env vars map directly to a single property, and are declared in envVarMappings.
+
+const signals = ['traces', 'metrics', 'logs'];
+const otlpExporterKeys = ['otlp_http', 'otlp_grpc'];
+const exporterPathsBySignal = {
+    traces: ['tracer_provider', 'processors', '*', ['batch', 'simple'], 'exporter'],
+    metrics: ['meter_provider', 'readers', '*', 'periodic', 'exporter'],
+    logs: ['logger_provider', 'processors', '*', ['batch', 'simple'], 'exporter'],
+};
+
+// The OTEL_{SIGNAL}_EXPORTER names of the pipelines env vars configure, by processor or reader key and exporter key.
+const exporterNamesBySignal = {
+    traces: {batch: {otlp_http: 'otlp', otlp_grpc: 'otlp'}, simple: {console: 'console'}},
+    metrics: {periodic: {otlp_http: 'otlp', otlp_grpc: 'otlp', console: 'console'}, pull: {'prometheus/development': 'prometheus'}},
+    logs: {batch: {otlp_http: 'otlp', otlp_grpc: 'otlp'}, simple: {console: 'console'}},
+};
+const pipelinePathsBySignal = {
+    traces: ['tracer_provider', 'processors'],
+    metrics: ['meter_provider', 'readers'],
+    logs: ['logger_provider', 'processors'],
+};
+
+const defaultPropagators = 'tracecontext,baggage';
+const defaultJaegerRemoteEndpoint = 'http://localhost:14250';
+const defaultJaegerRemoteInitialSamplingRate = 0.001;
+
+const rootPropertyOrder = ['file_format', 'disabled', 'log_level', 'resource', 'attribute_limits', 'propagator', 'tracer_provider', 'meter_provider', 'logger_provider', 'instrumentation/development'];
+
+// Env vars known to have no equivalent in the schema, and the reason why.
+const unsupportedEnvVars = {
+    'OTEL_EXPORTER_ZIPKIN_ENDPOINT': 'the zipkin exporter has no equivalent in the schema.',
+    'OTEL_EXPORTER_ZIPKIN_TIMEOUT': 'the zipkin exporter has no equivalent in the schema.',
+    'OTEL_CONFIG_FILE': 'selects a config file, and so has no equivalent within one.',
+    'OTEL_EXPERIMENTAL_CONFIG_FILE': 'selects a config file, and so has no equivalent within one.',
+};
+
+// Types
+
+export class EnvVarValueType {
+    description;
+    parse; // (string) => value, or undefined if the string is not a valid value
+    format; // (value) => string
+
+    constructor(description, parse, format = value => `${value}`) {
+        this.description = description;
+        this.parse = parse;
+        this.format = format;
+    }
+}
+
+export class EnvVarMapping {
+    envVar;
+    containerPaths; // Paths of the objects holding the property. '*' matches every array entry, and an array matches any of the listed keys.
+    propertyPath; // Path of the property relative to each container. Missing intermediate objects are created.
+    valueType;
+
+    constructor(envVar, containerPaths, propertyPath, valueType) {
+        this.envVar = envVar;
+        this.containerPaths = containerPaths;
+        this.propertyPath = propertyPath;
+        this.valueType = valueType;
+    }
+}
+
+export class UntranslatedEnvVar {
+    envVar;
+    value;
+    reason;
+
+    constructor(envVar, value, reason) {
+        this.envVar = envVar;
+        this.value = value;
+        this.reason = reason;
+    }
+}
+
+export class EnvTranslationResult {
+    config;
+    translated; // Names of env vars which were fully translated
+    untranslated; // Array of UntranslatedEnvVar, for env vars which were ignored or only partially translated
+
+    constructor(config, translated, untranslated) {
+        this.config = config;
+        this.translated = translated;
+        this.untranslated = untranslated;
+    }
+}
+
+export class UnexportedSetting {
+    path; // Formatted path of the setting, e.g. meter_provider.views
+    value;
+    reason;
+
+    constructor(path, value, reason) {
+        this.path = path;
+        this.value = value;
+        this.reason = reason;
+    }
+}
+
+export class EnvExportResult {
+    env; // Env var names to values, sorted by name
+    unexported; // Array of UnexportedSetting, for settings which have no env var equivalent
+
+    constructor(env, unexported) {
+        this.env = env;
+        this.unexported = unexported;
+    }
+}
+
+// Value types
+
+const stringValue = new EnvVarValueType('a string', value => value);
+const booleanValue = new EnvVarValueType('true or false', value => {
+    const lowerCase = value.toLowerCase();
+    return lowerCase === 'true' ? true : lowerCase === 'false' ? false : undefined;
+});
+const integerValue = new EnvVarValueType('an integer', value => /^-?\d+$/.test(value.trim()) ? Number(value.trim()) : undefined);
+const enumValue = (configValuesByEnvValue) => new EnvVarValueType(
+    `one of: ${Object.keys(configValuesByEnvValue).join(', ')}`,
+    value => configValuesByEnvValue[value.trim().toLowerCase()],
+    value => Object.keys(configValuesByEnvValue).find(envValue => configValuesByEnvValue[envValue] === value));
+
+// Mappings
+
+const root = [];
+
+export const envVarMappings = [
+    new EnvVarMapping('OTEL_SDK_DISABLED', [root], ['disabled'], booleanValue),
+    new EnvVarMapping('OTEL_LOG_LEVEL', [root], ['log_level'], enumValue({debug: 'debug', info: 'info', warn: 'warn', error: 'error'})),
+    new EnvVarMapping('OTEL_RESOURCE_ATTRIBUTES', [root], ['resource', 'attributes_list'], stringValue),
+    new EnvVarMapping('OTEL_ATTRIBUTE_VALUE_LENGTH_LIMIT', [root], ['attribute_limits', 'attribute_value_length_limit'], integerValue),
+    new EnvVarMapping('OTEL_ATTRIBUTE_COUNT_LIMIT', [root], ['attribute_limits', 'attribute_count_limit'], integerValue),
+    new EnvVarMapping('OTEL_SEMCONV_STABILITY_OPT_IN', [root], ['instrumentation/development', 'general', 'stability_opt_in_list'], stringValue),
+
+    new EnvVarMapping('OTEL_BSP_SCHEDULE_DELAY', [['tracer_provider', 'processors', '*', 'batch']], ['schedule_delay'], integerValue),
+    new EnvVarMapping('OTEL_BSP_EXPORT_TIMEOUT', [['tracer_provider', 'processors', '*', 'batch']], ['export_timeout'], integerValue),
+    new EnvVarMapping('OTEL_BSP_MAX_QUEUE_SIZE', [['tracer_provider', 'processors', '*', 'batch']], ['max_queue_size'], integerValue),
+    new EnvVarMapping('OTEL_BSP_MAX_EXPORT_BATCH_SIZE', [['tracer_provider', 'processors', '*', 'batch']], ['max_export_batch_size'], integerValue),
+    new EnvVarMapping('OTEL_SPAN_ATTRIBUTE_VALUE_LENGTH_LIMIT', [['tracer_provider']], ['limits', 'attribute_value_length_limit'], integerValue),
+    new EnvVarMapping('OTEL_SPAN_ATTRIBUTE_COUNT_LIMIT', [['tracer_provider']], ['limits', 'attribute_count_limit'], integerValue),
+    new EnvVarMapping('OTEL_SPAN_EVENT_COUNT_LIMIT', [['tracer_provider']], ['limits', 'event_count_limit'], integerValue),
+    new EnvVarMapping('OTEL_SPAN_LINK_COUNT_LIMIT', [['tracer_provider']], ['limits', 'link_count_limit'], integerValue),
+    new EnvVarMapping('OTEL_EVENT_ATTRIBUTE_COUNT_LIMIT', [['tracer_provider']], ['limits', 'event_attribute_count_limit'], integerValue),
+    new EnvVarMapping('OTEL_LINK_ATTRIBUTE_COUNT_LIMIT', [['tracer_provider']], ['limits', 'link_attribute_count_limit'], integerValue),
+
+    new EnvVarMapping('OTEL_METRIC_EXPORT_INTERVAL', [['meter_provider', 'readers', '*', 'periodic']], ['interval'], integerValue),
+    new EnvVarMapping('OTEL_METRIC_EXPORT_TIMEOUT', [['meter_provider', 'readers', '*', 'periodic']], ['timeout'], integerValue),
+    new EnvVarMapping('OTEL_METRICS_EXEMPLAR_FILTER', [['meter_provider']], ['exemplar_filter'], enumValue({always_on: 'always_on', always_off: 'always_off', trace_based: 'trace_based'})),
+    new EnvVarMapping('OTEL_EXPORTER_PROMETHEUS_HOST', [['meter_provider', 'readers', '*', 'pull', 'exporter', 'prometheus/development']], ['host'], stringValue),
+    new EnvVarMapping('OTEL_EXPORTER_PROMETHEUS_PORT', [['meter_provider', 'readers', '*', 'pull', 'exporter', 'prometheus/development']], ['port'], integerValue),
+
+    new EnvVarMapping('OTEL_BLRP_SCHEDULE_DELAY', [['logger_provider', 'processors', '*', 'batch']], ['schedule_delay'], integerValue),
+    new EnvVarMapping('OTEL_BLRP_EXPORT_TIMEOUT', [['logger_provider', 'processors', '*', 'batch']], ['export_timeout'], integerValue),
+    new EnvVarMapping('OTEL_BLRP_MAX_QUEUE_SIZE', [['logger_provider', 'processors', '*', 'batch']], ['max_queue_size'], integerValue),
+    new EnvVarMapping('OTEL_BLRP_MAX_EXPORT_BATCH_SIZE', [['logger_provider', 'processors', '*', 'batch']], ['max_export_batch_size'], integerValue),
+    new EnvVarMapping('OTEL_LOGRECORD_ATTRIBUTE_VALUE_LENGTH_LIMIT', [['logger_provider']], ['limits', 'attribute_value_length_limit'], integerValue),
+    new EnvVarMapping('OTEL_LOGRECORD_ATTRIBUTE_COUNT_LIMIT', [['logger_provider']], ['limits', 'attribute_count_limit'], integerValue),
+
+    ...otlpExporterMappings('CERTIFICATE', ['tls', 'ca_file'], stringValue),
+    ...otlpExporterMappings('CLIENT_KEY', ['tls', 'key_file'], stringValue),
+    ...otlpExporterMappings('CLIENT_CERTIFICATE', ['tls', 'cert_file'], stringValue),
+    ...otlpExporterMappings('INSECURE', ['tls', 'insecure'], booleanValue, ['otlp_grpc']),
+    ...otlpExporterMappings('HEADERS', ['headers_list'], stringValue),
+    ...otlpExporterMappings('COMPRESSION', ['compression'], stringValue),
+    ...otlpExporterMappings('TIMEOUT', ['timeout'], integerValue),
+    new EnvVarMapping('OTEL_EXPORTER_OTLP_METRICS_TEMPORALITY_PREFERENCE', [[...exporterPathsBySignal.metrics, otlpExporterKeys]], ['temporality_preference'], enumValue({cumulative: 'cumulative', delta: 'delta', lowmemory: 'low_memory'})),
+    new EnvVarMapping('OTEL_EXPORTER_OTLP_METRICS_DEFAULT_HISTOGRAM_AGGREGATION', [[...exporterPathsBySignal.metrics, otlpExporterKeys]], ['default_histogram_aggregation'], enumValue({explicit_bucket_histogram: 'explicit_bucket_histogram', base2_exponential_bucket_histogram: 'base2_exponential_bucket_histogram'})),
+];
+
+// The env vars translated in code rather than by envVarMappings.
+export const codeTranslatedEnvVars = [
+    'OTEL_SERVICE_NAME',
+    'OTEL_PROPAGATORS',
+    ...signals.map(signal => `OTEL_${signal.toUpperCase()}_EXPORTER`),
+    'OTEL_TRACES_SAMPLER',
+    'OTEL_TRACES_SAMPLER_ARG',
+    'OTEL_EXPORTER_OTLP_PROTOCOL',
+    ...signals.map(signal => `OTEL_EXPORTER_OTLP_${signal.toUpperCase()}_PROTOCOL`),
+    'OTEL_EXPORTER_OTLP_ENDPOINT',
+    ...signals.map(signal => `OTEL_EXPORTER_OTLP_${signal.toUpperCase()}_ENDPOINT`),
+];
+
+// Every env var known to translateEnvVars, whether translated in code, by envVarMappings, or known to have no
+// equivalent in the schema, sorted by name.
+export const knownEnvVars = [...new Set([...codeTranslatedEnvVars, ...envVarMappings.map(mapping => mapping.envVar), ...Object.keys(unsupportedEnvVars)])].sort();
+
+// Translate the OTEL_* env vars in env to a configuration. Env vars with an empty value are treated as unset, per the
+// spec. Env var defaults which differ from the schema defaults (e.g. OTLP exporters for all signals, tracecontext and
+// baggage propagators) are made explicit, so the result behaves like an SDK configured by env.
+export function translateEnvVars(env) {
+    const translation = new EnvTranslation(env);
+    const config = translation.config;
+
+    const serviceName = translation.get('OTEL_SERVICE_NAME');
+    if (serviceName !== undefined) {
+        config['resource'] = {attributes: [{name: 'service.name', value: serviceName}]};
+    }
+    translatePropagators(translation);
+    translateTracerProvider(translation);
+    translateMeterProvider(translation);
+    translateLoggerProvider(translation);
+    envVarMappings.forEach(mapping => applyEnvVarMapping(translation, mapping));
+
+    Object.keys(translation.env).filter(envVar => !translation.consumed.has(envVar)).forEach(envVar => {
+        translation.untranslated(envVar, unsupportedEnvVars[envVar] || 'not a known environment variable, or has no equivalent in the schema.');
+    });
+
+    const orderedConfig = {};
+    rootPropertyOrder.filter(property => config[property] !== undefined).forEach(property => orderedConfig[property] = config[property]);
+    const untranslatedEnvVars = new Set(translation.untranslatedEnvVars.map(untranslated => untranslated.envVar));
+    const translated = [...translation.consumed].filter(envVar => !untranslatedEnvVars.has(envVar)).sort();
+    return new EnvTranslationResult(orderedConfig, translated, translation.untranslatedEnvVars);
+}
+
+// Find the objects in config matching the containerPath of an EnvVarMapping.
+export function findContainers(config, containerPath) {
+    let matches = [config];
+    containerPath.forEach(segment => {
+        matches = matches.flatMap(match => {
+            if (segment === '*') {
+                return Array.isArray(match) ? match : [];
+            }
+            const keys = Array.isArray(segment) ? segment : [segment];
+            return keys.map(key => match[key]).filter(value => value !== undefined);
+        }).filter(match => match !== null && typeof match === 'object');
+    });
+    return matches;
+}
+
+// Format a containerPath for display, e.g. tracer_provider.processors[*].batch
+export function formatContainerPath(containerPath) {
+    if (containerPath.length === 0) {
+        return '.';
+    }
+    return containerPath.map((segment, index) => {
+        if (segment === '*') {
+            return '[*]';
+        }
+        const formatted = Array.isArray(segment) ? `{${segment.join('|')}}` : segment;
+        return index === 0 ? formatted : `.${formatted}`;
+    }).join('');
+}
+
+// Export the config, which should be valid according to the JSON schema, as the closest equivalent OTEL_* env vars.
+// Schema defaults which differ from the env var defaults (e.g. no tracer_provider, no propagator) are made explicit.
+// Every setting which could not be exported is reported, e.g. views, rule based samplers, configurators, and
+// processors or readers which env vars cannot select.
+export function exportEnvVars(config, sourceTypesByType) {
+    const configExport = new ConfigExport(config);
+
+    exportResource(configExport);
+    exportPropagators(configExport);
+    signals.forEach(signal => exportPipelines(configExport, signal));
+    exportSampler(configExport);
+    // The general OTEL_EXPORTER_OTLP_* env vars apply to all signals, so only the signal specific env vars are exported
+    envVarMappings.filter(mapping => mapping.containerPaths.length === 1).forEach(mapping => exportEnvVarMapping(configExport, mapping));
+
+    // Report the remaining settings, at the outermost property below the top level which has nothing exported within
+    // it (e.g. meter_provider.views rather than each view). Settings which equal their default need no env var.
+    const defaultPaths = [];
+    const report = (path, reason) => {
+        const outermostPath = path.map((segment, index) => path.slice(0, index + 1)).find(prefix => prefix.length > 1 && !configExport.hasExportedWithin(prefix)) ?? path;
+        if (!configExport.isHandled(outermostPath)) {
+            configExport.unexported(outermostPath, outermostPath.length === path.length ? reason : 'has no environment variable equivalent.');
+        }
+    };
+    walkConfig(config, sourceTypesByType, {
+        property(sourceSchemaType, sourceSchemaProperty, value, path) {
+            if (path[0] === 'file_format' || configExport.isHandled(path) || defaultPaths.some(defaultPath => isPathPrefix(defaultPath, path))) {
+                return;
+            }
+            // A null component selects it, while other null properties behave as if omitted, unless they have a nullBehavior
+            const isComponent = sourceSchemaType.schema['isSdkExtensionPlugin'] && resolvePropertyType(sourceSchemaProperty, sourceTypesByType) !== undefined;
+            if (value === null && !isComponent && !sourceSchemaProperty.schema['nullBehavior']) {
+                return;
+            }
+            if (sourceSchemaProperty.hasDefaultValue() && JSON.stringify(nullToEmpty(value)) === JSON.stringify(nullToEmpty(sourceSchemaProperty.schema['defaultValue']))) {
+                defaultPaths.push(path);
+                return;
+            }
+            // Objects and arrays of objects are reported by their properties, which are visited next
+            if ((isPlainObject(value) && (!isComponent || Object.keys(value).length > 0)) || (Array.isArray(value) && value.some(isPlainObject))) {
+                return;
+            }
+            report(path, isComponent ? `component '${sourceSchemaProperty.property}' has no environment variable equivalent.` : 'has no environment variable equivalent.');
+        },
+        unknownProperty(sourceSchemaType, key, value, path) {
+            if (!configExport.isHandled(path)) {
+                report(path, sourceSchemaType.schema['isSdkExtensionPlugin'] ? `custom component '${key}' has no environment variable equivalent.` : 'is not a known property.');
+            }
+        }
+    });
+
+    const env = {};
+    Object.keys(configExport.env).sort().forEach(envVar => env[envVar] = configExport.env[envVar]);
+    return new EnvExportResult(env, configExport.unexportedSettings);
+}
+
+// Helper functions
+
+// Mappings for OTEL_EXPORTER_OTLP_<suffix>, which applies to the OTLP exporters of all signals, followed by
+// OTEL_EXPORTER_OTLP_{SIGNAL}_<suffix> so that signal specific env vars take precedence.
+function otlpExporterMappings(envVarSuffix, propertyPath, valueType, exporterKeys = otlpExporterKeys) {
+    const containerPath = (signal) => [...exporterPathsBySignal[signal], exporterKeys];
+    return [
+        new EnvVarMapping(`OTEL_EXPORTER_OTLP_${envVarSuffix}`, signals.map(containerPath), propertyPath, valueType),
+        ...signals.map(signal => new EnvVarMapping(`OTEL_EXPORTER_OTLP_${signal.toUpperCase()}_${envVarSuffix}`, [containerPath(signal)], propertyPath, valueType))
+    ];
+}
+
+function applyEnvVarMapping(translation, mapping) {
+    const value = translation.get(mapping.envVar);
+    if (value === undefined) {
+        return;
+    }
+    const configValue = mapping.valueType.parse(value);
+    if (configValue === undefined) {
+        translation.untranslated(mapping.envVar, `invalid value, expected ${mapping.valueType.description}.`);
+        return;
+    }
+    const containers = mapping.containerPaths.flatMap(containerPath => findContainers(translation.config, containerPath));
+    if (containers.length === 0) {
+        translation.untranslated(mapping.envVar, `has no effect because no ${mapping.containerPaths.map(formatContainerPath).join(' or ')} is configured.`);
+        return;
+    }
+    containers.forEach(container => {
+        let parent = container;
+        mapping.propertyPath.slice(0, -1).forEach(key => {
+            if (parent[key] === undefined || parent[key] === null) {
+                parent[key] = {};
+            }
+            parent = parent[key];
+        });
+        parent[mapping.propertyPath[mapping.propertyPath.length - 1]] = configValue;
+    });
+}
+
+// Split a comma separated list env var, dropping empty and duplicate entries.
+function listValue(value) {
+    return [...new Set(value.split(',').map(entry => entry.trim()).filter(entry => entry.length > 0))];
+}
+
+function translatePropagators(translation) {
+    const propagators = listValue(translation.get('OTEL_PROPAGATORS') ?? defaultPropagators).filter(name => name !== 'none');
+    if (propagators.length > 0) {
+        translation.config['propagator'] = {composite_list: propagators.join(',')};
+    }
+}
+
+// Names of the exporters selected by the OTEL_{SIGNAL}_EXPORTER env var, which defaults to otlp.
+function exporterNames(translation, envVar) {
+    return listValue(translation.get(envVar) ?? 'otlp').filter(name => name !== 'none');
+}
+
+function unsupportedExporter(translation, envVar, name) {
+    translation.untranslated(envVar, `exporter '${name}' has no equivalent in the schema.`);
+    return [];
+}
+
+function translateTracerProvider(translation) {
+    const processors = exporterNames(translation, 'OTEL_TRACES_EXPORTER').flatMap(name => {
+        switch (name) {
+            case 'otlp':
+                return [{batch: {exporter: otlpExporter(translation, 'traces')}}];
+            case 'console':
+                return [{simple: {exporter: {console: null}}}];
+            default:
+                return unsupportedExporter(translation, 'OTEL_TRACES_EXPORTER', name);
+        }
+    });
+    if (processors.length === 0) {
+        ['OTEL_TRACES_SAMPLER', 'OTEL_TRACES_SAMPLER_ARG'].filter(envVar => translation.env[envVar] !== undefined)
+            .forEach(envVar => translation.untranslated(envVar, 'has no effect because no tracer_provider is configured.'));
+        return;
+    }
+    translation.config['tracer_provider'] = {processors};
+    const sampler = translateSampler(translation);
+    if (sampler !== null) {
+        translation.config['tracer_provider']['sampler'] = sampler;
+    }
+}
+
+function translateMeterProvider(translation) {
+    const readers = exporterNames(translation, 'OTEL_METRICS_EXPORTER').flatMap(name => {
+        switch (name) {
+            case 'otlp':
+                return [{periodic: {exporter: otlpExporter(translation, 'metrics')}}];
+            case 'prometheus':
+                return [{pull: {exporter: {'prometheus/development': {}}}}];
+            case 'console':
+                return [{periodic: {exporter: {console: null}}}];
+            default:
+                return unsupportedExporter(translation, 'OTEL_METRICS_EXPORTER', name);
+        }
+    });
+    if (readers.length > 0) {
+        translation.config['meter_provider'] = {readers};
+    }
+}
+
+function translateLoggerProvider(translation) {
+    const processors = exporterNames(translation, 'OTEL_LOGS_EXPORTER').flatMap(name => {
+        switch (name) {
+            case 'otlp':
+                return [{batch: {exporter: otlpExporter(translation, 'logs')}}];
+            case 'console':
+                return [{simple: {exporter: {console: null}}}];
+            default:
+                return unsupportedExporter(translation, 'OTEL_LOGS_EXPORTER', name);
+        }
+    });
+    if (processors.length > 0) {
+        translation.config['logger_provider'] = {processors};
+    }
+}
+
+// Build the OTLP exporter for the signal from the protocol and endpoint env vars. Other OTLP env vars are applied by
+// envVarMappings.
+function otlpExporter(translation, signal) {
+    const signalEnvVarPrefix = `OTEL_EXPORTER_OTLP_${signal.toUpperCase()}`;
+    const signalProtocol = translation.get(`${signalEnvVarPrefix}_PROTOCOL`);
+    const generalProtocol = translation.get('OTEL_EXPORTER_OTLP_PROTOCOL');
+    let protocol = signalProtocol ?? generalProtocol ?? 'http/protobuf';
+    if (!['grpc', 'http/protobuf', 'http/json'].includes(protocol)) {
+        const envVar = signalProtocol !== undefined ? `${signalEnvVarPrefix}_PROTOCOL` : 'OTEL_EXPORTER_OTLP_PROTOCOL';
+        translation.untranslated(envVar, `unknown protocol '${protocol}', expected one of: grpc, http/protobuf, http/json. http/protobuf is used.`);
+        protocol = 'http/protobuf';
+    }
+
+    const exporter = {};
+    const signalEndpoint = translation.get(`${signalEnvVarPrefix}_ENDPOINT`);
+    const generalEndpoint = translation.get('OTEL_EXPORTER_OTLP_ENDPOINT');
+    if (signalEndpoint !== undefined) {
+        exporter['endpoint'] = signalEndpoint;
+    } else if (generalEndpoint !== undefined) {
+        // Per the spec, the general endpoint is a base URL for http, to which the signal path is appended
+        exporter['endpoint'] = protocol === 'grpc' ? generalEndpoint : `${generalEndpoint.replace(/\/+$/, '')}/v1/${signal}`;
+    }
+    if (protocol === 'grpc') {
+        return {otlp_grpc: exporter};
+    }
+    if (protocol === 'http/json') {
+        exporter['encoding'] = 'json';
+    }
+    return {otlp_http: exporter};
+}
+
+function translateSampler(translation) {
+    const name = translation.get('OTEL_TRACES_SAMPLER');
+    const arg = translation.get('OTEL_TRACES_SAMPLER_ARG');
+    if (name === undefined) {
+        if (arg !== undefined) {
+            translation.untranslated('OTEL_TRACES_SAMPLER_ARG', 'has no effect because OTEL_TRACES_SAMPLER is not set.');
+        }
+        return null;
+    }
+    const isParentBased = name.startsWith('parentbased_');
+    const rootName = isParentBased ? name.substring('parentbased_'.length) : name;
+    let rootSampler;
+    switch (rootName) {
+        case 'always_on':
+        case 'always_off':
+            if (arg !== undefined) {
+                translation.untranslated('OTEL_TRACES_SAMPLER_ARG', `has no effect because sampler '${name}' does not accept an argument.`);
+            }
+            rootSampler = {[rootName]: null};
+            break;
+        case 'traceidratio':
+            rootSampler = {trace_id_ratio_based: {ratio: samplerRatio(translation, arg)}};
+            break;
+        case 'jaeger_remote':
+            rootSampler = {'jaeger_remote/development': jaegerRemoteSampler(translation, arg)};
+            break;
+        default:
+            translation.untranslated('OTEL_TRACES_SAMPLER', `sampler '${name}' has no equivalent in the schema.`);
+            if (arg !== undefined) {
+                translation.untranslated('OTEL_TRACES_SAMPLER_ARG', `has no effect because sampler '${name}' is not translated.`);
+            }
+            return null;
+    }
+    return isParentBased ? {parent_based: {root: rootSampler}} : rootSampler;
+}
+
+function samplerRatio(translation, arg) {
+    if (arg === undefined) {
+        return 1.0;
+    }
+    const ratio = Number(arg);
+    if (arg.trim().length === 0 || Number.isNaN(ratio) || ratio < 0 || ratio > 1) {
+        translation.untranslated('OTEL_TRACES_SAMPLER_ARG', `invalid ratio '${arg}', expected a number in the range [0, 1]. 1.0 is used.`);
+        return 1.0;
+    }
+    return ratio;
+}
+
+// The jaeger_remote sampler argument is a comma separated list of key=value pairs, for example:
+// endpoint=http://localhost:14250,pollingIntervalMs=5000,initialSamplingRate=0.25
+function jaegerRemoteSampler(translation, arg) {
+    const sampler = {endpoint: defaultJaegerRemoteEndpoint};
+    let initialSamplingRate = defaultJaegerRemoteInitialSamplingRate;
+    listValue(arg ?? '').forEach(pair => {
+        const separatorIndex = pair.indexOf('=');
+        const key = separatorIndex === -1 ? pair : pair.substring(0, separatorIndex).trim();
+        const value = separatorIndex === -1 ? '' : pair.substring(separatorIndex + 1).trim();
+        if (key === 'endpoint' && value.length > 0) {
+            sampler['endpoint'] = value;
+        } else if (key === 'pollingIntervalMs' && integerValue.parse(value) !== undefined) {
+            sampler['interval'] = integerValue.parse(value);
+        } else if (key === 'initialSamplingRate' && value.length > 0 && !Number.isNaN(Number(value))) {
+            initialSamplingRate = Number(value);
+        } else {
+            translation.untranslated('OTEL_TRACES_SAMPLER_ARG', `jaeger_remote sampler argument '${pair}' is not recognized.`);
+        }
+    });
+    sampler['initial_sampler'] = {trace_id_ratio_based: {ratio: initialSamplingRate}};
+    return sampler;
+}
+
+function exportEnvVarMapping(configExport, mapping) {
+    mapping.containerPaths.flatMap(containerPath => findContainers(configExport.config, containerPath)).forEach(container => {
+        const path = [...configExport.pathOf(container), ...mapping.propertyPath];
+        const value = mapping.propertyPath.reduce((parent, key) => isPlainObject(parent) ? parent[key] : undefined, container);
+        // Properties exported in code, such as headers_list merged with headers, are skipped
+        if (value === undefined || value === null || configExport.isHandled(path)) {
+            return;
+        }
+        const envValue = mapping.valueType.format(value);
+        if (envValue === undefined) {
+            configExport.unexported(path, `value has no equivalent, ${mapping.envVar} must be ${mapping.valueType.description}.`);
+            return;
+        }
+        configExport.exportValue(mapping.envVar, envValue, path);
+    });
+}
+
+// The single [key, value] entry of an SDK extension plugin object, or [null, null] if it is not one.
+function pluginEntry(plugin) {
+    const entries = isPlainObject(plugin) ? Object.entries(plugin) : [];
+    return entries.length === 1 ? entries[0] : [null, null];
+}
+
+// Merge [key, value] entries into a comma separated list of key=value pairs, in the format of OTEL_RESOURCE_ATTRIBUTES
+// and OTEL_EXPORTER_OTLP_HEADERS. Entries take precedence over pairs of the list with the same key. Returns null if the
+// result is empty.
+function mergeKeyValueList(list, entries) {
+    const keys = entries.map(([key]) => key);
+    const pairs = listValue(list ?? '').filter(pair => !keys.includes(pair.split('=')[0].trim()));
+    pairs.push(...entries.map(([key, value]) => `${key}=${encodeURIComponent(value)}`));
+    return pairs.length > 0 ? pairs.join(',') : null;
+}
+
+function exportResource(configExport) {
+    const resource = configExport.config['resource'];
+    if (!isPlainObject(resource)) {
+        return;
+    }
+    const entries = [];
+    (resource['attributes'] || []).forEach((attribute, index) => {
+        const path = ['resource', 'attributes', index];
+        const type = attribute['type'] ?? 'string';
+        if (attribute['value'] === null) {
+            return;
+        }
+        if (type !== 'string') {
+            configExport.unexported(path, `attribute type ${type} has no equivalent, as OTEL_RESOURCE_ATTRIBUTES only supports string values.`);
+        } else if (attribute['name'] === 'service.name') {
+            configExport.exportValue('OTEL_SERVICE_NAME', attribute['value'], path);
+        } else {
+            entries.push([attribute['name'], attribute['value']]);
+            configExport.exported(path);
+        }
+    });
+    const attributesList = mergeKeyValueList(resource['attributes_list'], entries);
+    if (attributesList !== null) {
+        configExport.exportValue('OTEL_RESOURCE_ATTRIBUTES', attributesList, ['resource', 'attributes_list']);
+    }
+}
+
+function exportPropagators(configExport) {
+    const propagator = configExport.config['propagator'];
+    const names = [];
+    if (isPlainObject(propagator)) {
+        (propagator['composite'] || []).forEach(entry => names.push(pluginEntry(entry)[0]));
+        names.push(...listValue(propagator['composite_list'] ?? ''));
+    }
+    // Without propagators the schema uses a noop propagator, while the env var defaults to tracecontext,baggage
+    const uniqueNames = [...new Set(names.filter(name => name !== null && name !== 'none'))];
+    configExport.exportValue('OTEL_PROPAGATORS', uniqueNames.length > 0 ? uniqueNames.join(',') : 'none', ['propagator']);
+}
+
+// Export the processors or readers of the signal as OTEL_{SIGNAL}_EXPORTER, with the settings of their OTLP exporter.
+function exportPipelines(configExport, signal) {
+    const envVar = `OTEL_${signal.toUpperCase()}_EXPORTER`;
+    const [providerKey, pipelinesKey] = pipelinePathsBySignal[signal];
+    const provider = configExport.config[providerKey];
+    const names = [];
+    ((isPlainObject(provider) && provider[pipelinesKey]) || []).forEach((pipeline, index) => {
+        const path = [providerKey, pipelinesKey, index];
+        const [pipelineKey, pipelineValue] = pluginEntry(pipeline);
+        const [exporterKey, exporterValue] = pluginEntry(isPlainObject(pipelineValue) ? pipelineValue['exporter'] : null);
+        const name = (exporterNamesBySignal[signal][pipelineKey] || {})[exporterKey];
+        if (name === undefined) {
+            const supported = Object.entries(exporterNamesBySignal[signal])
+                .flatMap(([supportedPipelineKey, namesByExporterKey]) => Object.keys(namesByExporterKey).map(supportedExporterKey => `${supportedPipelineKey} with ${supportedExporterKey}`));
+            configExport.unexported(path, `${pipelineKey} with ${exporterKey} exporter has no equivalent, ${envVar} only configures: ${supported.join(', ')}.`);
+            return;
+        }
+        if (names.includes(name)) {
+            configExport.unexported(path, `${envVar} only configures one ${name} exporter.`);
+            return;
+        }
+        names.push(name);
+        const exporterPath = [...path, pipelineKey, 'exporter', exporterKey];
+        configExport.exportedComponent(exporterPath, exporterValue);
+        if (name === 'otlp') {
+            exportOtlpExporter(configExport, signal, exporterKey, exporterValue, exporterPath);
+        }
+    });
+    // Without a provider or exporters the schema uses a noop provider, while the env var defaults to otlp
+    configExport.setEnvVar(envVar, names.length > 0 ? names.join(',') : 'none');
+}
+
+// Export the OTLP exporter's protocol, endpoint and headers. Other OTLP settings are exported by envVarMappings.
+function exportOtlpExporter(configExport, signal, exporterKey, exporter, path) {
+    const signalEnvVarPrefix = `OTEL_EXPORTER_OTLP_${signal.toUpperCase()}`;
+    const encoding = isPlainObject(exporter) ? exporter['encoding'] : null;
+    configExport.setEnvVar(`${signalEnvVarPrefix}_PROTOCOL`, exporterKey === 'otlp_grpc' ? 'grpc' : encoding === 'json' ? 'http/json' : 'http/protobuf');
+    if (!isPlainObject(exporter)) {
+        return;
+    }
+    if (encoding !== undefined && encoding !== null) {
+        configExport.exported([...path, 'encoding']);
+    }
+    // The endpoint includes the signal specific path, like the signal specific env var
+    if (exporter['endpoint'] !== undefined && exporter['endpoint'] !== null) {
+        configExport.exportValue(`${signalEnvVarPrefix}_ENDPOINT`, exporter['endpoint'], [...path, 'endpoint']);
+    }
+    const headers = (exporter['headers'] || []).filter(header => header['value'] !== null).map(header => [header['name'], header['value']]);
+    const headersList = mergeKeyValueList(exporter['headers_list'], headers);
+    if (headersList !== null) {
+        configExport.exportValue(`${signalEnvVarPrefix}_HEADERS`, headersList, [...path, 'headers_list']);
+        configExport.exported([...path, 'headers']);
+    }
+}
+
+function exportSampler(configExport) {
+    const tracerProvider = configExport.config['tracer_provider'];
+    const path = ['tracer_provider', 'sampler'];
+    if (!isPlainObject(tracerProvider)) {
+        return;
+    }
+    const [key, value] = pluginEntry(tracerProvider['sampler']);
+    if (key !== 'parent_based') {
+        const name = exportRootSampler(configExport, key, value, [...path, key]);
+        if (name !== null) {
+            configExport.setEnvVar('OTEL_TRACES_SAMPLER', name);
+        }
+        return;
+    }
+    // Env vars only configure the root of a parent based sampler. Its other settings are reported if set.
+    const rootPath = [...path, key, 'root'];
+    const [rootKey, rootValue] = isPlainObject(value) && value['root'] ? pluginEntry(value['root']) : ['always_on', null];
+    const rootName = exportRootSampler(configExport, rootKey, rootValue, [...rootPath, rootKey]);
+    if (rootName !== null) {
+        configExport.exportedComponent([...path, key], value);
+        configExport.setEnvVar('OTEL_TRACES_SAMPLER', `parentbased_${rootName}`);
+    }
+}
+
+// Export the settings of a sampler which can be the root of a parent based sampler, returning its OTEL_TRACES_SAMPLER
+// name, or null if it has no equivalent.
+function exportRootSampler(configExport, key, value, path) {
+    switch (key) {
+        case null:
+            return null;
+        case 'always_on':
+        case 'always_off':
+            configExport.exportedComponent(path, value);
+            return key;
+        case 'trace_id_ratio_based':
+            configExport.exportedComponent(path, value);
+            if (isPlainObject(value) && value['ratio'] !== undefined && value['ratio'] !== null) {
+                configExport.exportValue('OTEL_TRACES_SAMPLER_ARG', `${value['ratio']}`, [...path, 'ratio']);
+            }
+            return 'traceidratio';
+        case 'jaeger_remote/development':
+            exportJaegerRemoteSamplerArg(configExport, value, path);
+            return 'jaeger_remote';
+        default:
+            configExport.unexported(path, `sampler '${key}' has no equivalent, OTEL_TRACES_SAMPLER only configures always_on, always_off, traceidratio and jaeger_remote, optionally parent based.`);
+            return null;
+    }
+}
+
+// The inverse of jaegerRemoteSampler.
+function exportJaegerRemoteSamplerArg(configExport, sampler, path) {
+    configExport.exportedComponent(path, sampler);
+    if (!isPlainObject(sampler)) {
+        return;
+    }
+    const pairs = [];
+    if (sampler['endpoint'] !== undefined && sampler['endpoint'] !== null) {
+        pairs.push(`endpoint=${sampler['endpoint']}`);
+        configExport.exported([...path, 'endpoint']);
+    }
+    if (sampler['interval'] !== undefined && sampler['interval'] !== null) {
+        pairs.push(`pollingIntervalMs=${sampler['interval']}`);
+        configExport.exported([...path, 'interval']);
+    }
+    const [initialSamplerKey, initialSampler] = pluginEntry(sampler['initial_sampler']);
+    if (initialSamplerKey === 'trace_id_ratio_based' && isPlainObject(initialSampler) && typeof initialSampler['ratio'] === 'number') {
+        pairs.push(`initialSamplingRate=${initialSampler['ratio']}`);
+        configExport.exported([...path, 'initial_sampler']);
+    }
+    if (pairs.length > 0) {
+        configExport.setEnvVar('OTEL_TRACES_SAMPLER_ARG', pairs.join(','));
+    }
+}
+
+class EnvTranslation {
+    env;
+    config;
+    consumed;
+    untranslatedEnvVars;
+
+    constructor(env) {
+        this.env = Object.fromEntries(Object.entries(env).filter(([name, value]) => name.startsWith('OTEL_') && value !== undefined && value !== ''));
+        this.config = {file_format: fileFormat};
+        this.consumed = new Set();
+        this.untranslatedEnvVars = [];
+    }
+
+    // Get the value of the env var, or undefined if unset, recording that it has been consumed.
+    get(envVar) {
+        const value = this.env[envVar];
+        if (value !== undefined) {
+            this.consumed.add(envVar);
+        }
+        return value;
+    }
+
+    untranslated(envVar, reason) {
+        this.consumed.add(envVar);
+        this.untranslatedEnvVars.push(new UntranslatedEnvVar(envVar, this.env[envVar], reason));
+    }
+}
+
+class ConfigExport {
+    config;
+    env; // Env var names to values
+    sourcesByEnvVar; // Env var names to the formatted path of the setting exported to it
+    exportedPaths; // Paths of settings which were exported, including everything within them
+    unexportedSettings;
+    unexportedPaths;
+    pathsByObject; // Objects in config to their path
+
+    constructor(config) {
+        this.config = config;
+        this.env = {};
+        this.sourcesByEnvVar = {};
+        this.exportedPaths = [];
+        this.unexportedSettings = [];
+        this.unexportedPaths = [];
+        this.pathsByObject = new Map();
+        const indexPaths = (value, path) => {
+            if (value === null || typeof value !== 'object') {
+                return;
+            }
+            this.pathsByObject.set(value, path);
+            Object.entries(value).forEach(([key, entryValue]) => indexPaths(entryValue, [...path, Array.isArray(value) ? Number(key) : key]));
+        };
+        indexPaths(config, []);
+    }
+
+    pathOf(object) {
+        return this.pathsByObject.get(object);
+    }
+
+    // Set an env var which selects components, whose settings are exported separately.
+    setEnvVar(envVar, value) {
+        this.env[envVar] = value;
+    }
+
+    // Export the setting at path as the env var. An env var has a single value, so settings which conflict with the
+    // value already exported are reported.
+    exportValue(envVar, value, path) {
+        const existingValue = this.env[envVar];
+        if (existingValue !== undefined && existingValue !== value) {
+            this.unexported(path, `conflicts with ${envVar}=${existingValue} exported from ${this.sourcesByEnvVar[envVar]}.`);
+            return;
+        }
+        this.env[envVar] = value;
+        this.sourcesByEnvVar[envVar] = formatPath(path);
+        this.exported(path);
+    }
+
+    exported(path) {
+        this.exportedPaths.push(path);
+    }
+
+    // Record a component selected by an env var. If it has settings, each is exported or reported separately.
+    exportedComponent(path, value) {
+        if (value === undefined || value === null || (isPlainObject(value) && Object.keys(value).length === 0)) {
+            this.exported(path);
+        }
+    }
+
+    unexported(path, reason) {
+        const value = path.reduce((parent, key) => parent !== null && typeof parent === 'object' ? parent[key] : undefined, this.config);
+        this.unexportedSettings.push(new UnexportedSetting(formatPath(path), value, reason));
+        this.unexportedPaths.push(path);
+    }
+
+    // Whether the setting at path, or a setting containing it, was exported or reported as unexported.
+    isHandled(path) {
+        return [...this.exportedPaths, ...this.unexportedPaths].some(handledPath => isPathPrefix(handledPath, path));
+    }
+
+    // Whether a setting within the setting at path was exported.
+    hasExportedWithin(path) {
+        return this.exportedPaths.some(exportedPath => isPathPrefix(path, exportedPath));
+    }
+}
+
+// Replace null values with empty objects, as a null object (e.g. "always_on:") is equivalent to an empty one.
+function nullToEmpty(value) {
+    if (value === null) {
+        return {};
+    }
+    if (Array.isArray(value)) {
+        return value.map(nullToEmpty);
+    }
+    if (isPlainObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, entryValue]) => [key, nullToEmpty(entryValue)]));
+    }
+    return value;
+}
+
+function isPathPrefix(prefix, path) {
+    return prefix.length <= path.length && prefix.every((segment, index) => segment === path[index]);
+}
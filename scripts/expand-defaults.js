@@ -0,0 +1,79 @@
+import fs from "fs";
+import path from "path";
+import {parseArgs} from "util";
+import yaml from "yaml";
+import {readConfigFile} from "./config-file.js";
+import {compileConfigValidator, validateConfigFile} from "./config-validation.js";
+import {readSourceTypesByType} from "./source-schema.js";
+import {expandDefaults} from "./config-defaults.js";
+
+// Write the effective configuration of a configuration file, with every omitted or null property which has a
+// machine-readable default filled in. Environment variable substitution is applied first.
+
+const {values: options, positionals} = parseArgs({
+    options: {
+        annotate: {type: 'boolean', default: false},
+    },
+    allowPositionals: true
+});
+if (positionals.length < 1 || positionals.length > 2) {
+    console.log('Usage: expand-defaults [--annotate] <input.yaml> [<output.(yaml|yml|json)>]');
+    process.exit(1);
+}
+const [inputFile, outputFile] = positionals;
+
+const sourceTypesByType = readSourceTypesByType();
+const configFile = readConfigFile(inputFile);
+validateConfigFile(configFile, compileConfigValidator(), sourceTypesByType);
+configFile.sortedMessages().forEach(message => console.error(message.format()));
+if (configFile.hasErrors()) {
+    process.exit(1);
+}
+
+const expandedConfig = expandDefaults(configFile.toJS(), sourceTypesByType);
+
+const extension = outputFile ? path.extname(outputFile) : '.yaml';
+let output;
+if (extension === '.json') {
+    output = JSON.stringify(expandedConfig.config, null, 2) + '\n';
+} else if (extension === '.yaml' || extension === '.yml') {
+    const document = new yaml.Document(expandedConfig.config);
+    // Keep lists of scalars such as histogram boundaries on one line
+    yaml.visit(document, {
+        Seq(_, node) {
+            node.flow = node.items.every(item => yaml.isScalar(item));
+        }
+    });
+    if (options.annotate) {
+        expandedConfig.defaultedPaths.forEach(defaultedPath => annotateDefault(document, defaultedPath));
+    }
+    output = document.toString({nullStr: '', lineWidth: 0, flowCollectionPadding: false});
+} else {
+    console.log(`Unknown extension on output file ${outputFile}.`);
+    process.exit(1);
+}
+
+if (outputFile) {
+    fs.mkdirSync(path.dirname(outputFile), {recursive: true});
+    fs.writeFileSync(outputFile, output);
+} else {
+    process.stdout.write(output);
+}
+
+// Helper functions
+
+// Add a "# default" comment to the node at the path. Scalars and flow collections are commented inline, other
+// collections on the line of their key.
+function annotateDefault(document, defaultedPath) {
+    const parent = defaultedPath.length === 1 ? document.contents : document.getIn(defaultedPath.slice(0, -1), true);
+    const key = defaultedPath[defaultedPath.length - 1];
+    if (yaml.isMap(parent)) {
+        const pair = parent.items.find(item => (yaml.isScalar(item.key) ? item.key.value : item.key) === key);
+        if (yaml.isScalar(pair.value) || pair.value.flow) {
+            pair.value.comment = ' default';
+        } else {
+            pair.key = document.createNode(pair.key);
+            pair.key.comment = ' default';
+        }
+    }
+}
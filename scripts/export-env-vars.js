@@ -0,0 +1,65 @@
+import fs from "fs";
+import path from "path";
+import {parseArgs} from "util";
+import {readConfigFile} from "./config-file.js";
+import {compileConfigValidator, validateConfigFile} from "./config-validation.js";
+import {readSourceTypesByType} from "./source-schema.js";
+import {formatEnvFileValue} from "./env-file.js";
+import {exportEnvVars} from "./env-var-mappings.js";
+
+// Export a configuration file as the closest equivalent OTEL_* environment variables, for SDKs which do not support
+// declarative configuration yet. Settings which have no environment variable equivalent are reported. Environment
+// variable substitution is applied first.
+
+const {values: options, positionals} = parseArgs({
+    options: {
+        format: {type: 'string', default: 'env'},
+        output: {type: 'string'},
+        strict: {type: 'boolean', default: false},
+    },
+    allowPositionals: true
+});
+if (positionals.length !== 1 || !['env', 'shell'].includes(options.format)) {
+    console.log('Usage: export-env-vars [--format env|shell] [--output <file>] [--strict] <config.yaml>');
+    process.exit(1);
+}
+
+const sourceTypesByType = readSourceTypesByType();
+const configFile = readConfigFile(positionals[0]);
+validateConfigFile(configFile, compileConfigValidator(), sourceTypesByType);
+configFile.sortedMessages().forEach(message => console.error(message.format()));
+if (configFile.hasErrors()) {
+    process.exit(1);
+}
+
+const result = exportEnvVars(configFile.toJS(), sourceTypesByType);
+const lines = [`# Exported from ${path.basename(positionals[0])} by export-env-vars.`];
+if (result.unexported.length > 0) {
+    lines.push('#', '# The following settings have no environment variable equivalent:');
+    result.unexported.forEach(unexported => lines.push(`# - ${unexported.path}: ${unexported.reason}`));
+}
+Object.entries(result.env).forEach(([envVar, value]) => {
+    lines.push(options.format === 'shell' ? `export ${envVar}=${shellQuote(value)}` : `${envVar}=${formatEnvFileValue(value)}`);
+});
+const output = lines.join('\n') + '\n';
+
+// Reports go to stderr, so the env vars can be written to stdout
+result.unexported.forEach(unexported => console.error(`warning: ${unexported.path}: ${unexported.reason}`));
+
+if (options.output) {
+    fs.mkdirSync(path.dirname(options.output), {recursive: true});
+    fs.writeFileSync(options.output, output);
+    console.error(`Exported ${Object.keys(result.env).length} environment variables to ${options.output}.`);
+} else {
+    process.stdout.write(output);
+}
+if (options.strict && result.unexported.length > 0) {
+    process.exit(1);
+}
+
+// Helper functions
+
+// Quote the value for a POSIX shell, in which nothing is special within single quotes except the closing quote.
+function shellQuote(value) {
+    return `'${value.replace(/'/g, `'\\''`)}'`;
+}
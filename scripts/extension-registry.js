@@ -0,0 +1,121 @@
+import fs from "fs";
+import path from "path";
+import yaml from "yaml";
+import Ajv from "ajv/dist/2020.js";
+import {readOutputSchema} from "./config-validation.js";
+
+// A registry of JSON schemas for custom SDK extension plugin components and distribution keys, which the compiled
+// schema accepts as any object. Registry files look like:
+//
+// components:
+//   SpanExporter:                # An SDK extension plugin type
+//     my_exporter:               # The custom component name
+//       type: object             # The JSON schema of the component's properties
+//       ...
+// distribution:
+//   my_vendor:                   # The distribution key
+//     type: object
+//     ...
+//
+// Schemas may reference types of the compiled schema, e.g. $ref: opentelemetry_configuration.json#/$defs/HttpTls.
+
+export const outputSchemaId = 'opentelemetry_configuration.json';
+export const distributionTypeName = 'Distribution';
+
+// Read and compile the registry files. Problems are recorded in ExtensionRegistry.messages rather than thrown.
+export function readExtensionRegistry(files, sourceTypesByType, outputSchema = readOutputSchema()) {
+    const ajv = new Ajv({allErrors: true, verbose: true});
+    ajv.addSchema(outputSchema, outputSchemaId);
+    const registry = new ExtensionRegistry();
+    files.forEach(file => {
+        let content;
+        try {
+            content = yaml.parse(fs.readFileSync(file, "utf-8"));
+        } catch (error) {
+            registry.messages.push(`Error reading extension registry ${file}: ${error.message}`);
+            return;
+        }
+        if (content === null || typeof content !== 'object' || Array.isArray(content)) {
+            registry.messages.push(`Extension registry ${file} must be an object with 'components' and / or 'distribution'.`);
+            return;
+        }
+        Object.keys(content).filter(key => !['components', 'distribution'].includes(key)).forEach(key => {
+            registry.messages.push(`Extension registry ${file} has unknown key '${key}'.`);
+        });
+        Object.entries(content['components'] || {}).forEach(([type, schemasByName]) => {
+            const sourceSchemaType = sourceTypesByType[type];
+            if (!sourceSchemaType || !sourceSchemaType.schema['isSdkExtensionPlugin']) {
+                registry.messages.push(`Extension registry ${file} has components for ${type}, which is not an SDK extension plugin type.`);
+                return;
+            }
+            Object.entries(schemasByName || {}).forEach(([name, schema]) => {
+                if (sourceSchemaType.properties.some(property => property.property === name)) {
+                    registry.messages.push(`Extension registry ${file} has component ${type}.${name}, which is a built-in ${type}.`);
+                    return;
+                }
+                registry.addExtension(compileExtension(ajv, file, type, name, schema, registry.messages));
+            });
+        });
+        Object.entries(content['distribution'] || {}).forEach(([name, schema]) => {
+            registry.addExtension(compileExtension(ajv, file, distributionTypeName, name, schema, registry.messages));
+        });
+    });
+    return registry;
+}
+
+// Types
+
+export class ExtensionRegistry {
+    extensions; // Extension by "<type>.<name>"
+    messages;
+
+    constructor() {
+        this.extensions = {};
+        this.messages = [];
+    }
+
+    addExtension(extension) {
+        if (extension !== null) {
+            this.extensions[`${extension.type}.${extension.name}`] = extension;
+        }
+    }
+
+    // Whether custom properties of values of the type are validated against the registry
+    isExtensible(sourceSchemaType) {
+        return sourceSchemaType.type === distributionTypeName || sourceSchemaType.schema['isSdkExtensionPlugin'] === true;
+    }
+
+    // The extension for the custom component or distribution key, or null if unregistered.
+    find(type, name) {
+        return this.extensions[`${type}.${name}`] || null;
+    }
+}
+
+export class Extension {
+    file;
+    type; // The SDK extension plugin type, or Distribution
+    name;
+    validator;
+
+    constructor(file, type, name, validator) {
+        this.file = file;
+        this.type = type;
+        this.name = name;
+        this.validator = validator;
+    }
+}
+
+// Helper functions
+
+function compileExtension(ajv, file, type, name, schema, messages) {
+    if (schema === null || typeof schema !== 'object' || Array.isArray(schema)) {
+        messages.push(`Extension registry ${file} schema for ${type}.${name} must be an object.`);
+        return null;
+    }
+    try {
+        return new Extension(path.normalize(file), type, name, ajv.compile(schema));
+    } catch (error) {
+        messages.push(`Extension registry ${file} schema for ${type}.${name} is invalid: ${error.message}`);
+        return null;
+    }
+}
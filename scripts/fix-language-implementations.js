@@ -1,12 +1,49 @@
+import {parseArgs} from "util";
 import {
-    readAndFixLanguageImplementations, writeLanguageImplementations
+    importSupportStatusReport, readAndFixLanguageImplementations, readSupportStatusReport, writeLanguageImplementations
 } from "./language-implementations.js";
+import {readSourceTypesByType} from "./source-schema.js";
+
+const {values: options, positionals} = parseArgs({
+    options: {
+        report: {type: 'string', multiple: true, default: []},
+    },
+    allowPositionals: true
+});
+if (positionals.length !== 0) {
+    console.log('Usage: fix-language-implementations [--report <support-status-report.json>]...');
+    process.exit(1);
+}
 
 const { messages, languageImplementations } = readAndFixLanguageImplementations();
 
+// Import support status reports, after reconciling with the source schema
+const transitions = [];
+if (options.report.length > 0) {
+    const sourceTypesByType = readSourceTypesByType();
+    options.report.forEach(file => {
+        const report = readSupportStatusReport(file, messages);
+        if (report !== null) {
+            transitions.push(...importSupportStatusReport(report, languageImplementations, sourceTypesByType, messages));
+        }
+    });
+}
+
 writeLanguageImplementations(languageImplementations);
 
 // Write messages to console
 messages.forEach(message => {
     console.log(message);
 });
+
+// Write a summary of status transitions from reports
+if (options.report.length > 0) {
+    const changed = transitions.filter(transition => !transition.isKept);
+    const kept = transitions.filter(transition => transition.isKept);
+    console.log(`${changed.length} status transitions imported from ${options.report.length} support status report(s).`);
+    changed.forEach(transition => console.log(`  ${transition.format()}`));
+    if (kept.length > 0) {
+        console.log(`${kept.length} not_applicable statuses kept:`);
+        kept.forEach(transition => console.log(`  ${transition.format()}`));
+    }
+}
@@ -0,0 +1,84 @@
+import fs from "fs";
+import path from "path";
+import {parseArgs} from "util";
+import yaml from "yaml";
+import {readEnvFile} from "./env-file.js";
+import {translateEnvVars} from "./env-var-mappings.js";
+import {escapeSubstitution} from "./env-substitution.js";
+import {parseConfigFile} from "./config-file.js";
+import {compileConfigValidator, validateConfigFile} from "./config-validation.js";
+
+// Generate a configuration file equivalent to the OTEL_* environment variables of the process, or of a .env file.
+// Env vars which could not be translated are reported, and the result is validated against the compiled JSON schema.
+
+const {values: options, positionals} = parseArgs({
+    options: {
+        'env-file': {type: 'string'},
+        output: {type: 'string'},
+        strict: {type: 'boolean', default: false},
+    },
+    allowPositionals: true
+});
+if (positionals.length !== 0) {
+    console.log('Usage: generate-config-from-env [--env-file <.env>] [--output <config.yaml>] [--strict]');
+    process.exit(1);
+}
+
+let env = process.env;
+if (options['env-file']) {
+    const envFile = readEnvFile(options['env-file']);
+    if (envFile.errors.length > 0) {
+        envFile.errors.forEach(error => console.error(error));
+        process.exit(1);
+    }
+    env = envFile.env;
+}
+
+const result = translateEnvVars(env);
+const document = new yaml.Document(escapeStrings(result.config));
+const headerLines = [` Generated from OTEL_* environment variables by generate-config-from-env.`];
+if (result.untranslated.length > 0) {
+    headerLines.push('', ' The following environment variables were not translated:');
+    result.untranslated.forEach(untranslated => headerLines.push(` - ${untranslated.envVar}: ${untranslated.reason}`));
+}
+document.commentBefore = headerLines.join('\n');
+const output = document.toString({nullStr: ''});
+
+// Reports go to stderr, so the config can be written to stdout
+result.untranslated.forEach(untranslated => console.error(`warning: ${untranslated.envVar}=${untranslated.value}: ${untranslated.reason}`));
+
+const outputFile = options.output || '<stdout>';
+const configFile = parseConfigFile(outputFile, output, {});
+const valid = validateConfigFile(configFile, compileConfigValidator());
+configFile.sortedMessages().forEach(message => console.error(message.format()));
+if (!valid) {
+    console.error('The generated configuration is not valid. Please report this as a bug.');
+    process.exit(1);
+}
+
+if (options.output) {
+    fs.mkdirSync(path.dirname(options.output), {recursive: true});
+    fs.writeFileSync(options.output, output);
+    console.error(`Translated ${result.translated.length} environment variables to ${options.output}.`);
+} else {
+    process.stdout.write(output);
+}
+if (options.strict && result.untranslated.length > 0) {
+    process.exit(1);
+}
+
+// Helper functions
+
+// Escape $ in string values, which would otherwise be interpreted as env var substitution references.
+function escapeStrings(value) {
+    if (typeof value === 'string') {
+        return escapeSubstitution(value);
+    }
+    if (Array.isArray(value)) {
+        return value.map(escapeStrings);
+    }
+    if (value !== null && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, entryValue]) => [key, escapeStrings(entryValue)]));
+    }
+    return value;
+}
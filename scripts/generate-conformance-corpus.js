@@ -0,0 +1,70 @@
+import fs from "fs";
+import path from "path";
+import {parseArgs} from "util";
+import yaml from "yaml";
+import {compileConfigValidator} from "./config-validation.js";
+import {readSourceTypesByType} from "./source-schema.js";
+import {generateConformanceCorpus} from "./conformance-corpus.js";
+import {fileFormat, outDirPath} from "./util.js";
+
+// Generate a conformance corpus of valid and invalid configuration files from the schema, with a manifest of the
+// expected result of each. The corpus is checked against the compiled JSON schema before it is written, so that SDK
+// parsers running it can show they accept and reject the same documents as the schema.
+
+const {values: options, positionals} = parseArgs({
+    options: {
+        output: {type: 'string', default: path.join(outDirPath, 'conformance-corpus')},
+    },
+    allowPositionals: true
+});
+if (positionals.length !== 0) {
+    console.log('Usage: generate-conformance-corpus [--output <dir>]');
+    process.exit(1);
+}
+
+const corpus = generateConformanceCorpus(readSourceTypesByType());
+
+// Check each case against the compiled JSON schema
+const validator = compileConfigValidator();
+const messages = [];
+corpus.cases.forEach(conformanceCase => {
+    const valid = validator(conformanceCase.config);
+    if (conformanceCase.isValid() && !valid) {
+        messages.push(`Case ${conformanceCase.name} is expected to be valid, but failed validation with errors:`);
+        validator.errors.forEach(error => messages.push(`  ${error.instancePath === '' ? '/' : error.instancePath} ${error.keyword}: ${error.message}`));
+    } else if (!conformanceCase.isValid() && valid) {
+        messages.push(`Case ${conformanceCase.name} is expected to be invalid, but passed validation.`);
+    } else if (!conformanceCase.isValid()) {
+        conformanceCase.expectedErrors
+            .filter(expectedError => !validator.errors.some(error => error.instancePath === expectedError.instancePath && error.keyword === expectedError.keyword))
+            .forEach(expectedError => messages.push(`Case ${conformanceCase.name} failed validation without expected error ${expectedError.format()}.`));
+    }
+});
+if (messages.length > 0) {
+    messages.forEach(message => console.log(message));
+    console.log('The conformance corpus disagrees with the JSON schema. Please report this as a bug.');
+    process.exit(1);
+}
+
+fs.rmSync(options.output, {recursive: true, force: true});
+['valid', 'invalid'].forEach(dir => fs.mkdirSync(path.join(options.output, dir), {recursive: true}));
+const manifestCases = corpus.cases.map(conformanceCase => {
+    const file = `${conformanceCase.isValid() ? 'valid' : 'invalid'}/${conformanceCase.name}.yaml`;
+    const document = new yaml.Document(conformanceCase.config);
+    const headerLines = [` ${conformanceCase.description}`];
+    if (conformanceCase.isValid()) {
+        headerLines.push(' EXPECTED: valid');
+    }
+    conformanceCase.expectedErrors.forEach(expectedError => headerLines.push(` EXPECTED_ERROR: ${expectedError.format()}`));
+    document.commentBefore = headerLines.join('\n');
+    fs.writeFileSync(path.join(options.output, file), document.toString({lineWidth: 0}));
+    return conformanceCase.toJson(file);
+});
+const manifest = {fileFormat, cases: manifestCases};
+fs.writeFileSync(path.join(options.output, 'manifest.json'), JSON.stringify(manifest, null, 2) + '\n');
+
+const validCount = corpus.cases.filter(conformanceCase => conformanceCase.isValid()).length;
+console.log(`Wrote ${validCount} valid and ${corpus.cases.length - validCount} invalid cases to ${path.relative(process.cwd(), options.output)}, which agree with the JSON schema.`);
+if (corpus.skippedTypes.length > 0) {
+    console.log(`Skipped types without a minimal valid document: ${corpus.skippedTypes.join(', ')}`);
+}
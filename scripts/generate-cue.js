@@ -0,0 +1,187 @@
+import fs from "fs";
+import {
+    cuePackagePath,
+    isExperimentalProperty,
+    isExperimentalType,
+    rootTypeName
+} from "./util.js";
+import {readSourceTypesByType, resolveRef} from "./source-schema.js";
+
+// Generate a CUE package for the configuration model from the source schema. Each type becomes a definition, closed
+// unless the type allows additional properties (e.g. SDK extension plugins), and each enum type a disjunction of its
+// values. As in the JSON schema, enum types only allow their listed values, even if their type includes null.
+
+const cuePackageName = 'opentelemetry_configuration';
+// Labels which would otherwise be keywords, or shadow predeclared identifiers referenced by other fields
+const quotedLabels = ['package', 'import', 'for', 'in', 'if', 'let', 'true', 'false', 'null', 'bool', 'bytes', 'float',
+    'int', 'number', 'string', 'uint', 'len', 'close', 'and', 'or', 'div', 'mod', 'quo', 'rem', 'list', 'struct'];
+
+const sourceTypesByType = readSourceTypesByType();
+const sourceTypes = Object.values(sourceTypesByType);
+sourceTypes.sort((a, b) => a.type.localeCompare(b.type));
+
+const imports = new Set();
+const body = [];
+
+// Write the root type first, as it is the entry point
+const rootType = sourceTypesByType[rootTypeName];
+writeType(rootType);
+sourceTypes.filter(sourceSchemaType => sourceSchemaType !== rootType).forEach(writeType);
+
+const output = [];
+output.push('// This file is generated by scripts/generate-cue.js from the source schema. Do not edit.');
+output.push('// Regenerate with: make generate-cue');
+output.push(`package ${cuePackageName}`);
+if (imports.size > 0) {
+    output.push('');
+    output.push('import (');
+    [...imports].sort().forEach(importPath => output.push(`\t${JSON.stringify(importPath)}`));
+    output.push(')');
+}
+output.push(...body);
+
+fs.writeFileSync(cuePackagePath, output.join('\n') + '\n');
+
+// Helper functions
+
+function writeType(sourceSchemaType) {
+    body.push('');
+    const commentLines = [];
+    if (sourceSchemaType.isEnumType()) {
+        commentLines.push('Values include:');
+        sourceSchemaType.sortedEnumValues().forEach(enumValue => {
+            commentLines.push(`- ${enumValue}: ${sourceSchemaType.schema['enumDescriptions'][enumValue]}`);
+        });
+    }
+    if (sourceSchemaType.schema['isSdkExtensionPlugin']) {
+        commentLines.push('SDK extension plugin. Exactly one property must be set, which may be a custom component not defined here.');
+    }
+    if (isExperimentalType(sourceSchemaType.type)) {
+        commentLines.push('Experimental.');
+    }
+    writeComment(commentLines, '');
+
+    const schema = sourceSchemaType.schema;
+    if (sourceSchemaType.isEnumType()) {
+        body.push(`#${sourceSchemaType.type}: ${schema['enum'].map(value => JSON.stringify(value)).join(' | ')}`);
+        return;
+    }
+
+    const constraints = [];
+    if (schema['minProperties'] !== undefined) {
+        imports.add('struct');
+        constraints.push(`struct.MinFields(${schema['minProperties']})`);
+    }
+    if (schema['maxProperties'] !== undefined) {
+        imports.add('struct');
+        constraints.push(`struct.MaxFields(${schema['maxProperties']})`);
+    }
+    const additionalProperties = schema['additionalProperties'];
+    if (sourceSchemaType.properties.length === 0 && (additionalProperties === undefined || additionalProperties === false)) {
+        body.push(`#${sourceSchemaType.type}: ${[...constraints, '{}'].join(' & ')}`);
+        return;
+    }
+    body.push(`#${sourceSchemaType.type}: ${[...constraints, '{'].join(' & ')}`);
+    sourceSchemaType.properties.forEach(property => {
+        const propertyCommentLines = [];
+        if (property.schema['description']) {
+            propertyCommentLines.push(...property.schema['description'].trim().split('\n'));
+        }
+        propertyCommentLines.push(property.formatDefaultAndNullBehavior());
+        if (isExperimentalProperty(property.property)) {
+            propertyCommentLines.push('Experimental.');
+        }
+        writeComment(propertyCommentLines, '\t');
+        const marker = property.isRequired ? '!' : '?';
+        body.push(`\t${formatLabel(property.property)}${marker}: ${cueType(property.schema)}`);
+    });
+    if (additionalProperties === true) {
+        body.push('\t...');
+    } else if (additionalProperties !== undefined && additionalProperties !== false) {
+        body.push(`\t[string]: ${cueType(additionalProperties)}`);
+    }
+    body.push('}');
+}
+
+// Convert a JSON schema fragment from the source schema to a CUE expression.
+function cueType(schema) {
+    return cueAlternatives(schema).join(' | ');
+}
+
+// Convert a JSON schema fragment from the source schema to an array of CUE expressions, whose disjunction it is.
+// Conjunctions bind more tightly than disjunctions, so the expressions need no parentheses.
+function cueAlternatives(schema) {
+    if (schema['$ref']) {
+        const referencedType = resolveRef(schema['$ref'], sourceTypesByType);
+        const referencedTypes = [].concat(referencedType.schema['type'] || []);
+        const nullable = referencedTypes.includes('null') && !referencedType.isEnumType();
+        return nullable ? [`#${referencedType.type}`, 'null'] : [`#${referencedType.type}`];
+    }
+    if (schema['oneOf']) {
+        return [...new Set(schema['oneOf'].flatMap(cueAlternatives))];
+    }
+    const types = [].concat(schema['type'] || []);
+    if (types.length === 0) {
+        return ['_'];
+    }
+    return types.map(type => {
+        switch (type) {
+            case 'string':
+                return 'string';
+            case 'integer':
+                return ['int', ...boundConstraints(schema)].join(' & ');
+            case 'number':
+                return ['number', ...boundConstraints(schema)].join(' & ');
+            case 'boolean':
+                return 'bool';
+            case 'null':
+                return 'null';
+            case 'object':
+                return '{...}';
+            case 'array': {
+                const itemAlternatives = schema['items'] ? cueAlternatives(schema['items']) : ['_'];
+                const constraints = [];
+                if (schema['minItems'] > 0) {
+                    imports.add('list');
+                    constraints.push(`list.MinItems(${schema['minItems']})`);
+                }
+                if (schema['maxItems'] !== undefined) {
+                    imports.add('list');
+                    constraints.push(`list.MaxItems(${schema['maxItems']})`);
+                }
+                const itemsType = itemAlternatives.length > 1 ? `(${itemAlternatives.join(' | ')})` : itemAlternatives[0];
+                return [...constraints, `[...${itemsType}]`].join(' & ');
+            }
+            default:
+                throw new Error(`Unsupported JSON schema type ${type}.`);
+        }
+    });
+}
+
+function boundConstraints(schema) {
+    const constraints = [];
+    if (schema['minimum'] !== undefined) {
+        constraints.push(`>=${schema['minimum']}`);
+    }
+    if (schema['exclusiveMinimum'] !== undefined) {
+        constraints.push(`>${schema['exclusiveMinimum']}`);
+    }
+    if (schema['maximum'] !== undefined) {
+        constraints.push(`<=${schema['maximum']}`);
+    }
+    if (schema['exclusiveMaximum'] !== undefined) {
+        constraints.push(`<${schema['exclusiveMaximum']}`);
+    }
+    return constraints;
+}
+
+function formatLabel(property) {
+    return /^[A-Za-z][A-Za-z0-9_]*$/.test(property) && !quotedLabels.includes(property) ? property : JSON.stringify(property);
+}
+
+function writeComment(lines, indent) {
+    lines.forEach(line => {
+        const trimmed = line.trimEnd();
+        body.push(trimmed.length === 0 ? `${indent}//` : `${indent}// ${trimmed}`);
+    });
+}
@@ -0,0 +1,392 @@
+import fs from "node:fs";
+import path from "node:path";
+import {KNOWN_LANGUAGES, readAndFixLanguageImplementations} from "./language-implementations.js";
+import {
+    htmlDocsDirPath,
+    isExperimentalProperty,
+    isExperimentalType,
+    rootTypeName,
+    schemaPath
+} from "./util.js";
+import {readSourceTypesByType, schemaConstraints} from "./source-schema.js";
+import {readSnippets} from "./snippets.js";
+
+// Generate a static HTML documentation site with a page per type, as an alternative view to schema-docs.md. Pages
+// are linked by a sidebar grouped by schema source file, and a client-side search over type, property and enum
+// value names and descriptions.
+
+const sourceTypesByType = readSourceTypesByType();
+const sourceTypes = Object.values(sourceTypesByType).sort((a, b) => a.type.localeCompare(b.type));
+
+const { messages, languageImplementations } = readAndFixLanguageImplementations();
+if (messages.length > 0) {
+    throw new Error("Language implementations have problems. Please run fix-language-implementations and try again.");
+}
+const languageImplementationsByLanguage = {};
+languageImplementations.forEach(languageImplementation => languageImplementationsByLanguage[languageImplementation.language] = languageImplementation);
+KNOWN_LANGUAGES.forEach(language => {
+    if (!languageImplementationsByLanguage[language]) {
+        throw new Error(`Meta schema LanguageImplementation not found for language ${language}.`);
+    }
+});
+
+const outputSchema = JSON.parse(fs.readFileSync(schemaPath, "utf-8"));
+
+const snippetsByType = {};
+readSnippets().forEach(snippet => {
+    if (!(snippet.jsonSchemaType in snippetsByType)) {
+        snippetsByType[snippet.jsonSchemaType] = [];
+    }
+    snippetsByType[snippet.jsonSchemaType].push(snippet);
+});
+
+// Usages of each type, as [SourceSchemaType, SourceSchemaProperty] of the properties referencing it
+const usagesByType = {};
+sourceTypes.forEach(sourceSchemaType => {
+    sourceSchemaType.properties.forEach(sourceSchemaProperty => {
+        sourceSchemaProperty.types.filter(type => type in sourceTypesByType).forEach(type => {
+            if (!(type in usagesByType)) {
+                usagesByType[type] = [];
+            }
+            usagesByType[type].push([sourceSchemaType, sourceSchemaProperty]);
+        });
+    });
+});
+
+const sidebar = formatSidebar();
+const searchIndex = [];
+
+fs.rmSync(htmlDocsDirPath, {recursive: true, force: true});
+fs.mkdirSync(htmlDocsDirPath, {recursive: true});
+
+writePage('index.html', 'Overview', formatOverview());
+sourceTypes.forEach(sourceSchemaType => {
+    writePage(typePage(sourceSchemaType.type), sourceSchemaType.type, formatType(sourceSchemaType));
+    addToSearchIndex(sourceSchemaType);
+});
+
+fs.writeFileSync(path.join(htmlDocsDirPath, 'search-index.js'), `window.searchIndex = ${JSON.stringify(searchIndex)};\n`);
+fs.writeFileSync(path.join(htmlDocsDirPath, 'search.js'), searchScript());
+fs.writeFileSync(path.join(htmlDocsDirPath, 'style.css'), styleSheet());
+
+console.log(`Wrote ${sourceTypes.length + 1} pages to ${path.relative(process.cwd(), htmlDocsDirPath)}.`);
+
+// Helper functions
+
+function typePage(type) {
+    return `${type}.html`;
+}
+
+function propertyId(property) {
+    return `property-${property}`;
+}
+
+function enumValueId(enumValue) {
+    return `value-${enumValue}`;
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replaceAll('&', '&amp;')
+        .replaceAll('<', '&lt;')
+        .replaceAll('>', '&gt;')
+        .replaceAll('"', '&quot;');
+}
+
+function formatDescription(description) {
+    return description ? escapeHtml(description.trim()).split('\n').join('<br>') : '';
+}
+
+function formatTypeLink(type) {
+    const experimentalClass = isExperimentalType(type) ? ' class="experimental"' : '';
+    return `<a href="${typePage(type)}"${experimentalClass}><code>${escapeHtml(type)}</code></a>`;
+}
+
+function writePage(file, title, content) {
+    const html = `<!DOCTYPE html>
+<!-- This file is generated using "make generate-html". Do not edit directly. -->
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)} - OpenTelemetry Configuration Schema</title>
+<link rel="stylesheet" href="style.css">
+</head>
+<body>
+<nav class="sidebar">
+<a class="home" href="index.html">OpenTelemetry Configuration</a>
+<input id="search" type="search" placeholder="Search types, properties, values" autocomplete="off">
+<ul id="search-results" hidden></ul>
+<div id="navigation">
+${sidebar}
+</div>
+</nav>
+<main>
+${content}
+</main>
+<script src="search-index.js"></script>
+<script src="search.js"></script>
+</body>
+</html>
+`;
+    fs.writeFileSync(path.join(htmlDocsDirPath, file), html);
+}
+
+// Types grouped by schema source file
+function formatSidebar() {
+    const typesBySourceFile = {};
+    sourceTypes.forEach(sourceSchemaType => {
+        if (!(sourceSchemaType.sourceFile in typesBySourceFile)) {
+            typesBySourceFile[sourceSchemaType.sourceFile] = [];
+        }
+        typesBySourceFile[sourceSchemaType.sourceFile].push(sourceSchemaType.type);
+    });
+    return Object.keys(typesBySourceFile).sort().map(sourceFile => {
+        const items = typesBySourceFile[sourceFile].map(type => `<li>${formatTypeLink(type)}</li>`).join('\n');
+        return `<details open>\n<summary>${escapeHtml(sourceFile)}</summary>\n<ul>\n${items}\n</ul>\n</details>`;
+    }).join('\n');
+}
+
+function formatOverview() {
+    const output = [];
+    output.push('<h1>Overview</h1>');
+    output.push(`<p>An auto-generated view of the declarative configuration JSON schema and meta schema. ${formatTypeLink(rootTypeName)} is the root type and is a good starting point. Types are listed by schema source file in the sidebar, and experimental types, which are subject to breaking changes, are shown in italics.</p>`);
+
+    output.push('<h2 id="sdk-extension-plugins">SDK Extension Plugins</h2>');
+    output.push('<p><a href="https://github.com/open-telemetry/opentelemetry-specification/blob/main/specification/configuration/sdk.md#supported-sdk-plugin-components">SDK extension plugins</a> are places where custom interface implementations can be referenced and configured. Each of the following types contains exactly one property, whose key is the name of a built-in or custom implementation:</p>');
+    output.push('<ul>');
+    sourceTypes.filter(sourceSchemaType => sourceSchemaType.schema.isSdkExtensionPlugin)
+        .forEach(sourceSchemaType => output.push(`<li>${formatTypeLink(sourceSchemaType.type)}</li>`));
+    output.push('</ul>');
+
+    output.push('<h2>Language Support</h2>');
+    output.push('<table>\n<thead><tr><th>Language</th><th>Latest supported file format</th></tr></thead>\n<tbody>');
+    KNOWN_LANGUAGES.forEach(language => {
+        const languageImplementation = languageImplementationsByLanguage[language];
+        output.push(`<tr><td>${escapeHtml(language)}</td><td><code>${escapeHtml(languageImplementation.latestSupportedFileFormat)}</code></td></tr>`);
+    });
+    output.push('</tbody>\n</table>');
+    return output.join('\n');
+}
+
+function formatType(sourceSchemaType) {
+    const type = sourceSchemaType.type;
+    const output = [];
+
+    output.push(`<h1>${escapeHtml(type)}</h1>`);
+    output.push(`<p class="source">Source: <a href="../schema/${escapeHtml(sourceSchemaType.sourceFile)}"><code>schema/${escapeHtml(sourceSchemaType.sourceFile)}</code></a></p>`);
+    if (isExperimentalType(type)) {
+        output.push('<p class="warning">This type is <a href="../VERSIONING.md#experimental-features">experimental</a>.</p>');
+    }
+    if (sourceSchemaType.schema.isSdkExtensionPlugin) {
+        output.push(`<p><code>${escapeHtml(type)}</code> is an <a href="index.html#sdk-extension-plugins">SDK extension plugin</a>.</p>`);
+    }
+    if (sourceSchemaType.schema.description) {
+        output.push(`<p>${formatDescription(sourceSchemaType.schema.description)}</p>`);
+    }
+
+    if (sourceSchemaType.isEnumType()) {
+        output.push('<h2>Values</h2>');
+        output.push('<table>\n<thead><tr><th>Value</th><th>Description</th></tr></thead>\n<tbody>');
+        sourceSchemaType.sortedEnumValues().forEach(enumValue => {
+            const description = sourceSchemaType.schema['enumDescriptions'][enumValue];
+            output.push(`<tr id="${escapeHtml(enumValueId(enumValue))}"><td><code>${escapeHtml(enumValue)}</code></td><td>${formatDescription(description)}</td></tr>`);
+        });
+        output.push('</tbody>\n</table>');
+    } else {
+        output.push('<h2>Properties</h2>');
+        const properties = sourceSchemaType.sortedProperties();
+        if (properties.length === 0) {
+            output.push('<p>No properties.</p>');
+        } else {
+            output.push('<table>\n<thead><tr><th>Property</th><th>Type</th><th>Required?</th><th>Default and Null Behavior</th><th>Constraints</th><th>Description</th></tr></thead>\n<tbody>');
+            properties.forEach(sourceSchemaProperty => {
+                let formattedProperty = `<a href="#${escapeHtml(propertyId(sourceSchemaProperty.property))}"><code>${escapeHtml(sourceSchemaProperty.property)}</code></a>`;
+                if (isExperimentalProperty(sourceSchemaProperty.property)) {
+                    formattedProperty += '<br><span class="warning">experimental</span>';
+                }
+                const formattedConstraints = formatConstraints(sourceSchemaProperty.schema) || 'No constraints.';
+                output.push(`<tr id="${escapeHtml(propertyId(sourceSchemaProperty.property))}"><td>${formattedProperty}</td><td>${formatPropertyType(sourceSchemaProperty)}</td><td><code>${sourceSchemaProperty.isRequired}</code></td><td>${escapeHtml(sourceSchemaProperty.formatDefaultAndNullBehavior())}</td><td>${formattedConstraints}</td><td>${formatDescription(sourceSchemaProperty.schema.description)}</td></tr>`);
+            });
+            output.push('</tbody>\n</table>');
+        }
+    }
+
+    output.push('<h2>Constraints</h2>');
+    output.push(formatConstraints(sourceSchemaType.schema) || '<p>No constraints.</p>');
+
+    output.push(formatLanguageSupport(sourceSchemaType));
+
+    output.push('<h2>Usages</h2>');
+    const usages = usagesByType[type] || [];
+    if (usages.length === 0) {
+        output.push('<p>No usages.</p>');
+    } else {
+        output.push('<ul>');
+        usages.forEach(([usageType, usageProperty]) => {
+            output.push(`<li><a href="${typePage(usageType.type)}#${escapeHtml(propertyId(usageProperty.property))}"><code>${escapeHtml(usageType.type)}.${escapeHtml(usageProperty.property)}</code></a></li>`);
+        });
+        output.push('</ul>');
+    }
+
+    output.push('<h2>Snippets</h2>');
+    const snippets = snippetsByType[type] || [];
+    if (snippets.length === 0) {
+        output.push('<p>No snippets.</p>');
+    }
+    snippets.forEach(snippet => {
+        output.push('<details class="snippet">');
+        output.push(`<summary>${escapeHtml(snippet.description)}</summary>`);
+        output.push(`<p><a href="../snippets/${escapeHtml(snippet.file)}">Snippet source file</a></p>`);
+        output.push(`<pre><code>${escapeHtml(snippet.rawSnippetContent)}</code></pre>`);
+        output.push('</details>');
+    });
+
+    output.push('<details>');
+    output.push('<summary>JSON Schema</summary>');
+    output.push(`<pre><code>${escapeHtml(JSON.stringify(getSchemaSource(sourceSchemaType), null, 2))}</code></pre>`);
+    output.push('</details>');
+    return output.join('\n');
+}
+
+function formatPropertyType(sourceSchemaProperty) {
+    const prefix = sourceSchemaProperty.isSeq ? '<code>array</code> of ' : '';
+    const oneOf = sourceSchemaProperty.schema['oneOf'];
+    let options;
+    if (oneOf) {
+        options = oneOf.map(option => option['type'] === 'array' && option['items']
+            ? `<code>array</code> of <code>${escapeHtml(option['items']['type'])}</code>`
+            : `<code>${escapeHtml(option['type'])}</code>`);
+    } else {
+        options = sourceSchemaProperty.types.map(type => type in sourceTypesByType ? formatTypeLink(type) : `<code>${escapeHtml(type)}</code>`);
+    }
+    return options.length > 1 ? `${prefix}one of:<br>${options.join('<br>')}` : prefix + options.join('');
+}
+
+function formatConstraints(schema) {
+    const constraints = schemaConstraints(schema);
+    if (constraints.length === 0) {
+        return '';
+    }
+    return '<ul class="constraints">' + constraints.map(([keyword, value]) => `<li><code>${escapeHtml(keyword)}</code>: <code>${escapeHtml(JSON.stringify(value))}</code></li>`).join('') + '</ul>';
+}
+
+function formatLanguageSupport(sourceSchemaType) {
+    const type = sourceSchemaType.type;
+    const rows = sourceSchemaType.isEnumType() ? sourceSchemaType.sortedEnumValues() : sourceSchemaType.sortedProperties().map(property => property.property);
+    if (rows.length === 0) {
+        return '';
+    }
+    const output = [];
+    output.push('<details>');
+    output.push('<summary>Language support status</summary>');
+    output.push(`<table>\n<thead><tr><th>${sourceSchemaType.isEnumType() ? 'Value' : 'Property'}</th>${KNOWN_LANGUAGES.map(language => `<th>${escapeHtml(language)}</th>`).join('')}</tr></thead>\n<tbody>`);
+    rows.forEach(row => {
+        const statuses = KNOWN_LANGUAGES.map(language => {
+            const languageImplementation = languageImplementationsByLanguage[language];
+            const status = sourceSchemaType.isEnumType() ? languageImplementation.enumValueStatus(type, row) : languageImplementation.propertyStatus(type, row);
+            return `<td class="status-${escapeHtml(status)}">${escapeHtml(status)}</td>`;
+        });
+        output.push(`<tr><td><code>${escapeHtml(row)}</code></td>${statuses.join('')}</tr>`);
+    });
+    output.push('</tbody>\n</table>');
+    output.push('</details>');
+    return output.join('\n');
+}
+
+function getSchemaSource(sourceSchemaType) {
+    const schemaSource = sourceSchemaType.type === rootTypeName ? outputSchema : outputSchema['$defs'][sourceSchemaType.type];
+    if (!schemaSource) {
+        throw new Error(`Output schema does not $defs entry for ${sourceSchemaType.type}.`);
+    }
+    const schemaCopy = JSON.parse(JSON.stringify(schemaSource));
+    delete schemaCopy['$defs'];
+    return schemaCopy;
+}
+
+function addToSearchIndex(sourceSchemaType) {
+    const type = sourceSchemaType.type;
+    const firstLine = description => description ? description.trim().split('\n')[0] : '';
+    searchIndex.push({kind: 'type', name: type, description: firstLine(sourceSchemaType.schema.description), url: typePage(type)});
+    if (sourceSchemaType.isEnumType()) {
+        sourceSchemaType.sortedEnumValues().forEach(enumValue => {
+            searchIndex.push({kind: 'value', name: `${type}.${enumValue}`, description: firstLine(sourceSchemaType.schema['enumDescriptions'][enumValue]), url: `${typePage(type)}#${enumValueId(enumValue)}`});
+        });
+    } else {
+        sourceSchemaType.sortedProperties().forEach(sourceSchemaProperty => {
+            searchIndex.push({kind: 'property', name: `${type}.${sourceSchemaProperty.property}`, description: firstLine(sourceSchemaProperty.schema.description), url: `${typePage(type)}#${propertyId(sourceSchemaProperty.property)}`});
+        });
+    }
+}
+
+function searchScript() {
+    return `// Filter window.searchIndex by the search box, matching names first and then descriptions.
+(function () {
+    const input = document.getElementById('search');
+    const results = document.getElementById('search-results');
+    const navigation = document.getElementById('navigation');
+    const maxResults = 50;
+
+    input.addEventListener('input', () => {
+        const query = input.value.trim().toLowerCase();
+        results.replaceChildren();
+        results.hidden = query.length === 0;
+        navigation.hidden = query.length > 0;
+        if (query.length === 0) {
+            return;
+        }
+        const nameMatches = window.searchIndex.filter(entry => entry.name.toLowerCase().includes(query));
+        const descriptionMatches = window.searchIndex.filter(entry => !nameMatches.includes(entry) && entry.description.toLowerCase().includes(query));
+        const matches = nameMatches.concat(descriptionMatches);
+        matches.slice(0, maxResults).forEach(entry => {
+            const item = document.createElement('li');
+            const link = document.createElement('a');
+            link.href = entry.url;
+            link.textContent = entry.name;
+            link.title = entry.description;
+            const kind = document.createElement('span');
+            kind.className = 'kind';
+            kind.textContent = entry.kind;
+            item.append(link, ' ', kind);
+            results.append(item);
+        });
+        if (matches.length === 0) {
+            const item = document.createElement('li');
+            item.textContent = 'No results.';
+            results.append(item);
+        } else if (matches.length > maxResults) {
+            const item = document.createElement('li');
+            item.textContent = (matches.length - maxResults) + ' more results. Refine the search to see them.';
+            results.append(item);
+        }
+    });
+})();
+`;
+}
+
+function styleSheet() {
+    return `body { margin: 0; display: flex; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; font-size: 15px; line-height: 1.5; color: #1f2328; }
+.sidebar { position: sticky; top: 0; height: 100vh; overflow-y: auto; flex: 0 0 300px; box-sizing: border-box; padding: 16px; border-right: 1px solid #d0d7de; background: #f6f8fa; }
+.sidebar .home { display: block; font-weight: 600; margin-bottom: 12px; }
+.sidebar ul { list-style: none; margin: 4px 0 8px; padding-left: 12px; }
+.sidebar summary { cursor: pointer; font-weight: 600; }
+#search { width: 100%; box-sizing: border-box; padding: 6px; margin-bottom: 12px; }
+#search-results { padding-left: 0; }
+#search-results .kind { color: #656d76; font-size: 12px; }
+main { flex: 1; min-width: 0; padding: 16px 32px; }
+a { color: #0969da; text-decoration: none; }
+a:hover { text-decoration: underline; }
+a.experimental { font-style: italic; }
+table { border-collapse: collapse; margin: 8px 0 16px; }
+th, td { border: 1px solid #d0d7de; padding: 6px 10px; text-align: left; vertical-align: top; }
+tr:target { background: #fff8c5; }
+pre { background: #f6f8fa; padding: 12px; overflow-x: auto; }
+details { margin: 8px 0; }
+details > summary { cursor: pointer; }
+.warning { color: #9a6700; }
+.source { color: #656d76; }
+ul.constraints { margin: 0; padding-left: 16px; }
+.status-supported { background: #dafbe1; }
+.status-not_implemented { background: #ffebe9; }
+`;
+}
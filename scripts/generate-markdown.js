@@ -8,7 +8,7 @@ import {
     rootTypeName,
     schemaPath
 } from "./util.js";
-import {readSourceTypesByType} from "./source-schema.js";
+import {readSourceTypesByType, schemaConstraints} from "./source-schema.js";
 import {readSnippets} from "./snippets.js";
 
 const sourceTypesByType = readSourceTypesByType();
@@ -38,6 +38,7 @@ This document is an auto-generated view of the declarative configuration JSON sc
 * [Types](#types) contains descriptions of all types and properties, with convenient linking between type references. [${rootTypeName}](#${rootTypeName.toLowerCase()}) is the root type and is a good starting point.
 * [Experimental Types](#experimental-types) same as [Types](#types) but for experimental types subject to breaking changes.
 * [SDK Extension Plugins](#sdk-extension-plugins) lists all the SDK extension plugin points.
+* [Environment Variables](#environment-variables) cross-references the spec defined environment variables with the properties which replace them.
 
 See also [language support status](language-support-status.md) for all details about each language's support in a single place.
 
@@ -98,8 +99,8 @@ function writeType(sourceSchemaType) {
             output.push("No properties.\n\n");
         } else {
             // Property type and description table
-            output.push(`| Property | Type | Required? | Default and Null Behavior | Constraints | Description |\n`);
-            output.push("|---|---|---|---|---|---|\n");
+            output.push(`| Property | Type | Required? | Default and Null Behavior | Constraints | Environment Variables | Description |\n`);
+            output.push("|---|---|---|---|---|---|---|\n");
             properties.forEach(sourceSchemaProperty => {
                 let formattedProperty = `\`${sourceSchemaProperty.property}\``
                 if (isExperimentalProperty(sourceSchemaProperty.property)) {
@@ -112,9 +113,13 @@ function writeType(sourceSchemaType) {
                 if (formattedConstraints.length === 0) {
                     formattedConstraints = 'No constraints.';
                 }
+                const envVars = sourceSchemaProperty.envVars();
+                const formattedEnvVars = envVars.length > 0
+                    ? envVars.map(envVar => `[\`${envVar}\`](#${envVar.toLowerCase()})${formatEnvVarNote(sourceSchemaProperty, envVar)}`).join('<br>')
+                    : 'None.';
                 const formattedDescription = sourceSchemaProperty.schema.description.split("\n").join("<br>");
 
-                output.push(`| ${formattedProperty} | ${formattedPropertyType} | \`${isRequired}\` | ${formattedDefaultAndNullBehavior} | ${formattedConstraints} | ${formattedDescription} |\n`);
+                output.push(`| ${formattedProperty} | ${formattedPropertyType} | \`${isRequired}\` | ${formattedDefaultAndNullBehavior} | ${formattedConstraints} | ${formattedEnvVars} | ${formattedDescription} |\n`);
             });
             output.push('\n');
         }
@@ -266,6 +271,33 @@ sourceTypes.filter(sourceSchemaType => sourceSchemaType.schema.isSdkExtensionPlu
         output.push(`* [${sourceSchemaType.type}](#${sourceSchemaType.type})\n`)
     });
 
+// Write environment variable cross-reference
+addHeader('Environment Variables', 'environment-variables', 1);
+output.push(
+    `Properties replace the [spec defined environment variables](https://opentelemetry.io/docs/specs/otel/configuration/sdk-environment-variables/) listed below when using declarative configuration. Environment variables which select or shape components, such as \`OTEL_TRACES_EXPORTER\`, have no single equivalent property and are not listed. See the [migration example](examples/otel-sdk-migration-config.yaml) for a configuration which references each listed environment variable.
+
+`);
+const propertiesByEnvVar = {};
+sourceTypes.forEach(sourceSchemaType => {
+    sourceSchemaType.sortedProperties().forEach(sourceSchemaProperty => {
+        sourceSchemaProperty.envVars().forEach(envVar => {
+            if (!(envVar in propertiesByEnvVar)) {
+                propertiesByEnvVar[envVar] = [];
+            }
+            propertiesByEnvVar[envVar].push([sourceSchemaType, sourceSchemaProperty]);
+        });
+    });
+});
+output.push(`| Environment Variable | Properties |\n`);
+output.push(`|---|---|\n`);
+Object.keys(propertiesByEnvVar).sort().forEach(envVar => {
+    const formattedProperties = propertiesByEnvVar[envVar]
+        .map(([sourceSchemaType, sourceSchemaProperty]) => `[\`${sourceSchemaType.type}.${sourceSchemaProperty.property}\`](#${sourceSchemaType.type.toLowerCase()})${formatEnvVarNote(sourceSchemaProperty, envVar)}`)
+        .join('<br>');
+    output.push(`| \`${envVar}\` <a id="${envVar.toLowerCase()}"></a> | ${formattedProperties} |\n`);
+});
+output.push('\n');
+
 output.unshift('<!-- This file is generated using "make generate-markdown". Do not edit directly. -->\n\n')
 fs.writeFileSync(markdownDocPath, output.join(""));
 
@@ -362,44 +394,17 @@ function formatOneOfType(option) {
     return `\`${type}\``;
 }
 
+function formatEnvVarNote(sourceSchemaProperty, envVar) {
+    const note = sourceSchemaProperty.envVarNote(envVar);
+    return note === null ? '' : ` (${note})`;
+}
+
 function addHeader(title, id, level, targetOutput = output) {
     targetOutput.push(`${'#'.repeat(level)} ${title} <a id="${id}"></a>\n\n`);
 }
 
 function resolveAndFormatConstraints(schema, linebreak) {
-    const constraints = [];
-    const constraintPropertyNames = [
-        'minLength',
-        'maxLength',
-        'pattern',
-        'format',
-        'multipleOf',
-        'minimum',
-        'exclusiveMinimum',
-        'maximum',
-        'exclusiveMaximum',
-        'patternProperties',
-        'additionalProperties',
-        'propertyNames',
-        'minProperties',
-        'maxProperties',
-        'required',
-        'contains',
-        'minContains',
-        'maxContains',
-        'uniqueItems',
-        'const',
-        'minItems',
-        'maxItems',
-        // skip enum because we have special formatting for enum types
-    ];
-
-    constraintPropertyNames.forEach(propertyName => {
-        const property = schema[propertyName];
-        if (property !== undefined && property !== null) {
-            constraints.push(`* \`${propertyName}\`: \`${JSON.stringify(property)}\`${linebreak}`);
-        }
-    });
-
-    return constraints.join('');
+    return schemaConstraints(schema)
+        .map(([keyword, value]) => `* \`${keyword}\`: \`${JSON.stringify(value)}\`${linebreak}`)
+        .join('');
 }
@@ -0,0 +1,146 @@
+import fs from "fs";
+import {
+    isExperimentalProperty,
+    isExperimentalType,
+    rootTypeName,
+    typescriptDefinitionsPath
+} from "./util.js";
+import {readSourceTypesByType, resolveRef} from "./source-schema.js";
+
+// Generate TypeScript type definitions for the configuration model from the source schema. Each object type becomes
+// an interface, each enum type a union of string literals.
+
+const sourceTypesByType = readSourceTypesByType();
+const sourceTypes = Object.values(sourceTypesByType);
+sourceTypes.sort((a, b) => a.type.localeCompare(b.type));
+
+const output = [];
+output.push('// This file is generated by scripts/generate-typescript.js from the source schema. Do not edit.');
+output.push('// Regenerate with: make generate-typescript');
+
+// Write the root type first, as it is the entry point
+const rootType = sourceTypesByType[rootTypeName];
+writeType(rootType);
+sourceTypes.filter(sourceSchemaType => sourceSchemaType !== rootType).forEach(writeType);
+
+fs.writeFileSync(typescriptDefinitionsPath, output.join('\n') + '\n');
+
+// Helper functions
+
+function writeType(sourceSchemaType) {
+    output.push('');
+    const docLines = [];
+    if (sourceSchemaType.isEnumType()) {
+        docLines.push('Values include:');
+        sourceSchemaType.sortedEnumValues().forEach(enumValue => {
+            docLines.push(`- \`${enumValue}\`: ${sourceSchemaType.schema['enumDescriptions'][enumValue]}`);
+        });
+    }
+    if (sourceSchemaType.schema['isSdkExtensionPlugin']) {
+        docLines.push('SDK extension plugin. Exactly one property must be set, which may be a custom component not defined here.');
+    }
+    if (isExperimentalType(sourceSchemaType.type)) {
+        docLines.push('@experimental');
+    }
+    writeDocComment(docLines, '');
+
+    if (sourceSchemaType.isEnumType()) {
+        output.push(`export type ${sourceSchemaType.type} =`);
+        sourceSchemaType.enumValues.forEach((enumValue, index) => {
+            const end = index === sourceSchemaType.enumValues.length - 1 ? ';' : '';
+            output.push(`    | ${JSON.stringify(enumValue)}${end}`);
+        });
+        return;
+    }
+
+    const additionalProperties = sourceSchemaType.schema['additionalProperties'];
+    if (sourceSchemaType.properties.length === 0 && additionalProperties === false) {
+        output.push(`export type ${sourceSchemaType.type} = Record<string, never>;`);
+        return;
+    }
+    output.push(`export interface ${sourceSchemaType.type} {`);
+    sourceSchemaType.properties.forEach(property => {
+        const propertyDocLines = [];
+        if (property.schema['description']) {
+            propertyDocLines.push(...property.schema['description'].trim().split('\n'));
+            propertyDocLines.push('');
+        }
+        propertyDocLines.push(property.formatDefaultAndNullBehavior());
+        if (property.hasDefaultValue()) {
+            propertyDocLines.push('', `@defaultValue ${JSON.stringify(property.schema['defaultValue'])}`);
+        }
+        if (isExperimentalProperty(property.property)) {
+            propertyDocLines.push('', '@experimental');
+        }
+        writeDocComment(propertyDocLines, '    ');
+        const optional = property.isRequired ? '' : '?';
+        output.push(`    ${formatPropertyName(property.property)}${optional}: ${tsType(property.schema)};`);
+    });
+    if (additionalProperties !== undefined && additionalProperties !== false) {
+        // Declared optional properties must be assignable to the index signature
+        let indexType = additionalProperties === true ? 'unknown' : tsType(additionalProperties);
+        if (indexType !== 'unknown' && sourceSchemaType.properties.some(property => !property.isRequired)) {
+            indexType += ' | undefined';
+        }
+        output.push(`    [key: string]: ${indexType};`);
+    }
+    output.push('}');
+}
+
+// Convert a JSON schema fragment from the source schema to a TypeScript type expression.
+function tsType(schema) {
+    if (schema['$ref']) {
+        const referencedType = resolveRef(schema['$ref'], sourceTypesByType);
+        const referencedTypes = [].concat(referencedType.schema['type'] || []);
+        return referencedTypes.includes('null') ? `${referencedType.type} | null` : referencedType.type;
+    }
+    if (schema['oneOf']) {
+        return unionOf(schema['oneOf'].map(tsType));
+    }
+    const types = [].concat(schema['type'] || []);
+    if (types.length === 0) {
+        return 'unknown';
+    }
+    return unionOf(types.map(type => {
+        switch (type) {
+            case 'string':
+                return 'string';
+            case 'integer':
+            case 'number':
+                return 'number';
+            case 'boolean':
+                return 'boolean';
+            case 'null':
+                return 'null';
+            case 'object':
+                return 'object';
+            case 'array': {
+                const itemsType = schema['items'] ? tsType(schema['items']) : 'unknown';
+                return itemsType.includes(' ') ? `(${itemsType})[]` : `${itemsType}[]`;
+            }
+            default:
+                throw new Error(`Unsupported JSON schema type ${type}.`);
+        }
+    }));
+}
+
+// Join the types into a union, removing duplicates (e.g. integer and number both map to number).
+function unionOf(types) {
+    return [...new Set(types.flatMap(type => type.split(' | ')))].join(' | ');
+}
+
+function formatPropertyName(property) {
+    return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(property) ? property : JSON.stringify(property);
+}
+
+function writeDocComment(lines, indent) {
+    if (lines.length === 0) {
+        return;
+    }
+    output.push(`${indent}/**`);
+    lines.forEach(line => {
+        const escaped = line.replaceAll('*/', '*\\/').trimEnd();
+        output.push(escaped.length === 0 ? `${indent} *` : `${indent} * ${escaped}`);
+    });
+    output.push(`${indent} */`);
+}
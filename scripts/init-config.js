@@ -0,0 +1,87 @@
+import fs from "fs";
+import path from "path";
+import {parseArgs} from "util";
+import {parseConfigFile} from "./config-file.js";
+import {compileConfigValidator, validateConfigFile} from "./config-validation.js";
+import {readSourceTypesByType} from "./source-schema.js";
+import {EXPORTERS, SAMPLERS, SIGNALS, ScaffoldOptions, isValidPlaceholderDefault, scaffoldConfig, scaffoldDocument} from "./config-scaffold.js";
+
+// Generate a minimal, commented starter configuration file from choices of signals, exporter, sampler and
+// propagators. The result is validated against the compiled JSON schema.
+
+const usage = `Usage: init-config [--signals <${SIGNALS.join(',')}>] [--exporter <${EXPORTERS.join('|')}>] [--sampler <${SAMPLERS.join('|')}>] [--ratio <0-1>] [--propagators <names>] [--service-name <name>] [--env-placeholders] [--output <config.yaml>]`;
+const {values: options, positionals} = parseArgs({
+    options: {
+        signals: {type: 'string', default: SIGNALS.join(',')},
+        exporter: {type: 'string', default: 'otlp_http'},
+        sampler: {type: 'string', default: 'parent_based'},
+        ratio: {type: 'string', default: '1.0'},
+        propagators: {type: 'string', default: 'tracecontext,baggage'},
+        'service-name': {type: 'string', default: 'unknown_service'},
+        'env-placeholders': {type: 'boolean', default: false},
+        output: {type: 'string'},
+    },
+    allowPositionals: true
+});
+if (positionals.length !== 0) {
+    console.log(usage);
+    process.exit(1);
+}
+
+const sourceTypesByType = readSourceTypesByType();
+const knownPropagators = sourceTypesByType['TextMapPropagator'].properties.map(property => property.property);
+
+const messages = [];
+const signals = splitList(options.signals);
+signals.filter(signal => !SIGNALS.includes(signal)).forEach(signal => messages.push(`Unknown signal '${signal}'. Expected one of ${SIGNALS.join(', ')}.`));
+if (signals.length === 0) {
+    messages.push('At least one signal is required.');
+}
+if (!EXPORTERS.includes(options.exporter)) {
+    messages.push(`Unknown exporter '${options.exporter}'. Expected one of ${EXPORTERS.join(', ')}.`);
+}
+if (!SAMPLERS.includes(options.sampler)) {
+    messages.push(`Unknown sampler '${options.sampler}'. Expected one of ${SAMPLERS.join(', ')}.`);
+}
+const ratio = Number(options.ratio);
+if (options.ratio.trim().length === 0 || isNaN(ratio) || ratio < 0 || ratio > 1) {
+    messages.push(`Invalid ratio '${options.ratio}'. Expected a number from 0 to 1.`);
+}
+const propagators = splitList(options.propagators);
+propagators.filter(propagator => !knownPropagators.includes(propagator)).forEach(propagator => messages.push(`Unknown propagator '${propagator}'. Expected one of ${knownPropagators.join(', ')}.`));
+if (options['env-placeholders'] && !isValidPlaceholderDefault(options['service-name'])) {
+    messages.push(`Invalid service name '${options['service-name']}'. With --env-placeholders, it is the default of \${OTEL_SERVICE_NAME:-...}, which cannot contain '}'.`);
+}
+if (messages.length > 0) {
+    messages.forEach(message => console.log(message));
+    console.log(usage);
+    process.exit(1);
+}
+
+const scaffoldOptions = new ScaffoldOptions(signals, options.exporter, options.sampler, ratio, propagators, options['service-name'], options['env-placeholders']);
+const config = scaffoldConfig(scaffoldOptions);
+const document = scaffoldDocument(config, sourceTypesByType);
+document.commentBefore = ` Generated by init-config. See schema-docs.md for all types and properties.`;
+const output = document.toString({nullStr: '', lineWidth: 0});
+
+const outputFile = options.output || '<stdout>';
+const configFile = parseConfigFile(outputFile, output, {});
+const valid = validateConfigFile(configFile, compileConfigValidator(), sourceTypesByType);
+configFile.sortedMessages().forEach(message => console.error(message.format()));
+if (!valid) {
+    console.error('The generated configuration is not valid. Please report this as a bug.');
+    process.exit(1);
+}
+
+if (options.output) {
+    fs.mkdirSync(path.dirname(options.output), {recursive: true});
+    fs.writeFileSync(options.output, output);
+} else {
+    process.stdout.write(output);
+}
+
+// Helper functions
+
+function splitList(value) {
+    return value.split(',').map(entry => entry.trim()).filter(entry => entry.length > 0);
+}
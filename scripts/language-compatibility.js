@@ -0,0 +1,166 @@
+import {formatPath, walkConfig} from "./config-walker.js";
+import {compareFileFormats} from "./util.js";
+
+// Compatibility of a configuration file with a language implementation, according to the status of the properties and
+// enum values it uses in the meta_schema_language_*.yaml files.
+
+// Statuses which make a config incompatible. Properties and enum values with unknown status are reported separately,
+// since most of them are simply not tracked yet.
+const UNSUPPORTED_STATUSES = ['not_implemented', 'ignored'];
+const UNKNOWN_STATUS = 'unknown';
+
+// Find the source schema properties and enum values used in the config file, in document order.
+export function findUsages(configFile, sourceTypesByType) {
+    const usages = [];
+    walkConfig(configFile.toJS(), sourceTypesByType, {
+        type(sourceSchemaType, value, path) {
+            if (sourceSchemaType.isEnumType() && typeof value === 'string') {
+                usages.push(new Usage('enumValue', sourceSchemaType.type, value, path, configFile.offsetOf(path)));
+            }
+        },
+        property(sourceSchemaType, sourceSchemaProperty, value, path) {
+            usages.push(new Usage('property', sourceSchemaType.type, sourceSchemaProperty.property, path, configFile.offsetOf(path, true)));
+        }
+    });
+    usages.sort((a, b) => a.offset - b.offset);
+    return usages;
+}
+
+// Check the usages found in the config file against the language implementation.
+export function checkLanguageCompatibility(configFile, usages, languageImplementation) {
+    const fileFormat = fileFormatString(configFile.toJS()['file_format']);
+    const comparison = compareFileFormats(fileFormat, fileFormatString(languageImplementation.latestSupportedFileFormat));
+    const fileFormatSupported = comparison === null ? null : comparison <= 0;
+
+    const findings = [];
+    const unknownFindings = [];
+    usages.forEach(usage => {
+        const status = usage.kind === 'property'
+            ? languageImplementation.propertyStatus(usage.type, usage.name)
+            : languageImplementation.enumValueStatus(usage.type, usage.name);
+        if (UNSUPPORTED_STATUSES.includes(status) || status === UNKNOWN_STATUS) {
+            const {line, col} = configFile.lineCounter.linePos(usage.offset);
+            (status === UNKNOWN_STATUS ? unknownFindings : findings).push(new CompatibilityFinding(usage, status, line, col));
+        }
+    });
+    return new CompatibilityReport(configFile.file, languageImplementation, fileFormat, fileFormatSupported, findings, unknownFindings);
+}
+
+// Types
+
+export class Usage {
+    kind; // property or enumValue
+    type;
+    name; // The property or enum value
+    path;
+    offset;
+
+    constructor(kind, type, name, path, offset) {
+        this.kind = kind;
+        this.type = type;
+        this.name = name;
+        this.path = path;
+        this.offset = offset;
+    }
+}
+
+export class CompatibilityFinding {
+    usage;
+    status;
+    line;
+    column;
+
+    constructor(usage, status, line, column) {
+        this.usage = usage;
+        this.status = status;
+        this.line = line;
+        this.column = column;
+    }
+
+    format() {
+        const subject = this.usage.kind === 'property'
+            ? `property ${this.usage.type}.${this.usage.name}`
+            : `enum value ${this.usage.type}.${this.usage.name}`;
+        return `${this.line}:${this.column}: ${formatPath(this.usage.path)}: ${subject}`;
+    }
+
+    toJson() {
+        return {
+            line: this.line,
+            column: this.column,
+            path: formatPath(this.usage.path),
+            kind: this.usage.kind,
+            type: this.usage.type,
+            name: this.usage.name,
+            status: this.status
+        };
+    }
+}
+
+export class CompatibilityReport {
+    file;
+    languageImplementation;
+    fileFormat;
+    fileFormatSupported; // null if either file format can't be compared
+    findings; // Usages which are not_implemented or ignored
+    unknownFindings; // Usages whose status is unknown, which don't affect compatibility
+
+    constructor(file, languageImplementation, fileFormat, fileFormatSupported, findings, unknownFindings) {
+        this.file = file;
+        this.languageImplementation = languageImplementation;
+        this.fileFormat = fileFormat;
+        this.fileFormatSupported = fileFormatSupported;
+        this.findings = findings;
+        this.unknownFindings = unknownFindings;
+    }
+
+    isCompatible() {
+        return this.fileFormatSupported === true && this.findings.length === 0;
+    }
+
+    print(showUnknown = false) {
+        const {language, latestSupportedFileFormat} = this.languageImplementation;
+        console.log(`${this.file}: ${language}:`);
+        if (this.fileFormatSupported === null) {
+            console.log(`  file_format ${this.fileFormat} cannot be compared with latest supported file_format ${latestSupportedFileFormat}`);
+        } else if (!this.fileFormatSupported) {
+            console.log(`  file_format ${this.fileFormat} is newer than latest supported file_format ${latestSupportedFileFormat}`);
+        }
+        // Group findings by status, most severe first
+        UNSUPPORTED_STATUSES.forEach(status => {
+            const findings = this.findings.filter(finding => finding.status === status);
+            if (findings.length > 0) {
+                console.log(`  ${status} (${findings.length}):`);
+                findings.forEach(finding => console.log(`    ${finding.format()}`));
+            }
+        });
+        if (this.unknownFindings.length > 0) {
+            console.log(`  ${UNKNOWN_STATUS} (${this.unknownFindings.length})${showUnknown ? ':' : ', list them with --show-unknown'}`);
+            if (showUnknown) {
+                this.unknownFindings.forEach(finding => console.log(`    ${finding.format()}`));
+            }
+        }
+        if (this.isCompatible()) {
+            console.log('  compatible');
+        }
+    }
+
+    toJson() {
+        return {
+            file: this.file,
+            language: this.languageImplementation.language,
+            fileFormat: this.fileFormat,
+            latestSupportedFileFormat: this.languageImplementation.latestSupportedFileFormat,
+            fileFormatSupported: this.fileFormatSupported,
+            findings: this.findings.map(finding => finding.toJson()),
+            unknownFindings: this.unknownFindings.map(finding => finding.toJson())
+        };
+    }
+}
+
+// Helper functions
+
+// A file_format which was not quoted in YAML is parsed as a number, e.g. 1.0 as 1. Compare it as the equivalent string.
+function fileFormatString(value) {
+    return typeof value === 'number' ? String(value) : value;
+}
@@ -18,7 +18,8 @@ export const KNOWN_LANGUAGES = [
 ];
 
 const IMPLEMENTATION_STATUS_UNKNOWN = 'unknown';
-const IMPLEMENTATION_STATUSES = ['supported', IMPLEMENTATION_STATUS_UNKNOWN, 'not_implemented', 'ignored', 'not_applicable']
+const IMPLEMENTATION_STATUS_NOT_APPLICABLE = 'not_applicable';
+const IMPLEMENTATION_STATUSES = ['supported', IMPLEMENTATION_STATUS_UNKNOWN, 'not_implemented', 'ignored', IMPLEMENTATION_STATUS_NOT_APPLICABLE]
 
 export function writeLanguageImplementations(languageImplementations) {
     languageImplementations.forEach(languageImplementation => {
@@ -27,13 +28,21 @@ export function writeLanguageImplementations(languageImplementations) {
 }
 
 export function readAndFixLanguageImplementations() {
-    // Track messages tracking schema fixes
-    const messages = [];
-
     const sourceTypesByType = readSourceTypesByType();
 
     // Parse meta schema language implementations and sanitize
-    const metaSchemaLanguageImplementations = [];
+    const {messages, languageImplementations: metaSchemaLanguageImplementations} = readLanguageImplementations();
+    const languageImplementations = reconcileLanguageImplementations(metaSchemaLanguageImplementations, sourceTypesByType, messages);
+
+    return {messages, languageImplementations};
+}
+
+// Read the meta schema language implementations as they are, without reconciling them with the source schema.
+export function readLanguageImplementations() {
+    // Track messages tracking parse problems
+    const messages = [];
+
+    const languageImplementations = [];
     KNOWN_LANGUAGES.forEach(language => {
         let metaSchemaLanguageStatusContent;
         try {
@@ -44,14 +53,115 @@ export function readAndFixLanguageImplementations() {
         }
         const metaSchemaLanguageStatusDoc = yaml.parse(metaSchemaLanguageStatusContent);
         const languageImplementation = LanguageImplementation.parseJson(language, metaSchemaLanguageStatusDoc, messages);
-        metaSchemaLanguageImplementations.push(languageImplementation);
+        languageImplementations.push(languageImplementation);
     });
 
-    const languageImplementations = reconcileLanguageImplementations(metaSchemaLanguageImplementations, sourceTypesByType, messages);
-
     return {messages, languageImplementations};
 }
 
+// Read a support status report, produced by an SDK's own tests of its configuration parser. Reports are JSON or YAML:
+//
+// language: java
+// latestSupportedFileFormat: "1.0"  # Optional
+// results:
+//   - type: BatchSpanProcessor      # The status of a type
+//     status: supported
+//   - type: BatchSpanProcessor      # The status of a property
+//     property: schedule_delay
+//     status: not_implemented
+//   - type: SeverityNumber          # The status of an enum value
+//     enumValue: info
+//     status: supported
+//
+// Problems are recorded in messages, and invalid results are skipped.
+export function readSupportStatusReport(file, messages) {
+    let rawJson;
+    try {
+        rawJson = yaml.parse(fs.readFileSync(file, "utf-8"));
+    } catch (error) {
+        messages.push(`Error reading support status report ${file}: ${error.message}. Skipping.`);
+        return null;
+    }
+    try {
+        return SupportStatusReport.parseJson(file, rawJson, messages);
+    } catch (error) {
+        messages.push(`Support status report ${file} is invalid: ${error.message}. Skipping.`);
+        return null;
+    }
+}
+
+// Update the language implementation of the report's language with its results. Types take the reported status, and
+// properties and enum values get an override if their reported status differs from the type's. Statuses marked
+// not_applicable are kept. Returns the StatusTransition of every type, property and enum value whose effective status
+// changed, and of every not_applicable status which was kept despite the report.
+export function importSupportStatusReport(report, languageImplementations, sourceTypesByType, messages) {
+    const languageImplementation = languageImplementations.find(item => item.language === report.language);
+    if (!languageImplementation) {
+        messages.push(`Support status report ${report.file} is for language ${report.language}, which is not in KNOWN_LANGUAGES. Skipping.`);
+        return [];
+    }
+    const before = effectiveStatuses(languageImplementation, sourceTypesByType);
+    const transitions = [];
+
+    if (report.latestSupportedFileFormat !== null && report.latestSupportedFileFormat !== languageImplementation.latestSupportedFileFormat) {
+        transitions.push(new StatusTransition(report.language, 'latestSupportedFileFormat', languageImplementation.latestSupportedFileFormat, report.latestSupportedFileFormat, false));
+        languageImplementation.latestSupportedFileFormat = report.latestSupportedFileFormat;
+    }
+
+    // Apply type results first, so that property and enum value overrides are relative to the updated type status
+    const results = report.results.filter(result => {
+        const sourceSchemaType = sourceTypesByType[result.type];
+        const typeSupportStatus = languageImplementation.typeSupportStatuses.find(item => item.type === result.type);
+        if (!sourceSchemaType || !typeSupportStatus) {
+            messages.push(`Support status report ${report.file} has result for type ${result.type} not in source. Skipping.`);
+            return false;
+        }
+        if (result.property !== null && !sourceSchemaType.properties.some(property => property.property === result.property)) {
+            messages.push(`Support status report ${report.file} has result for property ${result.subject()} not in source. Skipping.`);
+            return false;
+        }
+        if (result.enumValue !== null && !(sourceSchemaType.enumValues || []).includes(result.enumValue)) {
+            messages.push(`Support status report ${report.file} has result for enum value ${result.subject()} not in source. Skipping.`);
+            return false;
+        }
+        return true;
+    });
+    results.filter(result => result.property === null && result.enumValue === null).forEach(result => {
+        const typeSupportStatus = languageImplementation.typeSupportStatuses.find(item => item.type === result.type);
+        if (typeSupportStatus.status === IMPLEMENTATION_STATUS_NOT_APPLICABLE && result.status !== IMPLEMENTATION_STATUS_NOT_APPLICABLE) {
+            transitions.push(new StatusTransition(report.language, result.subject(), typeSupportStatus.status, result.status, true));
+            return;
+        }
+        typeSupportStatus.status = result.status;
+    });
+    results.filter(result => result.property !== null || result.enumValue !== null).forEach(result => {
+        const typeSupportStatus = languageImplementation.typeSupportStatuses.find(item => item.type === result.type);
+        const isProperty = result.property !== null;
+        const overrides = isProperty ? typeSupportStatus.propertyOverrides : typeSupportStatus.enumOverrides;
+        const override = overrides.find(item => (isProperty ? item.property === result.property : item.enumValue === result.enumValue));
+        const currentStatus = override ? override.status : typeSupportStatus.status;
+        if (currentStatus === IMPLEMENTATION_STATUS_NOT_APPLICABLE && result.status !== IMPLEMENTATION_STATUS_NOT_APPLICABLE) {
+            transitions.push(new StatusTransition(report.language, result.subject(), currentStatus, result.status, true));
+            return;
+        }
+        if (override && result.status === typeSupportStatus.status) {
+            overrides.splice(overrides.indexOf(override), 1);
+        } else if (override) {
+            override.status = result.status;
+        } else if (result.status !== typeSupportStatus.status) {
+            overrides.push(isProperty ? new PropertyStatus(result.property, result.status) : new EnumValueStatus(result.enumValue, result.status));
+        }
+    });
+
+    const after = effectiveStatuses(languageImplementation, sourceTypesByType);
+    Object.entries(after).forEach(([subject, status]) => {
+        if (before[subject] !== status) {
+            transitions.push(new StatusTransition(report.language, subject, before[subject], status, false));
+        }
+    });
+    return transitions;
+}
+
 // Types
 
 export class LanguageImplementation {
@@ -65,6 +175,26 @@ export class LanguageImplementation {
         this.typeSupportStatuses = typeSupportStatuses;
     }
 
+    // The status of the type, or unknown if the type is not tracked
+    typeStatus(type) {
+        const typeSupportStatus = this.typeSupportStatuses.find(item => item.type === type);
+        return typeSupportStatus ? typeSupportStatus.status : IMPLEMENTATION_STATUS_UNKNOWN;
+    }
+
+    // The status of the property of the type, which defaults to the status of the type
+    propertyStatus(type, property) {
+        const typeSupportStatus = this.typeSupportStatuses.find(item => item.type === type);
+        const propertyStatus = typeSupportStatus && (typeSupportStatus.propertyOverrides || []).find(item => item.property === property);
+        return propertyStatus ? propertyStatus.status : this.typeStatus(type);
+    }
+
+    // The status of the enum value of the type, which defaults to the status of the type
+    enumValueStatus(type, enumValue) {
+        const typeSupportStatus = this.typeSupportStatuses.find(item => item.type === type);
+        const enumValueStatus = typeSupportStatus && (typeSupportStatus.enumOverrides || []).find(item => item.enumValue === enumValue);
+        return enumValueStatus ? enumValueStatus.status : this.typeStatus(type);
+    }
+
     toJson() {
         // Types in lexicographical order, with non-experimental first
         const typeSupportStatuses = this.typeSupportStatuses.map(typeSupportStatus => typeSupportStatus.toJson());
@@ -197,8 +327,109 @@ export class EnumValueStatus {
     }
 }
 
+export class SupportStatusReport {
+    file;
+    language;
+    latestSupportedFileFormat; // null if not reported
+    results; // Array of SupportStatusResult
+
+    constructor(file, language, latestSupportedFileFormat, results) {
+        this.file = file;
+        this.language = language;
+        this.latestSupportedFileFormat = latestSupportedFileFormat;
+        this.results = results;
+    }
+
+    static parseJson(file, rawJson, messages) {
+        if (rawJson === null || typeof rawJson !== 'object' || Array.isArray(rawJson)) {
+            throw new Error('expected an object with language and results');
+        }
+        const language = parseString(rawJson, 'language', `SupportStatusReport has invalid 'language'`);
+        const latestSupportedFileFormat = parseString(rawJson, 'latestSupportedFileFormat', `SupportStatusReport has invalid 'latestSupportedFileFormat'`, true);
+        const results = parseArray(
+            rawJson,
+            'results',
+            entryJson => SupportStatusResult.parseJson(entryJson),
+            `SupportStatusReport has invalid 'results'`,
+            error => `Support status report ${file} has invalid SupportStatusResult: ${error.message}. Skipping.`,
+            messages);
+        return new SupportStatusReport(file, language, latestSupportedFileFormat, results);
+    }
+}
+
+export class SupportStatusResult {
+    type;
+    property; // null if the result is for the type or an enum value
+    enumValue; // null if the result is for the type or a property
+    status;
+
+    constructor(type, property, enumValue, status) {
+        this.type = type;
+        this.property = property;
+        this.enumValue = enumValue;
+        this.status = status;
+    }
+
+    // e.g. BatchSpanProcessor, BatchSpanProcessor.schedule_delay, or SeverityNumber=info
+    subject() {
+        if (this.property !== null) {
+            return `${this.type}.${this.property}`;
+        }
+        return this.enumValue !== null ? `${this.type}=${this.enumValue}` : this.type;
+    }
+
+    static parseJson(rawJson) {
+        const type = parseString(rawJson, 'type', `SupportStatusResult has invalid 'type'`);
+        const property = parseString(rawJson, 'property', `SupportStatusResult '${type}' has invalid 'property'`, true);
+        const enumValue = parseString(rawJson, 'enumValue', `SupportStatusResult '${type}' has invalid 'enumValue'`, true);
+        if (property !== null && enumValue !== null) {
+            throw new Error(`SupportStatusResult '${type}' has both 'property' and 'enumValue'`);
+        }
+        const status = parseEnum(rawJson, 'status', `SupportStatusResult '${type}' has invalid 'status'`, IMPLEMENTATION_STATUSES);
+        return new SupportStatusResult(type, property, enumValue, status);
+    }
+}
+
+export class StatusTransition {
+    language;
+    subject; // e.g. BatchSpanProcessor.schedule_delay, SeverityNumber=info, or latestSupportedFileFormat
+    before;
+    after;
+    isKept; // Whether the status was kept as not_applicable, rather than changed to after
+
+    constructor(language, subject, before, after, isKept) {
+        this.language = language;
+        this.subject = subject;
+        this.before = before;
+        this.after = after;
+        this.isKept = isKept;
+    }
+
+    format() {
+        if (this.isKept) {
+            return `${this.language} ${this.subject}: kept ${this.before}, reported ${this.after}`;
+        }
+        return `${this.language} ${this.subject}: ${this.before} → ${this.after}`;
+    }
+}
+
 // Helper functions
 
+// The effective status of every type, property and enum value, keyed by subject as in SupportStatusResult.subject()
+function effectiveStatuses(languageImplementation, sourceTypesByType) {
+    const statuses = {};
+    Object.values(sourceTypesByType).sort((a, b) => a.type.localeCompare(b.type)).forEach(sourceSchemaType => {
+        const type = sourceSchemaType.type;
+        statuses[type] = languageImplementation.typeStatus(type);
+        if (sourceSchemaType.isEnumType()) {
+            sourceSchemaType.sortedEnumValues().forEach(enumValue => statuses[`${type}=${enumValue}`] = languageImplementation.enumValueStatus(type, enumValue));
+        } else {
+            sourceSchemaType.sortedProperties().forEach(property => statuses[`${type}.${property.property}`] = languageImplementation.propertyStatus(type, property.property));
+        }
+    });
+    return statuses;
+}
+
 function reconcileLanguageImplementations(languageImplementations, sourceTypesByType, messages) {
     const languageImplementationsByLanguage = {};
     languageImplementations.forEach(languageImplementation => languageImplementationsByLanguage[languageImplementation.language] = languageImplementation);
@@ -0,0 +1,533 @@
+import fs from "fs";
+import {fileURLToPath, pathToFileURL} from "url";
+import yaml from "yaml";
+import {parseConfigFile} from "./config-file.js";
+import {validateConfigFile} from "./config-validation.js";
+import {resolvePath} from "./config-walker.js";
+import {checkConfigFileSemanticRules} from "./semantic-rules.js";
+import {isExperimentalProperty, isExperimentalType, markdownDocPath, rootTypeName} from "./util.js";
+
+// A Language Server Protocol implementation for configuration files, over JSON-RPC with Content-Length framing. It
+// publishes diagnostics from schema validation and semantic rules, completes property keys and enum values from the
+// source schema, shows property descriptions and default behavior on hover, and goes to the docs of a property's type
+// in schema-docs.md on definition.
+
+// LSP constants
+export const DIAGNOSTIC_SEVERITY_ERROR = 1;
+export const DIAGNOSTIC_SEVERITY_WARNING = 2;
+export const COMPLETION_ITEM_KIND_PROPERTY = 10;
+export const COMPLETION_ITEM_KIND_ENUM_MEMBER = 20;
+export const COMPLETION_ITEM_KIND_VALUE = 12;
+const TEXT_DOCUMENT_SYNC_FULL = 1;
+const MESSAGE_TYPE_ERROR = 1;
+export const ERROR_PARSE = -32700;
+export const ERROR_INVALID_REQUEST = -32600;
+const ERROR_METHOD_NOT_FOUND = -32601;
+const ERROR_INTERNAL = -32603;
+
+const diagnosticSource = 'opentelemetry-configuration';
+
+// Types
+
+// Reads and writes JSON-RPC messages framed with Content-Length headers, as used by LSP over stdio. Invalid input never
+// stops the connection: unparseable messages get a parse error response, frames without a Content-Length header are
+// skipped, and errors thrown by notification handlers are passed to the error handler.
+export class JsonRpcConnection {
+    input;
+    output;
+    buffer;
+    requestHandlers;
+    notificationHandlers;
+    errorHandler; // (JsonRpcError) => void
+    pendingRequests;
+    nextId;
+
+    constructor(input, output) {
+        this.input = input;
+        this.output = output;
+        this.buffer = Buffer.alloc(0);
+        this.requestHandlers = {};
+        this.notificationHandlers = {};
+        this.errorHandler = () => {};
+        this.pendingRequests = new Map();
+        this.nextId = 1;
+    }
+
+    // handler(params) returns the result, or a promise of it
+    onRequest(method, handler) {
+        this.requestHandlers[method] = handler;
+    }
+
+    // handler(params) is called for each notification
+    onNotification(method, handler) {
+        this.notificationHandlers[method] = handler;
+    }
+
+    // handler(error) is called with a JsonRpcError for skipped frames, errors thrown by notification handlers, and
+    // error responses which don't match a pending request (e.g. a parse error reported by the other side)
+    onError(handler) {
+        this.errorHandler = handler;
+    }
+
+    listen() {
+        this.input.on('data', chunk => {
+            this.buffer = Buffer.concat([this.buffer, chunk]);
+            this.readMessages();
+        });
+    }
+
+    sendRequest(method, params) {
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.pendingRequests.set(id, {resolve, reject});
+            this.write({jsonrpc: '2.0', id, method, params});
+        });
+    }
+
+    sendNotification(method, params) {
+        this.write({jsonrpc: '2.0', method, params});
+    }
+
+    write(message) {
+        const content = Buffer.from(JSON.stringify(message), 'utf-8');
+        this.output.write(`Content-Length: ${content.length}\r\n\r\n`);
+        this.output.write(content);
+    }
+
+    readMessages() {
+        while (true) {
+            const headerEnd = this.buffer.indexOf('\r\n\r\n');
+            if (headerEnd === -1) {
+                return;
+            }
+            const lengthMatch = this.buffer.subarray(0, headerEnd).toString('ascii').match(/Content-Length: (\d+)/i);
+            const contentStart = headerEnd + 4;
+            if (!lengthMatch) {
+                this.buffer = this.buffer.subarray(contentStart);
+                this.errorHandler(new JsonRpcError(ERROR_INVALID_REQUEST, 'Skipped a frame without a Content-Length header.'));
+                continue;
+            }
+            const contentEnd = contentStart + Number(lengthMatch[1]);
+            if (this.buffer.length < contentEnd) {
+                return;
+            }
+            const content = this.buffer.subarray(contentStart, contentEnd).toString('utf-8');
+            this.buffer = this.buffer.subarray(contentEnd);
+            let message;
+            try {
+                message = JSON.parse(content);
+            } catch (error) {
+                this.write({jsonrpc: '2.0', id: null, error: {code: ERROR_PARSE, message: `Parse error: ${error.message}`}});
+                continue;
+            }
+            this.handleMessage(message);
+        }
+    }
+
+    handleMessage(message) {
+        if (message === null || typeof message !== 'object' || Array.isArray(message)) {
+            this.write({jsonrpc: '2.0', id: null, error: {code: ERROR_INVALID_REQUEST, message: 'Invalid request: expected a JSON object.'}});
+            return;
+        }
+        if (message.method === undefined) {
+            const pendingRequest = this.pendingRequests.get(message.id);
+            const error = message.error ? new JsonRpcError(message.error.code, message.error.message) : null;
+            if (pendingRequest) {
+                this.pendingRequests.delete(message.id);
+                error ? pendingRequest.reject(error) : pendingRequest.resolve(message.result);
+            } else if (error) {
+                this.errorHandler(error);
+            }
+            return;
+        }
+        if (message.id === undefined) {
+            const handler = this.notificationHandlers[message.method];
+            try {
+                if (handler) {
+                    handler(message.params);
+                }
+            } catch (error) {
+                this.errorHandler(new JsonRpcError(ERROR_INTERNAL, `Error handling ${message.method}: ${error.message}`));
+            }
+            return;
+        }
+        const handler = this.requestHandlers[message.method];
+        if (!handler) {
+            this.write({jsonrpc: '2.0', id: message.id, error: {code: ERROR_METHOD_NOT_FOUND, message: `Unhandled method ${message.method}`}});
+            return;
+        }
+        Promise.resolve()
+            .then(() => handler(message.params))
+            .then(result => this.write({jsonrpc: '2.0', id: message.id, result: result === undefined ? null : result}))
+            .catch(error => this.write({jsonrpc: '2.0', id: message.id, error: {code: ERROR_INTERNAL, message: error.message}}));
+    }
+}
+
+export class JsonRpcError extends Error {
+    code;
+
+    constructor(code, message) {
+        super(message);
+        this.code = code;
+    }
+}
+
+export class LanguageServer {
+    connection;
+    sourceTypesByType;
+    validator;
+    extensionRegistry; // null if custom components are not validated
+    documents; // uri => text
+    onExit; // (code) => void, called on the exit notification
+    isShutdown;
+
+    constructor(connection, sourceTypesByType, validator, extensionRegistry, onExit) {
+        this.connection = connection;
+        this.sourceTypesByType = sourceTypesByType;
+        this.validator = validator;
+        this.extensionRegistry = extensionRegistry;
+        this.documents = new Map();
+        this.onExit = onExit;
+        this.isShutdown = false;
+
+        connection.onRequest('initialize', () => ({
+            capabilities: {
+                textDocumentSync: TEXT_DOCUMENT_SYNC_FULL,
+                completionProvider: {triggerCharacters: [' ', ':', '-']},
+                hoverProvider: true,
+                definitionProvider: true
+            },
+            serverInfo: {name: 'opentelemetry-configuration-language-server'}
+        }));
+        connection.onRequest('shutdown', () => {
+            this.isShutdown = true;
+            return null;
+        });
+        connection.onNotification('exit', () => this.onExit(this.isShutdown ? 0 : 1));
+        // Stdout is reserved for protocol messages, so problems are shown in the client's log
+        connection.onError(error => connection.sendNotification('window/logMessage', {type: MESSAGE_TYPE_ERROR, message: error.message}));
+        connection.onNotification('textDocument/didOpen', params => this.update(params.textDocument.uri, params.textDocument.text));
+        connection.onNotification('textDocument/didChange', params => {
+            // Full sync, so the last change holds the whole text
+            this.update(params.textDocument.uri, params.contentChanges[params.contentChanges.length - 1].text);
+        });
+        connection.onNotification('textDocument/didClose', params => {
+            this.documents.delete(params.textDocument.uri);
+            connection.sendNotification('textDocument/publishDiagnostics', {uri: params.textDocument.uri, diagnostics: []});
+        });
+        connection.onRequest('textDocument/completion', params => this.completion(params.textDocument.uri, params.position));
+        connection.onRequest('textDocument/hover', params => this.hover(params.textDocument.uri, params.position));
+        connection.onRequest('textDocument/definition', params => this.definition(params.textDocument.uri, params.position));
+    }
+
+    update(uri, text) {
+        this.documents.set(uri, text);
+        this.connection.sendNotification('textDocument/publishDiagnostics', {uri, diagnostics: this.diagnostics(uri, text)});
+    }
+
+    diagnostics(uri, text) {
+        const configFile = parseConfigFile(uriToFile(uri), text);
+        // Semantic rules assume the config conforms to the schema
+        if (validateConfigFile(configFile, this.validator, this.sourceTypesByType, this.extensionRegistry)) {
+            checkConfigFileSemanticRules(configFile, this.sourceTypesByType);
+        }
+        const lines = text.split('\n');
+        return configFile.sortedMessages().map(message => {
+            const line = message.line - 1;
+            const character = message.column - 1;
+            const lineText = lines[line] || '';
+            let formatted = message.path !== null ? `${message.path}: ${message.message}` : message.message;
+            if (message.suggestion !== null) {
+                formatted += ` Did you mean '${message.suggestion}'?`;
+            }
+            return {
+                range: {start: {line, character}, end: {line, character: Math.max(character, lineText.length)}},
+                severity: message.severity === 'error' ? DIAGNOSTIC_SEVERITY_ERROR : DIAGNOSTIC_SEVERITY_WARNING,
+                code: message.code === null ? undefined : message.code,
+                source: diagnosticSource,
+                message: formatted
+            };
+        });
+    }
+
+    completion(uri, position) {
+        const text = this.documents.get(uri);
+        if (text === undefined) {
+            return [];
+        }
+        const lines = text.split('\n');
+        const linePrefix = (lines[position.line] || '').substring(0, position.character);
+
+        // Completing a value after "key: "
+        const valueMatch = linePrefix.match(/^(\s*)(- )?([^\s:#][^:#]*?):\s+[^\s#]*$/);
+        if (valueMatch) {
+            const keyIndent = valueMatch[1].length + (valueMatch[2] ? 2 : 0);
+            const path = [...parentPath(lines, position.line, keyIndent, !!valueMatch[2]), valueMatch[3]];
+            const resolved = resolvePath(path, this.sourceTypesByType);
+            return resolved && resolved.sourceSchemaProperty && !resolved.sourceSchemaProperty.isSeq ? valueCompletions(resolved.sourceSchemaProperty, resolved.sourceSchemaType) : [];
+        }
+
+        // Completing a key, or an array item after "- "
+        const keyMatch = linePrefix.match(/^(\s*)(- )?([^\s:#]*)$/);
+        if (!keyMatch) {
+            return [];
+        }
+        const keyIndent = keyMatch[1].length + (keyMatch[2] ? 2 : 0);
+        const path = parentPath(lines, position.line, keyIndent, !!keyMatch[2]);
+        const resolved = resolvePath(path, this.sourceTypesByType);
+        if (!resolved) {
+            return [];
+        }
+        const sourceSchemaType = resolved.sourceSchemaType;
+        if (!sourceSchemaType || sourceSchemaType.isEnumType()) {
+            // Array items of primitive and enum types
+            return typeof path[path.length - 1] === 'number' ? valueCompletions(resolved.sourceSchemaProperty, sourceSchemaType) : [];
+        }
+        const siblingKeys = mapKeys(lines, position.line, keyIndent, !!keyMatch[2]);
+        // SDK extension plugins allow exactly one key, which is already set
+        if (sourceSchemaType.schema['isSdkExtensionPlugin'] && siblingKeys.length > 0) {
+            return [];
+        }
+        return sourceSchemaType.sortedProperties()
+            .filter(property => !siblingKeys.includes(property.property))
+            .map(property => ({
+                label: property.property,
+                kind: COMPLETION_ITEM_KIND_PROPERTY,
+                detail: formatPropertyTypes(property),
+                documentation: {kind: 'markdown', value: propertyMarkdown(sourceSchemaType, property)},
+                insertText: `${property.property}: `,
+                deprecated: isExperimentalProperty(property.property) || undefined
+            }));
+    }
+
+    hover(uri, position) {
+        const target = this.targetAt(uri, position);
+        if (!target || !target.sourceSchemaProperty) {
+            return null;
+        }
+        const {parentType, sourceSchemaProperty, sourceSchemaType, value} = target;
+        let markdown = propertyMarkdown(parentType, sourceSchemaProperty);
+        if (!target.isKey && sourceSchemaType && sourceSchemaType.isEnumType() && sourceSchemaType.enumValues.includes(value)) {
+            markdown = `**\`${value}\`**: ${sourceSchemaType.schema['enumDescriptions'][value]}\n\n---\n\n${markdown}`;
+        }
+        return {contents: {kind: 'markdown', value: markdown}, range: target.range};
+    }
+
+    definition(uri, position) {
+        const target = this.targetAt(uri, position);
+        if (!target || !target.sourceSchemaProperty) {
+            return null;
+        }
+        // Go to the property's type, or for properties of primitive types, the type declaring the property
+        const type = target.sourceSchemaType ? target.sourceSchemaType.type : target.parentType.type;
+        const line = markdownDocLines().findIndex(docLine => docLine.startsWith(`## ${type} `));
+        if (line === -1) {
+            return null;
+        }
+        return {uri: pathToFileURL(markdownDocPath).href, range: {start: {line, character: 0}, end: {line, character: 0}}};
+    }
+
+    // Find the property key or value at the position in the parsed document, with its resolved types.
+    targetAt(uri, position) {
+        const text = this.documents.get(uri);
+        if (text === undefined) {
+            return null;
+        }
+        const lineCounter = new yaml.LineCounter();
+        const document = yaml.parseDocument(text, {lineCounter});
+        const offset = offsetAt(text, position);
+        const found = findNodeAt(document.contents, offset, []);
+        if (!found || found.path.length === 0 || typeof found.path[found.path.length - 1] === 'number') {
+            return null;
+        }
+        const resolved = resolvePath(found.path, this.sourceTypesByType);
+        if (!resolved || !resolved.sourceSchemaProperty) {
+            return null;
+        }
+        const start = lineCounter.linePos(found.node.range[0]);
+        const end = lineCounter.linePos(found.node.range[1]);
+        return {
+            ...resolved,
+            isKey: found.isKey,
+            value: yaml.isScalar(found.node) ? found.node.value : undefined,
+            range: {start: {line: start.line - 1, character: start.col - 1}, end: {line: end.line - 1, character: end.col - 1}}
+        };
+    }
+}
+
+// Helper functions
+
+function uriToFile(uri) {
+    return uri.startsWith('file:') ? fileURLToPath(uri) : uri;
+}
+
+let cachedMarkdownDocLines = null;
+
+function markdownDocLines() {
+    if (cachedMarkdownDocLines === null) {
+        cachedMarkdownDocLines = fs.existsSync(markdownDocPath) ? fs.readFileSync(markdownDocPath, 'utf-8').split('\n') : [];
+    }
+    return cachedMarkdownDocLines;
+}
+
+function offsetAt(text, position) {
+    const lines = text.split('\n');
+    let offset = 0;
+    for (let i = 0; i < position.line && i < lines.length; i++) {
+        offset += lines[i].length + 1;
+    }
+    return offset + position.character;
+}
+
+// Find the innermost map key or value node containing the offset, with its path.
+function findNodeAt(node, offset, path) {
+    if (yaml.isMap(node)) {
+        for (const pair of node.items) {
+            const key = yaml.isScalar(pair.key) ? pair.key.value : pair.key;
+            if (pair.key && pair.key.range && offset >= pair.key.range[0] && offset <= pair.key.range[1]) {
+                return {node: pair.key, path: [...path, key], isKey: true};
+            }
+            if (pair.value && pair.value.range && offset >= pair.value.range[0] && offset <= pair.value.range[1]) {
+                const found = findNodeAt(pair.value, offset, [...path, key]);
+                return found || (yaml.isScalar(pair.value) ? {node: pair.value, path: [...path, key], isKey: false} : null);
+            }
+        }
+        return null;
+    }
+    if (yaml.isSeq(node)) {
+        for (let index = 0; index < node.items.length; index++) {
+            const item = node.items[index];
+            if (item && item.range && offset >= item.range[0] && offset <= item.range[1]) {
+                return findNodeAt(item, offset, [...path, index]);
+            }
+        }
+    }
+    return null;
+}
+
+// Parse the indentation, array item marker and key of a line, or null for blank and comment lines.
+function parseLine(line) {
+    const match = line.match(/^(\s*)(- +)?(?:([^\s:#][^:#]*?):(?:\s|$))?/);
+    if (line.trim().length === 0 || line.trim().startsWith('#')) {
+        return null;
+    }
+    const indent = match[1].length;
+    return {indent, isItem: !!match[2], keyIndent: indent + (match[2] ? match[2].length : 0), key: match[3] || null};
+}
+
+// Find the path of the map containing keys at keyIndent on the line, by walking up to the keys which own it. Array
+// items use index 0, as all items have the same type.
+function parentPath(lines, lineIndex, keyIndent, isItem) {
+    const path = [];
+    let indent = keyIndent;
+    // The indentation of the "-" of the array item containing the map, or null if not in an array item. The key owning
+    // the array may be at the same indentation as the "-".
+    let itemIndent = isItem ? keyIndent - 2 : null;
+    if (isItem) {
+        path.unshift(0);
+    }
+    for (let i = lineIndex - 1; i >= 0; i--) {
+        const parsed = parseLine(lines[i]);
+        if (parsed === null) {
+            continue;
+        }
+        if (itemIndent === null) {
+            if (parsed.isItem && parsed.keyIndent === indent) {
+                // The first key of the array item containing the map
+                path.unshift(0);
+                itemIndent = parsed.indent;
+                continue;
+            }
+            if (parsed.keyIndent >= indent) {
+                continue;
+            }
+        } else if (parsed.keyIndent > itemIndent || (parsed.isItem && parsed.indent === itemIndent)) {
+            // Within or a sibling of the array item
+            continue;
+        }
+        if (parsed.key === null) {
+            // Not a map of keys, e.g. an array of arrays
+            return path;
+        }
+        path.unshift(parsed.key);
+        indent = parsed.keyIndent;
+        itemIndent = parsed.isItem ? parsed.indent : null;
+        if (parsed.isItem) {
+            path.unshift(0);
+        }
+    }
+    return path;
+}
+
+// The keys of the map containing keys at keyIndent on the line, excluding the line itself.
+function mapKeys(lines, lineIndex, keyIndent, isItem) {
+    const keys = [];
+    // Keys above, up to the start of the map
+    if (!isItem) {
+        for (let i = lineIndex - 1; i >= 0; i--) {
+            const parsed = parseLine(lines[i]);
+            if (parsed === null || parsed.keyIndent > keyIndent) {
+                continue;
+            }
+            if (parsed.keyIndent < keyIndent) {
+                break;
+            }
+            if (parsed.key !== null) {
+                keys.push(parsed.key);
+            }
+            if (parsed.isItem) {
+                break;
+            }
+        }
+    }
+    // Keys below, up to the end of the map
+    for (let i = lineIndex + 1; i < lines.length; i++) {
+        const parsed = parseLine(lines[i]);
+        if (parsed === null || parsed.keyIndent > keyIndent) {
+            continue;
+        }
+        if (parsed.keyIndent < keyIndent || parsed.isItem) {
+            break;
+        }
+        if (parsed.key !== null) {
+            keys.push(parsed.key);
+        }
+    }
+    return keys;
+}
+
+function valueCompletions(sourceSchemaProperty, sourceSchemaType) {
+    if (sourceSchemaType && sourceSchemaType.isEnumType()) {
+        return sourceSchemaType.sortedEnumValues().map(enumValue => ({
+            label: enumValue,
+            kind: COMPLETION_ITEM_KIND_ENUM_MEMBER,
+            documentation: {kind: 'markdown', value: sourceSchemaType.schema['enumDescriptions'][enumValue]},
+            deprecated: isExperimentalProperty(enumValue) || undefined
+        }));
+    }
+    if (!sourceSchemaType && sourceSchemaProperty.types.includes('boolean')) {
+        return ['true', 'false'].map(value => ({label: value, kind: COMPLETION_ITEM_KIND_VALUE}));
+    }
+    return [];
+}
+
+function formatPropertyTypes(sourceSchemaProperty) {
+    const types = sourceSchemaProperty.types.filter(type => type !== 'null');
+    const formatted = types.join(' | ');
+    return sourceSchemaProperty.isSeq ? `array of ${formatted}` : formatted;
+}
+
+function propertyMarkdown(parentType, sourceSchemaProperty) {
+    const lines = [`**\`${parentType.type}.${sourceSchemaProperty.property}\`**: \`${formatPropertyTypes(sourceSchemaProperty)}\``, ''];
+    const description = sourceSchemaProperty.schema['description'];
+    if (description) {
+        lines.push(description.trim().split('\n').join('  \n'), '');
+    }
+    lines.push(sourceSchemaProperty.formatDefaultAndNullBehavior());
+    const isExperimental = isExperimentalProperty(sourceSchemaProperty.property)
+        || sourceSchemaProperty.types.some(isExperimentalType);
+    if (isExperimental) {
+        lines.push('', '*Experimental*: may change or be removed in a minor version.');
+    }
+    return lines.join('\n');
+}
@@ -0,0 +1,103 @@
+import fs from "fs";
+import path from "path";
+import {parseArgs} from "util";
+import yaml from "yaml";
+import {parseConfigFile, readConfigFile} from "./config-file.js";
+import {compileConfigValidator, validateConfigFile} from "./config-validation.js";
+import {readSourceTypesByType} from "./source-schema.js";
+import {ConfigLayer, mergeConfigLayers, parseListStrategy} from "./config-merge.js";
+
+// Merge a base configuration file with ordered overlay files, annotating each value with the file it came from, and
+// validate the result. Environment variable references are merged as they are, and substituted for validation only.
+
+const usage = 'Usage: merge-config [--strategy <Type>.<property>=<strategy>]... [--output <merged.yaml>] <base.yaml> <overlay.yaml>...';
+const {values: options, positionals: files} = parseArgs({
+    options: {
+        strategy: {type: 'string', multiple: true, default: []},
+        output: {type: 'string'},
+    },
+    allowPositionals: true
+});
+if (files.length < 2) {
+    console.log(usage);
+    process.exit(1);
+}
+
+const sourceTypesByType = readSourceTypesByType();
+
+const listStrategies = {};
+options.strategy.forEach(entry => {
+    const [property, strategy] = entry.split('=');
+    const [type, propertyName] = property.split('.');
+    const sourceSchemaType = sourceTypesByType[type];
+    const sourceSchemaProperty = sourceSchemaType && sourceSchemaType.properties.find(item => item.property === propertyName);
+    if (strategy === undefined || !sourceSchemaProperty || !sourceSchemaProperty.isSeq) {
+        console.log(`Invalid --strategy ${entry}. Expected <Type>.<property>=<strategy> for an array property, e.g. MeterProvider.views=append.`);
+        process.exit(1);
+    }
+    try {
+        listStrategies[property] = parseListStrategy(strategy);
+    } catch (error) {
+        console.log(error.message);
+        process.exit(1);
+    }
+});
+
+const layers = files.map(file => {
+    const configFile = readConfigFile(file, null);
+    configFile.sortedMessages().forEach(message => console.error(message.format()));
+    if (configFile.hasErrors()) {
+        process.exit(1);
+    }
+    return new ConfigLayer(file, configFile.toJS());
+});
+
+const mergedConfig = mergeConfigLayers(layers, sourceTypesByType, listStrategies);
+
+const document = new yaml.Document(mergedConfig.config);
+yaml.visit(document, {
+    Seq(_, node) {
+        node.flow = node.items.every(item => yaml.isScalar(item));
+    }
+});
+mergedConfig.provenance.forEach(valueProvenance => annotateProvenance(document, valueProvenance));
+const output = document.toString({nullStr: '', lineWidth: 0, flowCollectionPadding: false});
+
+// Validate the merged config as it will be read, with environment variables substituted
+const outputFile = options.output || 'merged.yaml';
+const mergedConfigFile = parseConfigFile(outputFile, output);
+validateConfigFile(mergedConfigFile, compileConfigValidator(), sourceTypesByType);
+mergedConfigFile.sortedMessages().forEach(message => console.error(message.format()));
+if (mergedConfigFile.hasErrors()) {
+    process.exit(1);
+}
+
+if (options.output) {
+    fs.mkdirSync(path.dirname(options.output), {recursive: true});
+    fs.writeFileSync(options.output, output);
+} else {
+    process.stdout.write(output);
+}
+
+// Helper functions
+
+// Add a "# <file>" comment to the node at the path of the value.
+function annotateProvenance(document, valueProvenance) {
+    const comment = ` ${valueProvenance.file}`;
+    if (valueProvenance.path.length === 0) {
+        return;
+    }
+    const parent = valueProvenance.path.length === 1 ? document.contents : document.getIn(valueProvenance.path.slice(0, -1), true);
+    const key = valueProvenance.path[valueProvenance.path.length - 1];
+    if (yaml.isMap(parent)) {
+        const pair = parent.items.find(item => (yaml.isScalar(item.key) ? item.key.value : item.key) === key);
+        if (yaml.isScalar(pair.value) || pair.value.flow) {
+            pair.value.comment = comment;
+        } else {
+            pair.key = document.createNode(pair.key);
+            pair.key.comment = comment;
+        }
+    } else if (yaml.isSeq(parent) && yaml.isNode(parent.items[key])) {
+        parent.items[key].comment = comment;
+    }
+}
@@ -0,0 +1,84 @@
+import fs from "fs";
+import {parseArgs} from "util";
+import {parseConfigFile, readConfigFile} from "./config-file.js";
+import {compileConfigValidator, validateConfigFile} from "./config-validation.js";
+import {readSourceTypesByType} from "./source-schema.js";
+import {migrateDocument} from "./config-migrations.js";
+import {fileFormat} from "./util.js";
+
+// Migrate a configuration file from an older file_format to the current one through the declared chain of migrations,
+// preserving comments. A report of every change is printed to stderr, and the result is validated.
+
+const usage = 'Usage: migrate-config [--in-place] <config.yaml> [<migrated.yaml>]';
+const {values: options, positionals} = parseArgs({
+    options: {
+        'in-place': {type: 'boolean', default: false},
+    },
+    allowPositionals: true
+});
+if (positionals.length === 0 || positionals.length > 2 || (options['in-place'] && positionals.length !== 1)) {
+    console.log(usage);
+    process.exit(1);
+}
+const [inputFile, outputFile] = positionals;
+
+// Environment variable references are migrated as they are
+const configFile = readConfigFile(inputFile, null);
+configFile.sortedMessages().forEach(message => console.error(message.format()));
+if (configFile.hasErrors()) {
+    process.exit(1);
+}
+
+let result;
+try {
+    result = migrateDocument(configFile.document, fileFormat);
+} catch (error) {
+    console.error(`${inputFile}: ${error.message}`);
+    process.exit(1);
+}
+
+if (result.from === result.to) {
+    console.error(`${inputFile} is already at file_format "${fileFormat}".`);
+} else {
+    console.error(`Migrated ${inputFile} from file_format "${result.from}" to "${result.to}":`);
+    let to = null;
+    result.changes.forEach(change => {
+        if (change.to !== to) {
+            to = change.to;
+            console.error(`  ${to}:`);
+        }
+        console.error(`    ${change.format()}`);
+    });
+    if (result.changes.length === 0) {
+        console.error('  No changes to content were needed.');
+    }
+}
+const output = result.changes.length === 0 ? replaceFileFormat(configFile, result.to) : configFile.document.toString({lineWidth: 0});
+
+// Validate the migrated config as it will be read, with environment variables substituted
+const migratedConfigFile = parseConfigFile(outputFile || inputFile, output);
+validateConfigFile(migratedConfigFile, compileConfigValidator(), readSourceTypesByType());
+migratedConfigFile.sortedMessages().forEach(message => console.error(message.format()));
+
+if (options['in-place']) {
+    fs.writeFileSync(inputFile, output);
+} else if (outputFile) {
+    fs.writeFileSync(outputFile, output);
+} else {
+    process.stdout.write(output);
+}
+
+if (result.hasManualSteps()) {
+    console.error('Complete the steps marked ! by hand.');
+}
+process.exit(migratedConfigFile.hasErrors() ? 1 : 0);
+
+// Helper functions
+
+// Replace the file_format value in the original content, so that files without content changes are otherwise
+// unchanged, including the placement of comments which a YAML round trip may move.
+function replaceFileFormat(configFile, target) {
+    const [start, end] = configFile.document.get('file_format', true).range;
+    const quote = configFile.content[start] === "'" || configFile.content[start] === '"' ? configFile.content[start] : '"';
+    return configFile.content.slice(0, start) + quote + target + quote + configFile.content.slice(end);
+}
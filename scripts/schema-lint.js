@@ -0,0 +1,460 @@
+import {resolvePath} from "./config-walker.js";
+import {isExperimentalProperty, isExperimentalType, rootTypeName} from "./util.js";
+
+// Schema lint rules check source schema types follow the authoring conventions described in CONTRIBUTING.md before the
+// schema is compiled. A finding for a type or property can be suppressed by listing the rule id in a 'lintSuppressions'
+// annotation on the type or property schema, which is stripped from the compiled schema.
+
+export const SEVERITY_ERROR = 'error';
+export const SEVERITY_WARNING = 'warning';
+
+export const schemaLintRules = [];
+
+const envVarNamePattern = /^OTEL_[A-Z0-9_]+$/;
+const reachableTypesCache = new WeakMap(); // sourceTypesByType => Set of types reachable from the root type
+
+// Types
+
+export class SchemaLintRule {
+    id;
+    severity;
+    description;
+    check; // (sourceSchemaType, report, sourceTypesByType) => void, where report(message, property = null) records a finding
+
+    constructor(id, severity, description, check) {
+        this.id = id;
+        this.severity = severity;
+        this.description = description;
+        this.check = check;
+    }
+}
+
+export class SchemaLintFinding {
+    rule;
+    type;
+    property; // null if not associated with a property
+    message;
+    isSuppressed;
+
+    constructor(rule, type, property, message, isSuppressed) {
+        this.rule = rule;
+        this.type = type;
+        this.property = property;
+        this.message = message;
+        this.isSuppressed = isSuppressed;
+    }
+
+    subject() {
+        return this.property === null ? this.type : `${this.type}.${this.property}`;
+    }
+
+    format() {
+        return `${this.rule.severity}: ${this.subject()}: ${this.message} [${this.rule.id}]`;
+    }
+
+    toJson() {
+        return {
+            rule: this.rule.id,
+            severity: this.rule.severity,
+            type: this.type,
+            property: this.property,
+            message: this.message,
+            suppressed: this.isSuppressed
+        };
+    }
+}
+
+// Rules
+
+schemaLintRules.push(new SchemaLintRule(
+    'property-description',
+    SEVERITY_ERROR,
+    'All properties must have a description.',
+    (sourceSchemaType, report) => {
+        sourceSchemaType.properties.forEach(property => {
+            if (!property.schema.description) {
+                report(`Please add 'description' to ${sourceSchemaType.type}.${property.property}.`, property.property);
+            }
+        });
+    }));
+
+schemaLintRules.push(new SchemaLintRule(
+    'enum-value-descriptions',
+    SEVERITY_ERROR,
+    'All enum types must have enumDescriptions with an entry for each enum value.',
+    (sourceSchemaType, report) => {
+        if (!sourceSchemaType.isEnumType()) {
+            return;
+        }
+        const enumDescriptions = sourceSchemaType.schema['enumDescriptions'];
+        if (!enumDescriptions) {
+            report(`Please add 'enumDescriptions' to ${sourceSchemaType.type}.`);
+            return;
+        }
+        sourceSchemaType.enumValues.forEach(enumValue => {
+            if (!enumDescriptions[enumValue]) {
+                report(`Please add entry for ${enumValue} to 'enumDescriptions' for ${sourceSchemaType.type}.`);
+            }
+        });
+        Object.keys(enumDescriptions).forEach(enumValue => {
+            if (!sourceSchemaType.enumValues.includes(enumValue)) {
+                report(`Please remove entry for ${enumValue} from 'enumDescriptions' for ${sourceSchemaType.type}.`);
+            }
+        });
+    }));
+
+schemaLintRules.push(new SchemaLintRule(
+    'sdk-extension-plugin-schema',
+    SEVERITY_ERROR,
+    'Types labeled isSdkExtensionPlugin must be objects with exactly one property, allowing custom components.',
+    (sourceSchemaType, report) => {
+        const sdkExtensionPluginAdditionalProperties = JSON.stringify({"type": ["object", "null"]});
+
+        const schema = sourceSchemaType.schema;
+        if (!schema['isSdkExtensionPlugin']) {
+            return;
+        }
+        const type = schema['type'];
+        if (type !== 'object') {
+            report(`Please set 'type' to 'object' for ${sourceSchemaType.type}.`);
+        }
+        const additionalProperties = schema['additionalProperties'];
+        if (JSON.stringify(additionalProperties) !== sdkExtensionPluginAdditionalProperties) {
+            report(`Please set 'additionalProperties' to ${sdkExtensionPluginAdditionalProperties} for ${sourceSchemaType.type}.`);
+        }
+        const minProperties = schema['minProperties'];
+        if (minProperties !== 1) {
+            report(`Please set 'minProperties' to 1 for ${sourceSchemaType.type}.`);
+        }
+        const maxProperties = schema['maxProperties'];
+        if (maxProperties !== 1) {
+            report(`Please set 'maxProperties' to 1 for ${sourceSchemaType.type}.`);
+        }
+    }));
+
+schemaLintRules.push(new SchemaLintRule(
+    'no-subschemas',
+    SEVERITY_ERROR,
+    'All types must be defined at the top level of $defs, rather than as subschemas of properties.',
+    (sourceSchemaType, report) => {
+        if (sourceSchemaType.isEnumType()) {
+            return;
+        }
+        sourceSchemaType.properties.forEach(property => {
+            property.types.forEach(type => {
+                if (type === 'object') {
+                    report(`Please move subschema for ${sourceSchemaType.type}.${property.property} to top level type in $defs.`, property.property);
+                }
+            });
+        });
+    }));
+
+schemaLintRules.push(new SchemaLintRule(
+    'default-behavior',
+    SEVERITY_ERROR,
+    'Optional properties must have a defaultBehavior, and required nullable properties a nullBehavior.',
+    (sourceSchemaType, report) => {
+        if (sourceSchemaType.isEnumType()) {
+            return;
+        }
+        const required = sourceSchemaType.schema['required'] || [];
+        // Checks for optional properties
+        sourceSchemaType.properties
+            .filter(property => !required.includes(property.property) && !property.schema['defaultBehavior'])
+            .forEach(property => {
+                report(`Please add 'defaultBehavior' to optional property ${sourceSchemaType.type}.${property.property}.`, property.property);
+            });
+        // Checks for required properties
+        sourceSchemaType.properties
+            .filter(property => required.includes(property.property))
+            .forEach(property => {
+                if (property.schema['defaultBehavior']) {
+                    report(`Please remove 'defaultBehavior' from required property ${sourceSchemaType.type}.${property.property}.`, property.property);
+                }
+                if (property.isNullable && !property.schema['nullBehavior']) {
+                    report(`Please add 'nullBehavior' to required nullable property ${sourceSchemaType.type}.${property.property}.`, property.property);
+                }
+                if (!property.isNullable && property.schema['nullBehavior']) {
+                    report(`Please remove 'nullBehavior' from required property ${sourceSchemaType.type}.${property.property}.`, property.property);
+                }
+            });
+    }));
+
+// defaultValue and defaultValueFrom are the machine-readable forms of defaultBehavior. Each is required when
+// defaultBehavior describes one in a recognized form, and must match it.
+schemaLintRules.push(new SchemaLintRule(
+    'default-value',
+    SEVERITY_ERROR,
+    'defaultValue and defaultValueFrom must be consistent with defaultBehavior.',
+    (sourceSchemaType, report, sourceTypesByType) => {
+        sourceSchemaType.properties.forEach(property => {
+            const name = `${sourceSchemaType.type}.${property.property}`;
+            const reportProperty = message => report(message, property.property);
+            const defaultBehavior = property.schema['defaultBehavior'];
+            if (property.isRequired || !defaultBehavior) {
+                if (property.hasDefaultValue() || property.defaultValueFrom() !== null) {
+                    reportProperty(`Please remove 'defaultValue' and 'defaultValueFrom' from ${name}, which has no 'defaultBehavior'.`);
+                }
+                return;
+            }
+
+            // "the value from .<property> is used" refers to a sibling, unless it is a path such as .attribute_limits.attribute_count_limit
+            const defaultValueFromMatch = defaultBehavior.match(/^the value from \.(\S+) is used$/);
+            const isSiblingReference = defaultValueFromMatch !== null && !defaultValueFromMatch[1].includes('.')
+                && sourceSchemaType.properties.some(sibling => sibling.property === defaultValueFromMatch[1]);
+            const expectedDefaultValueFrom = defaultValueFromMatch ? (isSiblingReference ? '' : '.') + defaultValueFromMatch[1] : null;
+            if (expectedDefaultValueFrom !== property.defaultValueFrom()) {
+                const describedDefaultValueFrom = (property.defaultValueFromPath() !== null ? '' : '.') + property.defaultValueFrom();
+                reportProperty(expectedDefaultValueFrom !== null
+                    ? `Please set 'defaultValueFrom' to ${expectedDefaultValueFrom} for ${name} to match 'defaultBehavior': ${defaultBehavior}.`
+                    : `Please remove 'defaultValueFrom' from ${name}, or update 'defaultBehavior' to: the value from ${describedDefaultValueFrom} is used.`);
+            }
+            if (expectedDefaultValueFrom !== null && !isSiblingReference) {
+                const resolved = resolvePath(defaultValueFromMatch[1].split('.'), sourceTypesByType);
+                if (resolved === null || resolved.sourceSchemaProperty === null) {
+                    reportProperty(`'defaultValueFrom' of ${name} refers to unknown property ${expectedDefaultValueFrom}.`);
+                }
+            }
+
+            const expectedDefaultValue = defaultValueDescribedBy(defaultBehavior, property, sourceTypesByType);
+            if (expectedDefaultValue === undefined) {
+                if (property.hasDefaultValue()) {
+                    reportProperty(`Please remove 'defaultValue' from ${name}, or update 'defaultBehavior' to describe it (e.g. "${JSON.stringify(property.schema['defaultValue'])} is used").`);
+                }
+            } else if (!property.hasDefaultValue()) {
+                reportProperty(`Please add 'defaultValue: ${JSON.stringify(expectedDefaultValue)}' to ${name} to match 'defaultBehavior': ${defaultBehavior}.`);
+            } else if (JSON.stringify(property.schema['defaultValue']) !== JSON.stringify(expectedDefaultValue)) {
+                reportProperty(`'defaultValue' of ${name} is ${JSON.stringify(property.schema['defaultValue'])}, which does not match 'defaultBehavior': ${defaultBehavior}.`);
+            }
+        });
+    }));
+
+schemaLintRules.push(new SchemaLintRule(
+    'property-name-case',
+    SEVERITY_ERROR,
+    'Property names must be lower snake_case, optionally with a /development suffix.',
+    (sourceSchemaType, report) => {
+        sourceSchemaType.properties
+            .filter(property => !isSnakeCase(stripDevelopmentSuffix(property.property)))
+            .forEach(property => report(`Please rename ${sourceSchemaType.type}.${property.property} to lower snake_case.`, property.property));
+    }));
+
+schemaLintRules.push(new SchemaLintRule(
+    'enum-value-case',
+    SEVERITY_ERROR,
+    'Enum values must consistently be lower snake_case, optionally with a /development suffix.',
+    (sourceSchemaType, report) => {
+        if (!sourceSchemaType.isEnumType()) {
+            return;
+        }
+        const inconsistentValues = sourceSchemaType.enumValues.filter(enumValue => !isSnakeCase(stripDevelopmentSuffix(enumValue)));
+        if (inconsistentValues.length > 0) {
+            report(`Please rename enum values ${inconsistentValues.join(', ')} of ${sourceSchemaType.type} to lower snake_case, consistent with other enum values.`);
+        }
+    }));
+
+// Experimental types may only be referenced by experimental properties, or from other experimental types, so that
+// stable configuration never depends on them.
+schemaLintRules.push(new SchemaLintRule(
+    'experimental-type-reference',
+    SEVERITY_ERROR,
+    'Experimental types must only be referenced by /development properties or other experimental types.',
+    (sourceSchemaType, report) => {
+        if (isExperimentalType(sourceSchemaType.type)) {
+            return;
+        }
+        sourceSchemaType.properties
+            .filter(property => !isExperimentalProperty(property.property))
+            .forEach(property => {
+                property.types.filter(isExperimentalType).forEach(type => {
+                    report(`Please rename ${sourceSchemaType.type}.${property.property} to ${property.property}/development, as it references experimental type ${type}.`, property.property);
+                });
+            });
+    }));
+
+schemaLintRules.push(new SchemaLintRule(
+    'unreachable-type',
+    SEVERITY_ERROR,
+    `All types must be reachable from ${rootTypeName}.`,
+    (sourceSchemaType, report, sourceTypesByType) => {
+        if (!reachableTypes(sourceTypesByType).has(sourceSchemaType.type)) {
+            report(`Please remove ${sourceSchemaType.type}, or reference it from a type reachable from ${rootTypeName}.`);
+        }
+    }));
+
+// The description is compiled together with defaultBehavior and nullBehavior, so a description which states a
+// different default, or a different requirement, contradicts them.
+schemaLintRules.push(new SchemaLintRule(
+    'description-contradicts-default-behavior',
+    SEVERITY_WARNING,
+    'Property descriptions should not state a default or requirement which contradicts defaultBehavior.',
+    (sourceSchemaType, report) => {
+        sourceSchemaType.properties.forEach(property => {
+            const name = `${sourceSchemaType.type}.${property.property}`;
+            const description = property.schema['description'] || '';
+            const defaultBehavior = property.schema['defaultBehavior'];
+            const statedDefault = description.match(/\b(?:defaults? to|default is|if (?:omitted|unset|not set),)\s+`?([^\s`,;]+?)`?[.,;]?(?:\s|$)/i);
+            if (property.isRequired && statedDefault) {
+                report(`The description of required property ${name} describes a default: ${statedDefault[0].trim()}`, property.property);
+            }
+            if (!property.isRequired && /\b(?:is|are) required\b|\bmust be set\b/i.test(description)) {
+                report(`The description of optional property ${name} says it is required, but 'defaultBehavior' is: ${defaultBehavior}.`, property.property);
+            }
+            if (!property.isRequired && statedDefault && defaultBehavior && !defaultBehavior.includes(statedDefault[1])) {
+                report(`The description of ${name} states a default of ${statedDefault[1]}, but 'defaultBehavior' is: ${defaultBehavior}.`, property.property);
+            }
+        });
+    }));
+
+schemaLintRules.push(new SchemaLintRule(
+    'env-vars',
+    SEVERITY_ERROR,
+    'envVars must only be set on properties, and list distinct OTEL_* environment variable names, optionally with a note.',
+    (sourceSchemaType, report) => {
+        if (sourceSchemaType.schema['envVars'] !== undefined) {
+            report(`Please move 'envVars' from ${sourceSchemaType.type} to the properties which replace the environment variables.`);
+        }
+        sourceSchemaType.properties.forEach(property => {
+            const envVars = property.schema['envVars'];
+            if (envVars === undefined) {
+                return;
+            }
+            const name = `${sourceSchemaType.type}.${property.property}`;
+            if (!Array.isArray(envVars) || envVars.length === 0) {
+                report(`Please set 'envVars' to a non-empty array of environment variable names for ${name}.`, property.property);
+                return;
+            }
+            envVars.filter(envVar => typeof envVar !== 'string' && !isEnvVarWithNote(envVar))
+                .forEach(envVar => report(`'envVars' of ${name} contains ${JSON.stringify(envVar)}, which is neither a name nor an object with only 'name' and 'note' strings.`, property.property));
+            const names = envVars.map(envVar => isEnvVarWithNote(envVar) ? envVar['name'] : envVar).filter(envVar => typeof envVar === 'string');
+            [...new Set(names)].filter(envVar => !envVarNamePattern.test(envVar))
+                .forEach(envVar => report(`'envVars' of ${name} contains ${JSON.stringify(envVar)}, which is not an OTEL_* environment variable name.`, property.property));
+            [...new Set(names.filter((envVar, index) => names.indexOf(envVar) !== index))]
+                .forEach(envVar => report(`'envVars' of ${name} lists ${envVar} more than once.`, property.property));
+        });
+    }));
+
+schemaLintRules.push(new SchemaLintRule(
+    'lint-suppressions',
+    SEVERITY_ERROR,
+    'lintSuppressions must only list known rule ids.',
+    (sourceSchemaType, report) => {
+        const checkSuppressions = (schema, property) => {
+            const suppressions = schema['lintSuppressions'];
+            if (suppressions === undefined) {
+                return;
+            }
+            if (!Array.isArray(suppressions)) {
+                report(`Please set 'lintSuppressions' to an array of rule ids.`, property);
+                return;
+            }
+            suppressions.filter(id => !schemaLintRules.some(rule => rule.id === id))
+                .forEach(id => report(`'lintSuppressions' refers to unknown rule ${id}.`, property));
+        };
+        checkSuppressions(sourceSchemaType.schema, null);
+        sourceSchemaType.properties.forEach(property => checkSuppressions(property.schema, property.property));
+    }));
+
+// Check all source types against the rules, returning an array of SchemaLintFinding, including suppressed findings.
+export function lintSourceSchema(sourceTypesByType, rules = schemaLintRules) {
+    const findings = [];
+    Object.values(sourceTypesByType).forEach(sourceSchemaType => {
+        rules.forEach(rule => {
+            rule.check(sourceSchemaType, (message, property = null) => {
+                findings.push(new SchemaLintFinding(rule, sourceSchemaType.type, property, message, isSuppressed(rule, sourceSchemaType, property)));
+            }, sourceTypesByType);
+        });
+    });
+    return findings;
+}
+
+// Helper functions
+
+function isSuppressed(rule, sourceSchemaType, property) {
+    const suppresses = schema => Array.isArray(schema['lintSuppressions']) && schema['lintSuppressions'].includes(rule.id);
+    if (suppresses(sourceSchemaType.schema)) {
+        return true;
+    }
+    const sourceSchemaProperty = property === null ? null : sourceSchemaType.properties.find(candidate => candidate.property === property);
+    return !!sourceSchemaProperty && suppresses(sourceSchemaProperty.schema);
+}
+
+function isSnakeCase(name) {
+    return /^[a-z][a-z0-9]*(_[a-z0-9]+)*$/.test(name);
+}
+
+function stripDevelopmentSuffix(name) {
+    return isExperimentalProperty(name) ? name.substring(0, name.length - '/development'.length) : name;
+}
+
+function reachableTypes(sourceTypesByType) {
+    if (!reachableTypesCache.has(sourceTypesByType)) {
+        const reachable = new Set([rootTypeName]);
+        const queue = [rootTypeName];
+        while (queue.length > 0) {
+            const sourceSchemaType = sourceTypesByType[queue.shift()];
+            if (!sourceSchemaType) {
+                continue;
+            }
+            sourceSchemaType.properties.forEach(property => {
+                property.types.filter(type => type in sourceTypesByType && !reachable.has(type)).forEach(type => {
+                    reachable.add(type);
+                    queue.push(type);
+                });
+            });
+        }
+        reachableTypesCache.set(sourceTypesByType, reachable);
+    }
+    return reachableTypesCache.get(sourceTypesByType);
+}
+
+// Derive the default value described by defaultBehavior, or undefined if it does not describe one. Recognized forms:
+// * "<value> is used", where value is valid for the property, e.g. "128 is used", "cumulative is used", "always_on is used"
+//   (for SDK extension plugin types, a property name selects the component with a null value).
+// * "default values as described in <Type> are used", where Type is the property's type. The default value is {}.
+function defaultValueDescribedBy(defaultBehavior, property, sourceTypesByType) {
+    const describedInMatch = defaultBehavior.match(/^(?:default values|defaults) as described in (\w+) are used$/);
+    if (describedInMatch) {
+        return property.types.includes(describedInMatch[1]) && !property.isSeq ? {} : undefined;
+    }
+    const literalMatch = defaultBehavior.match(/^(\[.*\]|\S+) is used$/);
+    if (!literalMatch) {
+        return undefined;
+    }
+    const literal = literalMatch[1];
+    if (property.isSeq) {
+        try {
+            const value = JSON.parse(literal);
+            return Array.isArray(value) ? value : undefined;
+        } catch (e) {
+            return undefined;
+        }
+    }
+    for (const type of property.types) {
+        if ((type === 'integer' && /^-?\d+$/.test(literal)) || (type === 'number' && /^-?\d+(\.\d+)?$/.test(literal))) {
+            return Number(literal);
+        }
+        if (type === 'boolean' && (literal === 'true' || literal === 'false')) {
+            return literal === 'true';
+        }
+        if (type === 'string') {
+            return literal;
+        }
+        const sourceType = sourceTypesByType[type];
+        if (sourceType && sourceType.isEnumType()) {
+            const enumValue = sourceType.enumValues.find(value => value.toLowerCase() === literal.toLowerCase());
+            if (enumValue !== undefined) {
+                return enumValue;
+            }
+        } else if (sourceType && sourceType.schema['isSdkExtensionPlugin'] && sourceType.properties.some(candidate => candidate.property === literal)) {
+            return {[literal]: null};
+        }
+    }
+    return undefined;
+}
+
+function isEnvVarWithNote(envVar) {
+    return envVar !== null && typeof envVar === 'object' && !Array.isArray(envVar)
+        && Object.keys(envVar).every(key => key === 'name' || key === 'note')
+        && typeof envVar['name'] === 'string' && typeof envVar['note'] === 'string';
+}
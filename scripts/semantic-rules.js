@@ -0,0 +1,150 @@
+import {formatPath, isPlainObject, walkConfig} from "./config-walker.js";
+import {effectiveValue} from "./config-defaults.js";
+
+// Semantic rules catch configuration which is valid according to the JSON schema, but is contradictory or likely to
+// be a mistake. Each rule applies to values of one or more source schema types.
+
+export const SEVERITY_ERROR = 'error';
+export const SEVERITY_WARNING = 'warning';
+
+export const semanticRules = [];
+
+// Types
+
+export class SemanticRule {
+    id;
+    severity;
+    description;
+    types;
+    check; // (value, report, sourceSchemaType) => void, where report(message, relativePath = []) records a finding
+
+    constructor(id, severity, description, types, check) {
+        this.id = id;
+        this.severity = severity;
+        this.description = description;
+        this.types = types;
+        this.check = check;
+    }
+}
+
+export class SemanticFinding {
+    rule;
+    path;
+    message;
+
+    constructor(rule, path, message) {
+        this.rule = rule;
+        this.path = path;
+        this.message = message;
+    }
+}
+
+// Rules
+
+semanticRules.push(new SemanticRule(
+    'batch-size-exceeds-queue-size',
+    SEVERITY_ERROR,
+    'A batch processor max_export_batch_size must not be larger than max_queue_size.',
+    ['BatchSpanProcessor', 'BatchLogRecordProcessor'],
+    (value, report, sourceSchemaType) => {
+        const maxExportBatchSize = effectiveValue(value, sourceSchemaType, 'max_export_batch_size');
+        const maxQueueSize = effectiveValue(value, sourceSchemaType, 'max_queue_size');
+        if (maxExportBatchSize > maxQueueSize) {
+            report(`max_export_batch_size (${maxExportBatchSize}) is larger than max_queue_size (${maxQueueSize}).`, ['max_export_batch_size']);
+        }
+    }));
+
+semanticRules.push(new SemanticRule(
+    'export-timeout-exceeds-interval',
+    SEVERITY_WARNING,
+    'A periodic metric reader timeout should not be larger than the export interval.',
+    ['PeriodicMetricReader'],
+    (value, report, sourceSchemaType) => {
+        const interval = effectiveValue(value, sourceSchemaType, 'interval');
+        const timeout = effectiveValue(value, sourceSchemaType, 'timeout');
+        // A timeout of 0 indicates no limit
+        if (timeout !== 0 && timeout > interval) {
+            report(`timeout (${timeout}) is larger than interval (${interval}).`, ['timeout']);
+        }
+    }));
+
+semanticRules.push(new SemanticRule(
+    'duplicate-propagator',
+    SEVERITY_WARNING,
+    'A propagator should only be listed once across .composite and .composite_list.',
+    ['Propagator'],
+    (value, report) => {
+        const seen = new Set();
+        const composite = Array.isArray(value['composite']) ? value['composite'] : [];
+        composite.forEach((entry, index) => {
+            if (!isPlainObject(entry)) {
+                return;
+            }
+            Object.keys(entry).forEach(name => {
+                if (seen.has(name)) {
+                    report(`propagator '${name}' is listed more than once.`, ['composite', index]);
+                }
+                seen.add(name);
+            });
+        });
+        const compositeList = value['composite_list'];
+        if (typeof compositeList === 'string') {
+            compositeList.split(',').map(name => name.trim()).filter(name => name.length > 0).forEach(name => {
+                if (seen.has(name)) {
+                    report(`propagator '${name}' is listed more than once.`, ['composite_list']);
+                }
+                seen.add(name);
+            });
+        }
+    }));
+
+semanticRules.push(new SemanticRule(
+    'unsorted-histogram-boundaries',
+    SEVERITY_ERROR,
+    'Explicit bucket histogram boundaries must be sorted in strictly ascending order.',
+    ['ExplicitBucketHistogramAggregation'],
+    (value, report) => {
+        const boundaries = value['boundaries'];
+        if (!Array.isArray(boundaries)) {
+            return;
+        }
+        for (let i = 1; i < boundaries.length; i++) {
+            if (boundaries[i] <= boundaries[i - 1]) {
+                report(`boundary ${boundaries[i]} is not larger than the preceding boundary ${boundaries[i - 1]}.`, ['boundaries', i]);
+            }
+        }
+    }));
+
+semanticRules.push(new SemanticRule(
+    'parent-based-sampler-without-root',
+    SEVERITY_WARNING,
+    'A parent_based sampler should explicitly configure the root sampler used when there is no parent.',
+    ['ParentBasedSampler'],
+    (value, report) => {
+        if (value['root'] === undefined || value['root'] === null) {
+            report(`root is not set, so always_on is used for spans without a parent.`);
+        }
+    }));
+
+// Check the config against all semanticRules, returning an array of SemanticFinding.
+// The config should be valid according to the JSON schema before checking.
+export function checkSemanticRules(config, sourceTypesByType, rules = semanticRules) {
+    const findings = [];
+    walkConfig(config, sourceTypesByType, {
+        type(sourceSchemaType, value, path) {
+            if (!isPlainObject(value)) {
+                return;
+            }
+            rules.filter(rule => rule.types.includes(sourceSchemaType.type))
+                .forEach(rule => rule.check(value, (message, relativePath = []) => findings.push(new SemanticFinding(rule, [...path, ...relativePath], message)), sourceSchemaType));
+        }
+    });
+    return findings;
+}
+
+// Check the configFile against all semanticRules, adding a message to configFile.messages for each finding.
+export function checkConfigFileSemanticRules(configFile, sourceTypesByType, rules = semanticRules) {
+    checkSemanticRules(configFile.toJS(), sourceTypesByType, rules).forEach(finding => {
+        configFile.addMessage(finding.rule.severity, configFile.offsetOf(finding.path), finding.message, {path: formatPath(finding.path), code: finding.rule.id});
+    });
+}
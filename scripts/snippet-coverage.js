@@ -0,0 +1,88 @@
+import fs from "fs";
+import path from "path";
+import {parseArgs} from "util";
+import {examplesDirPath, isExperimentalProperty, isExperimentalType} from "./util.js";
+import {readSourceTypesByType} from "./source-schema.js";
+import {readSnippets} from "./snippets.js";
+import {readConfigFile} from "./config-file.js";
+import {walkConfig} from "./config-walker.js";
+import {CoverageItem, CoverageReport, formatPercent} from "./coverage-report.js";
+
+// Report which types, properties and enum values of the source schema are exercised by at least one snippet or
+// example, overall and split into stable and experimental.
+
+const {values: options} = parseArgs({
+    options: {
+        format: {type: 'string', default: 'text'},
+        'min-stable-coverage': {type: 'string'},
+    }
+});
+const minStableCoverage = options['min-stable-coverage'] === undefined ? null : Number(options['min-stable-coverage']);
+if (!['text', 'json'].includes(options.format) || Number.isNaN(minStableCoverage)) {
+    console.log('Usage: snippet-coverage [--format text|json] [--min-stable-coverage <percent>]');
+    process.exit(1);
+}
+
+const sourceTypesByType = readSourceTypesByType();
+
+// Collect every coverable item, keyed by id, e.g. "Sampler", "Sampler.parent_based", "SeverityNumber=info"
+const items = new Map();
+Object.values(sourceTypesByType).forEach(sourceSchemaType => {
+    const isExperimental = isExperimentalType(sourceSchemaType.type);
+    addItem(new CoverageItem('type', sourceSchemaType.type, isExperimental));
+    sourceSchemaType.properties.forEach(property => {
+        addItem(new CoverageItem('property', `${sourceSchemaType.type}.${property.property}`, isExperimental || isExperimentalProperty(property.property)));
+    });
+    (sourceSchemaType.enumValues || []).forEach(enumValue => {
+        addItem(new CoverageItem('enumValue', `${sourceSchemaType.type}=${enumValue}`, isExperimental || isExperimentalProperty(enumValue)));
+    });
+});
+
+// Walk snippets and examples. Env var references in examples resolve to their defaults.
+const sources = [
+    ...readSnippets().map(snippet => ({file: `snippets/${snippet.file}`, config: snippet.parsedFullContent})),
+    ...fs.readdirSync(examplesDirPath).filter(file => file.endsWith('.yaml')).sort().map(file => {
+        return {file: `examples/${file}`, config: readConfigFile(path.join(examplesDirPath, file), {}).toJS()};
+    })
+];
+sources.forEach(source => {
+    walkConfig(source.config, sourceTypesByType, {
+        type(sourceSchemaType, value) {
+            cover(sourceSchemaType.type, source.file);
+            if (sourceSchemaType.isEnumType() && typeof value === 'string') {
+                cover(`${sourceSchemaType.type}=${value}`, source.file);
+            }
+        },
+        property(sourceSchemaType, sourceSchemaProperty) {
+            cover(`${sourceSchemaType.type}.${sourceSchemaProperty.property}`, source.file);
+        }
+    });
+});
+
+const report = new CoverageReport([...items.values()], sources.length);
+if (options.format === 'json') {
+    console.log(JSON.stringify(report.toJson(), null, 2));
+} else {
+    report.print();
+}
+
+if (minStableCoverage !== null) {
+    const stableCoverage = report.summary(item => !item.isExperimental).percent;
+    if (stableCoverage < minStableCoverage) {
+        console.log(`\nStable coverage ${formatPercent(stableCoverage)} is below the minimum of ${formatPercent(minStableCoverage)}.`);
+        process.exit(1);
+    }
+}
+
+// Helper functions
+
+function addItem(item) {
+    items.set(item.id, item);
+}
+
+function cover(id, file) {
+    const item = items.get(id);
+    if (item && !item.coveredBy.includes(file)) {
+        item.coveredBy.push(file);
+    }
+}
@@ -6,9 +6,11 @@ const snippetFileNameFormat = "<JsonSchemaType>_<snake_case_snippet_description>
 const yamlFileExtension = ".yaml";
 
 const snippetStart = "# SNIPPET_START";
+const expectedErrorPrefix = "# EXPECTED_ERROR:";
 
-export function readSnippets() {
-    return fs.readdirSync(snippetsDirPath)
+// Read the snippets in the directory, which defaults to the snippets which must be valid.
+export function readSnippets(dirPath = snippetsDirPath) {
+    return fs.readdirSync(dirPath)
         .filter(file => file.endsWith(yamlFileExtension))
         .map(file => {
             const fileParts = file.split('_');
@@ -27,7 +29,7 @@ export function readSnippets() {
             // 1. Find the line containing the snippet start marker
             // 2. For lines that follow, remove whitespace up to the indentation of the snippet start marker
             // 3. Join the lines
-            const rawFullContent = fs.readFileSync(snippetsDirPath + file, "utf-8");
+            const rawFullContent = fs.readFileSync(dirPath + file, "utf-8");
             const lines = rawFullContent.split("\n");
             const snippetStartLineIndex = lines.findIndex(line => line.indexOf(snippetStart) !== -1);
             if (snippetStartLineIndex === -1) {
@@ -35,11 +37,27 @@ export function readSnippets() {
             }
             const snippetStartLine = lines[snippetStartLineIndex ];
             const snippetStartIndentation = snippetStartLine.indexOf(snippetStart);
-            const rawSnippetContent = lines.splice(snippetStartLineIndex + 1).map(line => line.substring(snippetStartIndentation)).join("\n");
+            const rawSnippetContent = lines.slice(snippetStartLineIndex + 1).map(line => line.substring(snippetStartIndentation)).join("\n");
+
+            // Find the JSON pointer of the snippet within the full content
+            const snippetStartOffset = lines.slice(0, snippetStartLineIndex).join("\n").length + 1 + snippetStartIndentation;
+            const snippetPointer = findSnippetPointer(rawFullContent, snippetStartOffset, snippetStartIndentation);
+
+            // Parse "# EXPECTED_ERROR: <json pointer relative to the snippet> <keyword>" lines
+            const expectedErrors = lines
+                .map(line => line.trim())
+                .filter(line => line.startsWith(expectedErrorPrefix))
+                .map(line => {
+                    const [instancePath, keyword, ...rest] = line.substring(expectedErrorPrefix.length).trim().split(/\s+/);
+                    if (!keyword || rest.length > 0 || !(instancePath === '/' || instancePath.startsWith('/'))) {
+                        throw new Error(`Snippet file ${file} has invalid ${expectedErrorPrefix} line, expected "${expectedErrorPrefix} <json pointer> <keyword>": ${line}`);
+                    }
+                    return new ExpectedError(instancePath === '/' ? '' : instancePath, keyword);
+                });
 
             const parsedFullContent = yaml.parse(rawFullContent);
             const parsedSnippetContent = yaml.parse(rawSnippetContent);
-            return new Snippet(file, description, jsonSchemaType, rawFullContent, parsedFullContent, rawSnippetContent, parsedSnippetContent);
+            return new Snippet(file, description, jsonSchemaType, rawFullContent, parsedFullContent, rawSnippetContent, parsedSnippetContent, snippetPointer, expectedErrors);
         });
 }
 
@@ -53,8 +71,10 @@ export class Snippet {
     parsedFullContent;
     rawSnippetContent;
     parsedSnippetContent;
+    snippetPointer; // The JSON pointer of the snippet within the full content, e.g. /tracer_provider/sampler
+    expectedErrors; // Only set for invalid snippets
 
-    constructor(file, description, jsonSchemaType, rawContent, parsedContent, rawSnippetContent, parsedSnippetContent) {
+    constructor(file, description, jsonSchemaType, rawContent, parsedContent, rawSnippetContent, parsedSnippetContent, snippetPointer, expectedErrors) {
         this.file = file;
         this.description = description;
         this.jsonSchemaType = jsonSchemaType;
@@ -62,5 +82,66 @@ export class Snippet {
         this.parsedFullContent = parsedContent;
         this.rawSnippetContent = rawSnippetContent;
         this.parsedSnippetContent = parsedSnippetContent;
+        this.snippetPointer = snippetPointer;
+        this.expectedErrors = expectedErrors;
     }
 }
+
+export class ExpectedError {
+    instancePath; // JSON pointer relative to the snippet, in the format of ajv's instancePath
+    keyword; // The JSON schema keyword which fails, e.g. maxProperties
+
+    constructor(instancePath, keyword) {
+        this.instancePath = instancePath;
+        this.keyword = keyword;
+    }
+
+    format() {
+        return `${this.instancePath === '' ? '/' : this.instancePath} ${this.keyword}`;
+    }
+}
+
+// Helper functions
+
+// Find the JSON pointer of the value containing the snippet start marker, which is the value of the last property key
+// preceding the marker with less indentation than the marker, or a sequence item following a "-" on its own line.
+// Returns an empty pointer if the snippet is the document.
+function findSnippetPointer(rawFullContent, snippetStartOffset, snippetStartIndentation) {
+    const lineCounter = new yaml.LineCounter();
+    const document = yaml.parseDocument(rawFullContent, {lineCounter});
+    let pointer = '';
+    yaml.visit(document, {
+        Pair(_, pair, ancestors) {
+            if (!yaml.isNode(pair.key) || !pair.key.range || pair.key.range[0] >= snippetStartOffset) {
+                return yaml.visit.BREAK;
+            }
+            if (lineCounter.linePos(pair.key.range[0]).col - 1 < snippetStartIndentation) {
+                pointer = formatJsonPointer([...ancestors, pair]);
+            }
+        },
+        Seq(_, seq, ancestors) {
+            if (!seq.range || seq.range[0] >= snippetStartOffset || lineCounter.linePos(seq.range[0]).col - 1 >= snippetStartIndentation) {
+                return;
+            }
+            const item = seq.items.find(item => yaml.isNode(item) && item.range && item.range[0] > snippetStartOffset);
+            const index = seq.items.indexOf(item);
+            if (item && (index === 0 || seq.items[index - 1].range[1] <= snippetStartOffset)) {
+                pointer = formatJsonPointer([...ancestors, seq, item]);
+            }
+        }
+    });
+    return pointer;
+}
+
+function formatJsonPointer(ancestors) {
+    let pointer = '';
+    ancestors.forEach((ancestor, index) => {
+        const next = ancestors[index + 1];
+        if (yaml.isPair(ancestor)) {
+            pointer += '/' + String(yaml.isScalar(ancestor.key) ? ancestor.key.value : ancestor.key).replaceAll('~', '~0').replaceAll('/', '~1');
+        } else if (yaml.isSeq(ancestor) && next) {
+            pointer += '/' + ancestor.items.indexOf(next);
+        }
+    });
+    return pointer;
+}
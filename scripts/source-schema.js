@@ -1,4 +1,5 @@
 import fs from 'fs';
+import path from 'path';
 import {
     isExperimentalProperty,
     metaSchemaFilePrefix,
@@ -9,14 +10,14 @@ import yaml from "yaml";
 
 const localDefPrefix = '#/$defs/';
 
-export function readSourceTypesByType() {
+export function readSourceTypesByType(schemaDirPath = schemaSourceDirPath) {
     const sourceTypesByType = {};
     const sourceContentByFile = {};
 
-    fs.readdirSync(schemaSourceDirPath)
+    fs.readdirSync(schemaDirPath)
         .filter(file => file.endsWith('.yaml') && !file.startsWith(metaSchemaFilePrefix))
         .forEach(file => {
-            const sourceContent = yaml.parse(fs.readFileSync(schemaSourceDirPath + file, "utf-8"));
+            const sourceContent = yaml.parse(fs.readFileSync(path.join(schemaDirPath, file), "utf-8"));
 
             sourceContentByFile[file] = sourceContent;
 
@@ -140,6 +141,39 @@ function getDefs(jsonSchema) {
     return defs;
 }
 
+// JSON schema keywords which constrain values, excluding enum which is documented separately.
+const constraintKeywords = [
+    'minLength',
+    'maxLength',
+    'pattern',
+    'format',
+    'multipleOf',
+    'minimum',
+    'exclusiveMinimum',
+    'maximum',
+    'exclusiveMaximum',
+    'patternProperties',
+    'additionalProperties',
+    'propertyNames',
+    'minProperties',
+    'maxProperties',
+    'required',
+    'contains',
+    'minContains',
+    'maxContains',
+    'uniqueItems',
+    'const',
+    'minItems',
+    'maxItems',
+];
+
+// The constraints of the schema as an array of [keyword, value], in a stable order.
+export function schemaConstraints(schema) {
+    return constraintKeywords
+        .filter(keyword => schema[keyword] !== undefined && schema[keyword] !== null)
+        .map(keyword => [keyword, schema[keyword]]);
+}
+
 export class SourceSchemaProperty {
     property;
     types;
@@ -157,6 +191,36 @@ export class SourceSchemaProperty {
         this.schema = schema;
     }
 
+    // Whether the source schema declares a machine-readable defaultValue, which is applied when the property is
+    // omitted, or null and there is no nullBehavior. A declared defaultValue may itself be null.
+    hasDefaultValue() {
+        return this.schema['defaultValue'] !== undefined;
+    }
+
+    // The name of a sibling property whose value is used when this property is omitted, or a path from the root
+    // starting with "." (e.g. .attribute_limits.attribute_count_limit), or null if not applicable.
+    defaultValueFrom() {
+        return this.schema['defaultValueFrom'] || null;
+    }
+
+    // The property keys of a defaultValueFrom path from the root, or null if defaultValueFrom is not a path.
+    defaultValueFromPath() {
+        const defaultValueFrom = this.defaultValueFrom();
+        return defaultValueFrom !== null && defaultValueFrom.startsWith('.') ? defaultValueFrom.slice(1).split('.') : null;
+    }
+
+    // The names of the spec defined OTEL_* environment variables this property replaces, if any.
+    envVars() {
+        return (this.schema['envVars'] || []).map(envVar => typeof envVar === 'string' ? envVar : envVar['name']);
+    }
+
+    // The note on how the environment variable maps to this property when it is not used as is, e.g. a base URL to
+    // which a path is appended, or null.
+    envVarNote(envVar) {
+        const entry = (this.schema['envVars'] || []).find(candidate => typeof candidate !== 'string' && candidate['name'] === envVar);
+        return entry ? entry['note'] : null;
+    }
+
     formatDefaultAndNullBehavior() {
         const defaultBehavior = this.schema['defaultBehavior'];
         const nullBehavior = this.schema['nullBehavior'];
@@ -0,0 +1,71 @@
+import fs from "fs";
+import path from "path";
+import {parseArgs} from "util";
+import yaml from "yaml";
+import {readConfigFile} from "./config-file.js";
+import {escapeSubstitution} from "./env-substitution.js";
+import {formatPath} from "./config-walker.js";
+
+// Perform environment variable substitution on a configuration file and write the result as YAML or JSON,
+// depending on the extension of the output file.
+
+const {values: options, positionals} = parseArgs({
+    options: {
+        strict: {type: 'boolean', default: false},
+    },
+    allowPositionals: true
+});
+if (positionals.length !== 2) {
+    console.log('Usage: substitute-env-vars [--strict] <input.yaml> <output.(yaml|yml|json)>');
+    process.exit(1);
+}
+const [inputFile, outputFile] = positionals;
+
+const configFile = readConfigFile(inputFile);
+configFile.messages.forEach(message => console.log(message.format()));
+if (configFile.hasErrors() || (options.strict && configFile.messages.length > 0)) {
+    process.exit(1);
+}
+
+const extension = path.extname(outputFile);
+let output;
+if (extension === '.json') {
+    const config = configFile.toJS();
+    // JSON has no representation of .nan and .inf, which JSON.stringify would silently write as null
+    const nonFinitePaths = findNonFiniteNumbers(config, []);
+    if (nonFinitePaths.length > 0) {
+        nonFinitePaths.forEach(nonFinitePath => console.log(`${inputFile}: ${formatPath(nonFinitePath)}: value is not a finite number, which cannot be written as JSON.`));
+        process.exit(1);
+    }
+    output = JSON.stringify(config, null, 2) + '\n';
+} else if (extension === '.yaml' || extension === '.yml') {
+    // Escape $ in string values, so reading the output does not substitute them a second time
+    yaml.visit(configFile.document, {
+        Scalar(key, node) {
+            if (key !== 'key' && typeof node.value === 'string') {
+                node.value = escapeSubstitution(node.value);
+            }
+        }
+    });
+    output = configFile.document.toString();
+} else {
+    console.log(`Unknown extension on output file ${outputFile}.`);
+    process.exit(1);
+}
+fs.mkdirSync(path.dirname(outputFile), {recursive: true});
+fs.writeFileSync(outputFile, output);
+
+// Helper functions
+
+function findNonFiniteNumbers(value, valuePath) {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? [] : [valuePath];
+    }
+    if (Array.isArray(value)) {
+        return value.flatMap((item, index) => findNonFiniteNumbers(item, [...valuePath, index]));
+    }
+    if (value !== null && typeof value === 'object') {
+        return Object.entries(value).flatMap(([key, entryValue]) => findNonFiniteNumbers(entryValue, [...valuePath, key]));
+    }
+    return [];
+}
@@ -7,8 +7,14 @@ const __dirname = path.dirname(__filename);
 export const metaSchemaFilePrefix = "meta_schema";
 export const schemaSourceDirPath = __dirname + "/../schema/";
 export const schemaPath = __dirname + `/../opentelemetry_configuration.json`;
+export const stableSchemaPath = __dirname + `/../opentelemetry_configuration_stable.json`;
+export const editorSchemaPath = __dirname + `/../opentelemetry_configuration_editor.json`;
+export const typescriptDefinitionsPath = __dirname + `/../opentelemetry_configuration.d.ts`;
+export const cuePackagePath = __dirname + `/../opentelemetry_configuration.cue`;
 export const markdownDocPath = __dirname + "/../schema-docs.md";
 export const languageSupportStatusPath = __dirname + "/../language-support-status.md";
+export const htmlDocsDirPath = __dirname + "/../schema-docs-html/";
+export const repositoryBlobUrl = "https://github.com/open-telemetry/opentelemetry-configuration/blob/main/";
 
 export const metaSchemaLanguageFilePrefix = `${metaSchemaFilePrefix}_language`;
 export const metaSchemaLanguageStatusFileName = (language) => `${metaSchemaLanguageFilePrefix}_${language}.yaml`;
@@ -18,4 +24,57 @@ export const isExperimentalProperty = (property) => property.endsWith('/developm
 export const isExperimentalType = (type) => type.startsWith('Experimental');
 
 export const snippetsDirPath = __dirname + "/../snippets/";
+export const invalidSnippetsDirPath = snippetsDirPath + "invalid/";
+export const examplesDirPath = __dirname + "/../examples/";
+export const outDirPath = __dirname + "/../out/";
 export const rootTypeName = 'OpenTelemetryConfiguration';
+
+// The file_format written by tools which generate configuration files. Updated by the update-file-format make target.
+export const fileFormat = "1.0";
+
+// Compare two file_format versions, e.g. "1.0" and "1.0.0-rc.3", with semantic versioning precedence. Missing minor and
+// patch versions are treated as 0. Returns a negative number, zero or a positive number, or null if either is invalid.
+export function compareFileFormats(a, b) {
+    const parsedA = parseFileFormat(a);
+    const parsedB = parseFileFormat(b);
+    if (parsedA === null || parsedB === null) {
+        return null;
+    }
+    for (let i = 0; i < 3; i++) {
+        if (parsedA.version[i] !== parsedB.version[i]) {
+            return parsedA.version[i] - parsedB.version[i];
+        }
+    }
+    // A pre-release has lower precedence than the release
+    if (parsedA.preRelease.length === 0 || parsedB.preRelease.length === 0) {
+        return parsedB.preRelease.length - parsedA.preRelease.length;
+    }
+    for (let i = 0; i < Math.min(parsedA.preRelease.length, parsedB.preRelease.length); i++) {
+        const identifierA = parsedA.preRelease[i];
+        const identifierB = parsedB.preRelease[i];
+        if (identifierA === identifierB) {
+            continue;
+        }
+        const numericA = /^\d+$/.test(identifierA);
+        const numericB = /^\d+$/.test(identifierB);
+        if (numericA && numericB) {
+            return Number(identifierA) - Number(identifierB);
+        }
+        if (numericA !== numericB) {
+            return numericA ? -1 : 1;
+        }
+        return identifierA < identifierB ? -1 : 1;
+    }
+    return parsedA.preRelease.length - parsedB.preRelease.length;
+}
+
+function parseFileFormat(value) {
+    const match = typeof value === 'string' ? value.match(/^(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:-([0-9A-Za-z.-]+))?$/) : null;
+    if (!match) {
+        return null;
+    }
+    return {
+        version: [match[1], match[2], match[3]].map(part => Number(part || 0)),
+        preRelease: match[4] ? match[4].split('.') : []
+    };
+}
@@ -0,0 +1,57 @@
+import {parseArgs} from "util";
+import {readConfigFile} from "./config-file.js";
+import {compileConfigValidator, validateConfigFile} from "./config-validation.js";
+import {readSourceTypesByType} from "./source-schema.js";
+import {checkConfigFileSemanticRules} from "./semantic-rules.js";
+import {readExtensionRegistry} from "./extension-registry.js";
+
+// Validate configuration files against the compiled JSON schema, then check semantic rules.
+
+const {values: options, positionals: files} = parseArgs({
+    options: {
+        format: {type: 'string', default: 'text'},
+        'skip-semantic-rules': {type: 'boolean', default: false},
+        extensions: {type: 'string', multiple: true, default: []},
+    },
+    allowPositionals: true
+});
+if (files.length === 0 || !['text', 'json'].includes(options.format)) {
+    console.log('Usage: validate-config [--format text|json] [--skip-semantic-rules] [--extensions <registry.yaml>]... <config.yaml>...');
+    process.exit(1);
+}
+
+const validator = compileConfigValidator();
+const sourceTypesByType = readSourceTypesByType();
+
+let extensionRegistry = null;
+if (options.extensions.length > 0) {
+    extensionRegistry = readExtensionRegistry(options.extensions, sourceTypesByType);
+    if (extensionRegistry.messages.length > 0) {
+        extensionRegistry.messages.forEach(message => console.log(message));
+        process.exit(1);
+    }
+}
+
+const configFiles = files.map(file => {
+    const configFile = readConfigFile(file);
+    const valid = validateConfigFile(configFile, validator, sourceTypesByType, extensionRegistry);
+    // Semantic rules assume the config conforms to the schema
+    if (valid && !options['skip-semantic-rules']) {
+        checkConfigFileSemanticRules(configFile, sourceTypesByType);
+    }
+    return configFile;
+});
+
+if (options.format === 'json') {
+    const messages = configFiles.flatMap(configFile => configFile.sortedMessages().map(message => message.toJson()));
+    console.log(JSON.stringify(messages, null, 2));
+} else {
+    configFiles.forEach(configFile => {
+        configFile.sortedMessages().forEach(message => console.log(message.format()));
+        if (!configFile.hasErrors()) {
+            console.log(`${configFile.file} is valid.`);
+        }
+    });
+}
+
+process.exit(configFiles.some(configFile => configFile.hasErrors()) ? 1 : 0);
@@ -0,0 +1,73 @@
+import fs from "fs";
+import path from "path";
+import {execFileSync} from "child_process";
+import {readConfigFile} from "./config-file.js";
+import {readSnippets} from "./snippets.js";
+import {readSourceTypesByType} from "./source-schema.js";
+import {cuePackagePath, examplesDirPath, outDirPath, rootTypeName} from "./util.js";
+
+// Check each snippet and example unifies with the CUE package produced by generate-cue, as a regression test for the
+// generated package. Snippets are unified with their own type and the full snippet with the root type, and examples
+// with the root type after environment variable substitution. Requires the cue command.
+
+const cueOutDirPath = path.join(outDirPath, 'cue');
+const instancesPath = path.join(cueOutDirPath, 'instances.cue');
+
+if (!fs.existsSync(cuePackagePath)) {
+    console.log(`${cuePackagePath} not found. Please run generate-cue and try again.`);
+    process.exit(1);
+}
+
+const sourceTypesByType = readSourceTypesByType();
+
+// Write every snippet and example as a field unified with its definition, in the same package
+const subjectsByField = {};
+const lines = [fs.readFileSync(cuePackagePath, 'utf-8').split('\n').find(line => line.startsWith('package '))];
+const addInstance = (field, subject, type, content) => {
+    if (!sourceTypesByType[type]) {
+        return;
+    }
+    subjectsByField[field] = `${subject} against #${type}`;
+    // Nullable types are modeled by adding null where they are referenced
+    const sourceSchemaType = sourceTypesByType[type];
+    const isNullable = [].concat(sourceSchemaType.schema['type'] || []).includes('null') && !sourceSchemaType.isEnumType();
+    const definition = isNullable ? `(#${type} | null)` : `#${type}`;
+    lines.push('');
+    lines.push(`${field}: ${definition} & ${JSON.stringify(content, null, 4)}`);
+};
+readSnippets().forEach((snippet, index) => {
+    addInstance(`snippet${index}_0`, `Snippet ${snippet.file}`, snippet.jsonSchemaType, snippet.parsedSnippetContent);
+    addInstance(`snippet${index}_1`, `Snippet ${snippet.file}`, rootTypeName, snippet.parsedFullContent);
+});
+fs.readdirSync(examplesDirPath).filter(file => file.endsWith('.yaml')).forEach((file, index) => {
+    const configFile = readConfigFile(path.join(examplesDirPath, file));
+    addInstance(`example${index}`, `Example ${file}`, rootTypeName, configFile.toJS());
+});
+fs.mkdirSync(cueOutDirPath, {recursive: true});
+fs.writeFileSync(instancesPath, lines.join('\n') + '\n');
+
+let output;
+try {
+    execFileSync('cue', ['vet', '-c', cuePackagePath, instancesPath], {encoding: 'utf-8', stdio: 'pipe'});
+    console.log("All snippets and examples unify with the CUE package.");
+    process.exit(0);
+} catch (e) {
+    if (e.code === 'ENOENT') {
+        console.log('cue not found. Please install cue (https://cuelang.org/docs/introduction/installation/) and try again.');
+        process.exit(1);
+    }
+    output = `${e.stdout}${e.stderr}`;
+}
+
+// Attribute each error to the snippet or example it was reported for
+const messages = [];
+output.split('\n').filter(line => line.trim().length > 0).forEach(line => {
+    const match = line.match(/^(snippet\d+_\d+|example\d+)\b/);
+    if (match && subjectsByField[match[1]]) {
+        messages.push(`${subjectsByField[match[1]]} failed to unify with error:\n    ${line}`);
+    } else {
+        messages.push(`    ${line}`);
+    }
+});
+messages.forEach(message => console.log(message));
+process.exit(1);
@@ -0,0 +1,185 @@
+import fs from "fs";
+import path from "path";
+import {readConfigFile} from "./config-file.js";
+import {walkConfig, formatPath, isPlainObject, resolvePath} from "./config-walker.js";
+import {envVarReferences} from "./env-substitution.js";
+import {codeTranslatedEnvVars, envVarMappings, knownEnvVars, translateEnvVars} from "./env-var-mappings.js";
+import {readSourceTypesByType} from "./source-schema.js";
+import {examplesDirPath} from "./util.js";
+
+// Check the envVars annotations of the source schema against the migration example and env-var-mappings.js:
+// - Every reference in the example must be within a property which lists it, either directly or on an enclosing
+//   property (e.g. OTEL_SERVICE_NAME within resource.attributes).
+// - Every environment variable known to env-var-mappings.js must be referenced by the example, or listed in its header
+//   comment as not referenced, but not both. This includes every environment variable listed in envVars.
+// - Every property an environment variable is translated to must list it in envVars, and vice versa.
+
+const migrationExampleFile = 'otel-sdk-migration-config.yaml';
+const migrationExamplePath = path.join(examplesDirPath, migrationExampleFile);
+const headerEntryPattern = /^# - (OTEL_.*)$/;
+const signalPlaceholder = '{SIGNAL}';
+const signals = ['TRACES', 'METRICS', 'LOGS'];
+
+// Env vars translated in code are translated with these values, and with each protocol, to find the properties they
+// are translated to.
+const translationContexts = [{}, {OTEL_EXPORTER_OTLP_PROTOCOL: 'grpc'}];
+const sampleValue = (envVar) => envVar.endsWith('_ENDPOINT') ? 'http://collector.example:4318' : 'sample';
+
+const sourceTypesByType = readSourceTypesByType();
+const messages = [];
+
+const envVarsByProperty = {}; // Type.property => envVars
+Object.values(sourceTypesByType).forEach(sourceSchemaType => {
+    sourceSchemaType.properties.forEach(property => {
+        envVarsByProperty[`${sourceSchemaType.type}.${property.property}`] = property.envVars();
+    });
+});
+const annotatedEnvVars = new Set(Object.values(envVarsByProperty).flat());
+
+// Parse without substitution, so references are left as they are
+const configFile = readConfigFile(migrationExamplePath, null);
+if (configFile.hasErrors()) {
+    configFile.sortedMessages().forEach(message => console.log(message.format()));
+    process.exit(1);
+}
+
+const referencedEnvVars = new Set();
+walkConfig(configFile.toJS(), sourceTypesByType, {
+    property(sourceSchemaType, sourceSchemaProperty, value, propertyPath) {
+        scalarStrings(value).forEach(string => envVarReferences(string).forEach(envVar => {
+            referencedEnvVars.add(envVar);
+            if (!propertyChain(propertyPath).some(property => envVarsByProperty[property].includes(envVar))) {
+                messages.push(`${migrationExampleFile}: ${formatPath(propertyPath)} references ${envVar}, which is not listed in 'envVars' of ${sourceSchemaType.type}.${sourceSchemaProperty.property} or an enclosing property.`);
+            }
+        }));
+    }
+});
+
+const unreferencedEnvVars = readHeaderEnvVars();
+unreferencedEnvVars.filter(envVar => referencedEnvVars.has(envVar))
+    .forEach(envVar => messages.push(`${migrationExampleFile} references ${envVar}, but its header comment lists it as not referenced.`));
+unreferencedEnvVars.filter(envVar => !knownEnvVars.includes(envVar))
+    .forEach(envVar => messages.push(`${migrationExampleFile} header comment lists ${envVar}, which is not known to env-var-mappings.js.`));
+[...new Set([...knownEnvVars, ...annotatedEnvVars])].sort()
+    .filter(envVar => !referencedEnvVars.has(envVar) && !unreferencedEnvVars.includes(envVar))
+    .forEach(envVar => messages.push(`${migrationExampleFile} neither references ${envVar}, nor lists it in its header comment as not referenced.`));
+
+// Properties each env var is translated to, resolved from envVarMappings, or by translating env vars translated in code
+const translatedPropertiesByEnvVar = {};
+envVarMappings.forEach(mapping => {
+    translatedPropertiesByEnvVar[mapping.envVar] = mapping.containerPaths.flatMap(expandContainerPath).flatMap(containerPath => {
+        const propertyPath = [...containerPath, ...mapping.propertyPath];
+        const resolved = resolvePath(propertyPath, sourceTypesByType);
+        if (resolved === null || resolved.sourceSchemaProperty === null) {
+            messages.push(`envVarMappings: ${mapping.envVar} maps to ${formatPath(propertyPath)}, which is not a property of the source schema.`);
+            return [];
+        }
+        return [`${resolved.parentType.type}.${resolved.sourceSchemaProperty.property}`];
+    });
+});
+codeTranslatedEnvVars.filter(envVar => annotatedEnvVars.has(envVar)).forEach(envVar => {
+    translatedPropertiesByEnvVar[envVar] = translationContexts.flatMap(env => {
+        const changedPropertyChains = changedProperties(translateEnvVars(env).config, translateEnvVars({...env, [envVar]: sampleValue(envVar)}).config);
+        // Like references, a translated value may be within a property which lists the env var
+        changedPropertyChains.filter(chain => !chain.some(property => envVarsByProperty[property].includes(envVar)))
+            .forEach(chain => messages.push(`${envVar} is translated to ${chain[chain.length - 1]}, which does not list it in 'envVars', nor does an enclosing property.`));
+        return changedPropertyChains.flat();
+    });
+});
+Object.entries(translatedPropertiesByEnvVar).forEach(([envVar, properties]) => {
+    if (codeTranslatedEnvVars.includes(envVar)) {
+        return;
+    }
+    [...new Set(properties)].filter(property => !envVarsByProperty[property].includes(envVar))
+        .forEach(property => messages.push(`${envVar} is translated to ${property} by envVarMappings, but is not listed in its 'envVars'.`));
+});
+Object.entries(envVarsByProperty).forEach(([property, envVars]) => {
+    envVars.forEach(envVar => {
+        const translatedProperties = translatedPropertiesByEnvVar[envVar];
+        if (translatedProperties === undefined) {
+            messages.push(`${property} lists ${envVar} in 'envVars', which is not translated by env-var-mappings.js.`);
+        } else if (!translatedProperties.includes(property)) {
+            messages.push(`${property} lists ${envVar} in 'envVars', but env-var-mappings.js does not translate it to ${property}.`);
+        }
+    });
+});
+
+if (messages.length > 0) {
+    messages.forEach(message => console.log(message));
+    process.exit(1);
+}
+console.log(`${migrationExampleFile} and env-var-mappings.js agree with the environment variables listed in 'envVars'.`);
+
+// Helper functions
+
+// The string values directly within value, including items of arrays of strings, but not within nested objects, which
+// are visited as properties of their own.
+function scalarStrings(value) {
+    if (typeof value === 'string') {
+        return [value];
+    }
+    if (Array.isArray(value)) {
+        return value.filter(item => typeof item === 'string');
+    }
+    return [];
+}
+
+// The Type.property of each property on the path, outermost first.
+function propertyChain(propertyPath) {
+    const chain = [];
+    propertyPath.forEach((segment, index) => {
+        if (typeof segment === 'number') {
+            return;
+        }
+        const resolved = resolvePath(propertyPath.slice(0, index + 1), sourceTypesByType);
+        if (resolved !== null) {
+            chain.push(`${resolved.parentType.type}.${resolved.sourceSchemaProperty.property}`);
+        }
+    });
+    return chain;
+}
+
+// The env vars listed in the header comment of the example as not referenced, e.g. "# - OTEL_TRACES_SAMPLER". Entries
+// may list several env vars separated by commas, and use {SIGNAL} for each of TRACES, METRICS and LOGS.
+function readHeaderEnvVars() {
+    const lines = fs.readFileSync(migrationExamplePath, 'utf-8').split('\n');
+    const headerLines = lines.slice(0, lines.findIndex(line => !line.startsWith('#')));
+    return headerLines.map(line => line.match(headerEntryPattern)).filter(match => match !== null)
+        .flatMap(match => match[1].split(',').map(entry => entry.trim()))
+        .flatMap(entry => entry.includes(signalPlaceholder) ? signals.map(signal => entry.replace(signalPlaceholder, signal)) : [entry]);
+}
+
+// Expand the alternatives of a container path of an EnvVarMapping, with array items as index 0.
+function expandContainerPath(containerPath) {
+    return containerPath.reduce((paths, segment) => {
+        const alternatives = Array.isArray(segment) ? segment : [segment === '*' ? 0 : segment];
+        return paths.flatMap(prefix => alternatives.map(alternative => [...prefix, alternative]));
+    }, [[]]);
+}
+
+// The property chains of the scalar values which differ between the configs, or are only in after.
+function changedProperties(before, after) {
+    const valuesBefore = scalarValuesByPath(before);
+    const chains = [];
+    walkConfig(after, sourceTypesByType, {
+        property(sourceSchemaType, sourceSchemaProperty, value, propertyPath) {
+            if (isPlainObject(value) || (Array.isArray(value) && value.some(isPlainObject))) {
+                return;
+            }
+            if (JSON.stringify(value) !== valuesBefore[formatPath(propertyPath)]) {
+                chains.push(propertyChain(propertyPath));
+            }
+        }
+    });
+    return chains;
+}
+
+function scalarValuesByPath(config) {
+    const values = {};
+    walkConfig(config, sourceTypesByType, {
+        property(sourceSchemaType, sourceSchemaProperty, value, propertyPath) {
+            values[formatPath(propertyPath)] = JSON.stringify(value);
+        }
+    });
+    return values;
+}
@@ -0,0 +1,75 @@
+import fs from "fs";
+import path from "path";
+import ts from "typescript";
+import {readSnippets} from "./snippets.js";
+import {readSourceTypesByType} from "./source-schema.js";
+import {outDirPath, rootTypeName, typescriptDefinitionsPath} from "./util.js";
+
+// Type-check each snippet against the TypeScript definitions produced by generate-typescript, as a regression test for
+// the generated types. Snippets are type-checked against their own type, and the full snippet against the root type.
+
+const typescriptOutDirPath = path.join(outDirPath, 'typescript');
+const snippetsSourcePath = path.join(typescriptOutDirPath, 'snippets.ts');
+
+if (!fs.existsSync(typescriptDefinitionsPath)) {
+    console.log(`${typescriptDefinitionsPath} not found. Please run generate-typescript and try again.`);
+    process.exit(1);
+}
+
+const sourceTypesByType = readSourceTypesByType();
+
+// Write every snippet as a typed object literal, so that excess properties are reported
+const snippetsByLine = [];
+const lines = [`import type * as config from ${JSON.stringify(path.relative(typescriptOutDirPath, typescriptDefinitionsPath).replace(/\.d\.ts$/, ''))};`];
+readSnippets().forEach((snippet, index) => {
+    [[snippet.jsonSchemaType, snippet.parsedSnippetContent], [rootTypeName, snippet.parsedFullContent]].forEach(([type, content], contentIndex) => {
+        lines.push('');
+        const sourceSchemaType = sourceTypesByType[type];
+        if (!sourceSchemaType) {
+            return;
+        }
+        // Nullable types are modeled by adding null where they are referenced
+        const isNullable = [].concat(sourceSchemaType.schema['type'] || []).includes('null');
+        const declaredType = isNullable ? `config.${type} | null` : `config.${type}`;
+        const declaration = `const snippet${index}_${contentIndex}: ${declaredType} = ${JSON.stringify(content, null, 4)};`;
+        declaration.split('\n').forEach(line => {
+            snippetsByLine[lines.length] = {snippet, type};
+            lines.push(line);
+        });
+    });
+});
+fs.mkdirSync(typescriptOutDirPath, {recursive: true});
+fs.writeFileSync(snippetsSourcePath, lines.join('\n') + '\n');
+
+const program = ts.createProgram([snippetsSourcePath], {
+    strict: true,
+    noEmit: true,
+    target: ts.ScriptTarget.ES2020,
+    module: ts.ModuleKind.ESNext,
+    moduleResolution: ts.ModuleResolutionKind.Bundler,
+    types: []
+});
+
+const messages = [];
+ts.getPreEmitDiagnostics(program).forEach(diagnostic => {
+    const message = ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n    ');
+    if (!diagnostic.file || diagnostic.file.fileName !== program.getSourceFile(snippetsSourcePath).fileName) {
+        messages.push(`Error type-checking snippets: ${message}`);
+        return;
+    }
+    const {line} = diagnostic.file.getLineAndCharacterOfPosition(diagnostic.start);
+    const entry = snippetsByLine[line];
+    if (!entry) {
+        messages.push(`Error type-checking snippets: ${message}`);
+        return;
+    }
+    messages.push(`Snippet ${entry.snippet.file} failed type-check against ${entry.type} with error:\n    ${message}`);
+});
+
+if (messages.length > 0) {
+    messages.forEach(message => console.log(message));
+    process.exit(1);
+} else {
+    console.log("All snippets type-check.");
+    process.exit(0);
+}
@@ -1,5 +1,5 @@
 import fs from "fs";
-import {rootTypeName, schemaPath} from "./util.js";
+import {invalidSnippetsDirPath, rootTypeName, schemaPath} from "./util.js";
 import Ajv from "ajv/dist/2020.js";
 import {readSnippets} from "./snippets.js";
 import {readSourceTypesByType} from "./source-schema.js";
@@ -16,24 +16,18 @@ const rootJsonSchemaTypeRef = computeJsonSchemaTypeRef(rootJsonSchemaType);
 
 const messages = [];
 
+const rootValidator = ajv.getSchema(rootJsonSchemaTypeRef);
+if (!rootValidator) {
+    throw new Error(`Unable to resolve root schema for JSON schema type ref: ${rootJsonSchemaTypeRef}`);
+}
+
 readSnippets()
     .forEach(snippet => {
-        const rootValidator = ajv.getSchema(rootJsonSchemaTypeRef);
-        if (!rootValidator) {
-            throw new Error(`Unable to resolve root schema for JSON schema type ref: ${rootJsonSchemaTypeRef}`);
-        }
-
-        const snippetJsonSchemaType = sourceTypesByType[snippet.jsonSchemaType];
-        if (!snippetJsonSchemaType) {
-            messages.push(`Error validating snippet ${snippet.file}. Resolved JSON schema type not found: ${snippet.jsonSchemaType}`);
+        const snippetTypeRef = resolveSnippetTypeRef(snippet);
+        if (snippetTypeRef === null) {
             return;
         }
-        const snippetTypeRef = computeJsonSchemaTypeRef(snippetJsonSchemaType);
         const snippetValidator = ajv.getSchema(snippetTypeRef);
-        if (!snippetValidator) {
-            messages.push(`Error validating snippet ${snippet.file}. Unable to resolve schema for JSON schema type ref: ${snippetTypeRef}`);
-            return;
-        }
 
         // Validate the snippet against the specific schema
         // Return if schema is invalid, so we don't validate the entire snippet against the root schema and duplicate errors
@@ -45,11 +39,31 @@ readSnippets()
         validate(snippet.file, rootValidator, rootJsonSchemaTypeRef, snippet.parsedFullContent);
     });
 
+// Invalid snippets must fail validation against both the specific schema and the root schema, with at least the
+// expected errors. Expected error paths are relative to the snippet, and are prefixed with its location for the root.
+const invalidSnippets = fs.existsSync(invalidSnippetsDirPath) ? readSnippets(invalidSnippetsDirPath) : [];
+invalidSnippets
+    .forEach(snippet => {
+        const snippetFile = `invalid/${snippet.file}`;
+        if (snippet.expectedErrors.length === 0) {
+            messages.push(`Invalid snippet ${snippetFile} does not declare any expected errors with "# EXPECTED_ERROR: <json pointer> <keyword>".`);
+            return;
+        }
+        const snippetTypeRef = resolveSnippetTypeRef(snippet);
+        if (snippetTypeRef === null) {
+            return;
+        }
+        const snippetValidator = ajv.getSchema(snippetTypeRef);
+
+        validateInvalid(snippetFile, snippetValidator, snippetTypeRef, snippet.parsedSnippetContent, snippet.expectedErrors, '');
+        validateInvalid(snippetFile, rootValidator, rootJsonSchemaTypeRef, snippet.parsedFullContent, snippet.expectedErrors, snippet.snippetPointer);
+    });
+
 if (messages.length > 0) {
     messages.forEach(message => console.log(message));
     process.exit(1);
 } else {
-    console.log("All snippets are valid.");
+    console.log(`All snippets are valid, and all ${invalidSnippets.length} invalid snippets fail with the expected errors.`);
     process.exit(0);
 }
 
@@ -70,6 +84,45 @@ function validate(snippetFile, ajvValidator, ajvRef, data) {
     }
 }
 
+// Check that the data fails validation with each of the expected errors, whose paths are prefixed with pointerPrefix.
+function validateInvalid(snippetFile, ajvValidator, ajvRef, data, expectedErrors, pointerPrefix) {
+    let valid;
+    try {
+        valid = ajvValidator(data);
+    } catch (error) {
+        messages.push(`Error validating invalid snippet ${snippetFile} against ref ${ajvRef}: ${error.message}`);
+        return;
+    }
+    if (valid) {
+        messages.push(`Invalid snippet ${snippetFile} unexpectedly passed validation against ref ${ajvRef}.`);
+        return;
+    }
+    const missingErrors = expectedErrors.filter(expectedError => !ajvValidator.errors.some(error => {
+        return error.instancePath === pointerPrefix + expectedError.instancePath && error.keyword === expectedError.keyword;
+    }));
+    if (missingErrors.length > 0) {
+        messages.push(`Invalid snippet ${snippetFile} failed validation against ref ${ajvRef} without expected errors:`);
+        missingErrors.forEach(expectedError => messages.push(`  ${expectedError.format()}`));
+        messages.push(`  Actual errors:`);
+        ajvValidator.errors.forEach(error => messages.push(`  ${error.instancePath === '' ? '/' : error.instancePath} ${error.keyword}: ${error.message}`));
+    }
+}
+
+// Resolve the ref of the snippet's JSON schema type, or return null and record a message if it can't be resolved.
+function resolveSnippetTypeRef(snippet) {
+    const snippetJsonSchemaType = sourceTypesByType[snippet.jsonSchemaType];
+    if (!snippetJsonSchemaType) {
+        messages.push(`Error validating snippet ${snippet.file}. Resolved JSON schema type not found: ${snippet.jsonSchemaType}`);
+        return null;
+    }
+    const snippetTypeRef = computeJsonSchemaTypeRef(snippetJsonSchemaType);
+    if (!ajv.getSchema(snippetTypeRef)) {
+        messages.push(`Error validating snippet ${snippet.file}. Unable to resolve schema for JSON schema type ref: ${snippetTypeRef}`);
+        return null;
+    }
+    return snippetTypeRef;
+}
+
 function computeJsonSchemaTypeRef(jsonSchemaType) {
     if (jsonSchemaType.type === rootTypeName) {
         return '';
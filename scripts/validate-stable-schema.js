@@ -0,0 +1,67 @@
+import fs from "fs";
+import path from "path";
+import {readConfigFile} from "./config-file.js";
+import {compileConfigValidator, readOutputSchema} from "./config-validation.js";
+import {walkConfig} from "./config-walker.js";
+import {readSnippets} from "./snippets.js";
+import {readSourceTypesByType} from "./source-schema.js";
+import {examplesDirPath, isExperimentalProperty, isExperimentalType, stableSchemaPath} from "./util.js";
+
+// Check the stable-only schema against the snippets and examples. Those which use no experimental types, properties or
+// enum values must be valid against it, and those which do must be rejected by it.
+
+const sourceTypesByType = readSourceTypesByType();
+const stableValidator = compileConfigValidator(readOutputSchema(stableSchemaPath));
+
+const configs = [];
+readSnippets().forEach(snippet => configs.push({file: `snippets/${snippet.file}`, config: snippet.parsedFullContent}));
+fs.readdirSync(examplesDirPath).filter(file => file.endsWith('.yaml')).forEach(file => {
+    // Substitute env vars with their defaults only, so the result doesn't depend on the local environment
+    configs.push({file: `examples/${file}`, config: readConfigFile(path.join(examplesDirPath, file), {}).toJS()});
+});
+
+const messages = [];
+let stableCount = 0;
+configs.forEach(({file, config}) => {
+    const isExperimental = usesExperimentalFeatures(config);
+    const valid = stableValidator(config);
+    if (!isExperimental) {
+        stableCount++;
+    }
+    if (!isExperimental && !valid) {
+        messages.push(`${file} uses no experimental features, but failed validation against the stable schema with errors:`);
+        stableValidator.errors.forEach(error => messages.push(`  ${error.instancePath === '' ? '/' : error.instancePath} ${error.keyword}: ${error.message}`));
+    } else if (isExperimental && valid) {
+        messages.push(`${file} uses experimental features, but passed validation against the stable schema.`);
+    }
+});
+
+if (messages.length > 0) {
+    messages.forEach(message => console.log(message));
+    process.exit(1);
+}
+console.log(`All ${stableCount} stable snippets and examples are valid against the stable schema, and all ${configs.length - stableCount} experimental ones are rejected.`);
+
+// Helper functions
+
+function usesExperimentalFeatures(config) {
+    let isExperimental = false;
+    walkConfig(config, sourceTypesByType, {
+        type(sourceSchemaType, value) {
+            if (isExperimentalType(sourceSchemaType.type) || (sourceSchemaType.isEnumType() && typeof value === 'string' && isExperimentalProperty(value))) {
+                isExperimental = true;
+            }
+        },
+        property(sourceSchemaType, sourceSchemaProperty) {
+            if (isExperimentalProperty(sourceSchemaProperty.property)) {
+                isExperimental = true;
+            }
+        },
+        unknownProperty(sourceSchemaType, key) {
+            if (isExperimentalProperty(key)) {
+                isExperimental = true;
+            }
+        }
+    });
+    return isExperimental;
+}